@@ -49,6 +49,54 @@ export const API = {
     async deleteForm(id) {
         return fetchJson(`/api/forms/${encodeURIComponent(id)}`, { method: 'DELETE' });
     },
+    // Lifecycle
+    async publishForm(id) {
+        return fetchJson(`/api/forms/${encodeURIComponent(id)}/publish`, { method: 'POST' });
+    },
+    async setFormStatus(id, status) {
+        return fetchJson(`/api/forms/${encodeURIComponent(id)}/status`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status })
+        });
+    },
+    // Version history
+    async listVersions(id) {
+        return fetchJson(`/api/forms/${encodeURIComponent(id)}/versions`, { cache: 'no-store' });
+    },
+    async diffVersions(id, from, to) {
+        const qs = toQuery({ from, to });
+        return fetchJson(`/api/forms/${encodeURIComponent(id)}/versions/diff?${qs}`, { cache: 'no-store' });
+    },
+    async restoreVersion(id, version) {
+        return fetchJson(`/api/forms/${encodeURIComponent(id)}/versions/${encodeURIComponent(version)}/restore`, { method: 'POST' });
+    },
+    // Themes and logo uploads
+    async listThemes() {
+        return fetchJson('/api/themes', { cache: 'no-store' });
+    },
+    async createTheme(name, settings) {
+        return fetchJson('/api/themes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, settings })
+        });
+    },
+    async updateTheme(id, patch) {
+        return fetchJson(`/api/themes/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(patch)
+        });
+    },
+    async deleteTheme(id) {
+        return fetchJson(`/api/themes/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    },
+    async uploadFiles(files) {
+        const data = new FormData();
+        Array.from(files).forEach(file => data.append('files', file));
+        return fetchJson('/api/upload', { method: 'POST', body: data });
+    },
     // Template API methods
     async checkTemplateNameUnique(name, excludeId) {
         const qs = toQuery({ name, excludeId });
@@ -1,14 +1,60 @@
 // src/client/builder/constants.js
+import { DEFAULT_REQUIRED_PARTS } from '../../shared/address.js';
 
 // Field types that actually have options
-export const OPTION_TYPES = new Set(['dropdown', 'multipleChoice', 'checkboxes', 'multipleSelect']);
+export const OPTION_TYPES = new Set(['dropdown', 'multipleChoice', 'checkboxes', 'multipleSelect', 'likert', 'matrix']);
+
+// Choice fields that may offer "Other" and shuffle their options (must match CHOICE_FIELD_TYPES on the server)
+export const CHOICE_TYPES = new Set(['dropdown', 'multipleChoice', 'checkboxes']);
+
+// Field types that only structure the form (no input, no rules)
+export const LAYOUT_TYPES = new Set(['pageBreak']);
 
 // Only keep these keys when saving
 export const CLEAN_KEYS = new Set([
     'id', 'type', 'label', 'options', 'value', 'placeholder', 'name',
-    'required', 'doNotStore'
+    'required', 'doNotStore', 'matrixRows', 'scaleMax', 'requiredParts', 'allowOther', 'shuffleOptions', 'content', 'translations', 'validation', 'defaultValue', 'allowPrefill', 'valueSource', 'formula', 'correctAnswer', 'points', 'width', 'parentName', 'minRepeat', 'maxRepeat'
 ]);
 
+// Share of the row a field takes on wider screens (must match FIELD_WIDTHS on the server)
+export const FIELD_WIDTHS = new Set(['full', 'half', 'third', 'quarter']);
+
+// Validation constraints by the kind of answer a type collects (must match CONSTRAINT_KIND_FOR on the server)
+export const CONSTRAINT_KIND_FOR = {
+    singleLine: 'text', paragraph: 'text', password: 'text', email: 'text', url: 'text',
+    number: 'number',
+    date: 'date', datetime: 'date', datePicker: 'date', datetimePicker: 'date',
+    checkboxes: 'selections', multipleSelect: 'selections'
+};
+export const NUMERIC_CONSTRAINTS = new Set(['minLength', 'maxLength', 'min', 'max', 'step', 'minSelections', 'maxSelections']);
+
+// Types that can have a default value / be prefilled from the link (must match the server lists)
+export const DEFAULT_VALUE_TYPES = new Set([
+    'singleLine', 'paragraph', 'dropdown', 'multipleChoice', 'checkboxes',
+    'number', 'email', 'phone', 'date', 'time', 'datetime', 'url', 'hidden',
+    'rating', 'nps', 'likert'
+]);
+export const PREFILL_TYPES = new Set([...DEFAULT_VALUE_TYPES, 'name']);
+
+// Types that can be scored as quiz questions (must match QUIZ_FIELD_TYPES on the server)
+export const QUIZ_TYPES = new Set(['dropdown', 'multipleChoice', 'checkboxes']);
+
+// Types that always span the whole row
+export const FULL_WIDTH_TYPES = new Set(['pageBreak', 'group', 'hidden']);
+
+// Repeatable groups: default repeat bounds, and types that cannot be placed inside a group
+export const GROUP_DEFAULTS = { minRepeat: 0, maxRepeat: 5 };
+export const GROUP_EXCLUDED_TYPES = new Set(['group', 'pageBreak', 'file', 'hidden', 'calculated', 'matrix', 'address', 'signature']);
+
+// Rating fields: number of stars (must match RATING_SCALE on the server)
+export const RATING_DEFAULTS = { scaleMax: 5 };
+
+// Matrix questions start with two rows
+export const MATRIX_DEFAULTS = { matrixRows: [{ label: 'Row 1', value: 'Row 1' }, { label: 'Row 2', value: 'Row 2' }] };
+
+// Address fields start with the usual parts required (see src/shared/address.js)
+export const ADDRESS_DEFAULTS = { requiredParts: DEFAULT_REQUIRED_PARTS.join(', ') };
+
 // Map builder types -> partial filenames
 export const PARTIAL_FOR = {
     singleLine: 'text',
@@ -19,6 +65,7 @@ export const PARTIAL_FOR = {
     checkboxes: 'checkboxes',
     number: 'number',
     name: 'name',
+    address: 'address',
     email: 'email',
     phone: 'phone',
     password: 'password',
@@ -32,7 +79,16 @@ export const PARTIAL_FOR = {
     colorPicker: 'color-picker',
     url: 'url',
     file: 'file',
-    richText: 'rich-text'
+    richText: 'rich-text',
+    pageBreak: 'page-break',
+    group: 'group',
+    hidden: 'hidden',
+    calculated: 'calculated',
+    rating: 'rating',
+    nps: 'nps',
+    likert: 'likert',
+    matrix: 'matrix',
+    signature: 'signature'
 };
 
 // Defaults
@@ -46,6 +102,7 @@ export const FIELDS_DEFAULTS = {
         checkboxes: 'Checkboxes',
         number: 'Number',
         name: 'Full Name',
+        address: 'Address',
         email: 'Email',
         phone: 'Phone Number',
         password: 'Password',
@@ -59,9 +116,21 @@ export const FIELDS_DEFAULTS = {
         colorPicker: 'Color',
         url: 'URL',
         file: 'File Upload',
-        richText: 'Rich Text Editor'
+        richText: 'Rich Text Editor',
+        pageBreak: 'New Page',
+        group: 'Repeatable Group',
+        hidden: 'Hidden Field',
+        calculated: 'Calculated',
+        rating: 'Rating',
+        nps: 'How likely are you to recommend us?',
+        likert: 'I am satisfied with the service',
+        matrix: 'Matrix',
+        signature: 'Signature'
     }[t] || (t || '')),
-    options: (t) => OPTION_TYPES.has(t) ? 'Option 1, Option 2' : '',
+    options: (t) => ({
+        likert: 'Strongly disagree, Disagree, Neutral, Agree, Strongly agree',
+        matrix: 'Poor, Fair, Good, Excellent'
+    }[t] || (OPTION_TYPES.has(t) ? 'Option 1, Option 2' : '')),
     placeholder: (t) => ({
         singleLine: 'Enter text…',
         paragraph: 'Type your message…',
@@ -86,3 +155,27 @@ export const FIELDS_DEFAULTS = {
         richText: 'Type something...'
     }[t] || '')
 };
+
+// Conditional logic rules (must match RULE_OPERATORS / RULE_ACTIONS on the server)
+export const RULE_OPERATORS = [
+    { value: 'equals', label: 'is' },
+    { value: 'notEquals', label: 'is not' },
+    { value: 'contains', label: 'contains' },
+    { value: 'notContains', label: 'does not contain' },
+    { value: 'isEmpty', label: 'is empty' },
+    { value: 'isNotEmpty', label: 'is not empty' },
+    { value: 'greaterThan', label: 'is greater than' },
+    { value: 'lessThan', label: 'is less than' }
+];
+
+// Operators that do not compare against a value
+export const VALUELESS_OPERATORS = new Set(['isEmpty', 'isNotEmpty']);
+
+export const RULE_ACTIONS = [
+    { value: 'show', label: 'Show' },
+    { value: 'hide', label: 'Hide' },
+    { value: 'require', label: 'Require' }
+];
+
+// Field types that cannot drive a rule (no comparable answer)
+export const RULE_SOURCE_EXCLUDED = new Set(['file', 'pageBreak', 'group', 'matrix', 'address']);
@@ -8,7 +8,24 @@ export function parseOptions(str = '') {
 }
 
 export function needsOptions(type) {
-    return type === 'dropdown' || type === 'multipleChoice' || type === 'checkboxes' || type === 'multipleSelect';
+    return type === 'dropdown' || type === 'multipleChoice' || type === 'checkboxes' || type === 'multipleSelect'
+        || type === 'likert' || type === 'matrix';
+}
+
+// Mark the options a default value lists as selected, for fields whose options carry no
+// selection yet (mirrors sanitizeFields on the server; checkbox defaults are comma-separated)
+export function selectDefaultOptions(options, defaultValue, type) {
+    if (options.some(o => o.selected) || defaultValue === null || defaultValue === undefined || defaultValue === '') return options;
+    const defaults = type === 'checkboxes' ? parseOptions(defaultValue) : [String(defaultValue)];
+    return options.map(o => (defaults.includes(o.value) ? { ...o, selected: true } : o));
+}
+
+// Choices of a rating (1 to scaleMax stars) or NPS (0 to 10) field, lowest first (mirrors scaleOf on the server)
+export function scaleOf(field) {
+    const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => String(from + i));
+    if (field.type === 'rating') return range(1, Math.min(Number(field.scaleMax) || 5, 10));
+    if (field.type === 'nps') return range(0, 10);
+    return [];
 }
 
 export function whenIntlReady(cb, tries = 40) {
@@ -1,9 +1,40 @@
 // src/client/builder/main.js
-import { uuid, debounce, toSafeSnake, generateUniqueFieldName } from './utils.js';
+import {
+    uuid,
+    debounce,
+    toSafeSnake,
+    generateUniqueFieldName,
+    toLocalDateTimeInput,
+    fromLocalDateTimeInput
+} from './utils.js';
 import { flash, showTab } from './ui.js';
 import { preloadTemplates, renderFieldHTML } from './templates.js';
-import { parseOptions, needsOptions, whenIntlReady } from './helpers.js';
-import { OPTION_TYPES, CLEAN_KEYS, PARTIAL_FOR, FIELDS_DEFAULTS } from './constants.js';
+import { parseOptions, needsOptions, selectDefaultOptions, whenIntlReady } from './helpers.js';
+import { normalizeOptions, normalizeMatrixRows, optionValueOf } from '../../shared/options.js';
+import {
+    OPTION_TYPES,
+    CHOICE_TYPES,
+    CLEAN_KEYS,
+    PARTIAL_FOR,
+    FIELDS_DEFAULTS,
+    RULE_OPERATORS,
+    RULE_ACTIONS,
+    VALUELESS_OPERATORS,
+    RULE_SOURCE_EXCLUDED,
+    LAYOUT_TYPES,
+    GROUP_DEFAULTS,
+    GROUP_EXCLUDED_TYPES,
+    FIELD_WIDTHS,
+    FULL_WIDTH_TYPES,
+    CONSTRAINT_KIND_FOR,
+    NUMERIC_CONSTRAINTS,
+    DEFAULT_VALUE_TYPES,
+    PREFILL_TYPES,
+    QUIZ_TYPES,
+    RATING_DEFAULTS,
+    MATRIX_DEFAULTS,
+    ADDRESS_DEFAULTS
+} from './constants.js';
 import { readLocal, writeLocal, clearLocal } from './state.js';
 import {
     getPlaceholder,
@@ -15,6 +46,18 @@ import {
     move
 } from './dnd.js';
 import { API } from './api.js';
+import { parseFormula, FORMULA_FUNCTIONS } from '../../shared/formula.js';
+import { pipingProblems } from '../../shared/piping.js';
+import {
+    DEFAULT_LOCALE,
+    MAX_LOCALES,
+    LOCALE_CODES,
+    localeName,
+    formLocales,
+    translatableTexts,
+    translationOf
+} from '../../shared/locales.js';
+import { THEME_FONTS, BUTTON_STYLES, normalizeTheme, themeCss, themeFontHref } from '../../shared/themes.js';
 
 // Dropzone preview template
 const dropzonePreviewTemplate = `<div class="dz-preview dz-file-preview">
@@ -40,26 +83,131 @@ const SELECTORS = {
     presetButtons: '#presetButtons',
     tabAddBtn: '#tabAdd',
     tabEditBtn: '#tabEdit',
+    tabRulesBtn: '#tabRules',
+    tabRulesItem: '#tabRulesItem',
+    rulesList: '#rulesList',
+    rulesEmpty: '#rulesEmpty',
+    btnAddRule: '#addRuleBtn',
     // minimal edit panel (subset; more later)
     editTitle: '#editTitle',
     editLabel: '#editLabel',
     editOptionsRow: '#editOptionsRow',
-    editOptions: '#editOptions',
+    editOptionsLabel: '#editOptionsLabel',
+    editMatrixRowsRow: '#editMatrixRowsRow',
+    editMatrixRowList: '#editMatrixRowList',
+    btnAddMatrixRow: '#addMatrixRowBtn',
+    editScaleRow: '#editScaleRow',
+    editScaleMax: '#editScaleMax',
+    editAddressPartsRow: '#editAddressPartsRow',
+    editOptionList: '#editOptionList',
+    btnAddOption: '#addOptionBtn',
+    editChoiceSettingsRow: '#editChoiceSettingsRow',
+    editAllowOther: '#editAllowOther',
+    editShuffleOptions: '#editShuffleOptions',
     editPlaceholder: '#editPlaceholder',
+    editPipingWarning: '#editPipingWarning',
     editName: '#editName',
     editRequired: '#editRequired',
     editDoNotStore: '#editDoNotStore',
+    editValidation: '#editValidation',
+    editSourceRow: '#editSourceRow',
+    editFormulaRow: '#editFormulaRow',
+    editFormula: '#editFormula',
+    editFormulaError: '#editFormulaError',
+    editFormulaFunctions: '#editFormulaFunctions',
+    editValueSource: '#editValueSource',
+    editValueRow: '#editValueRow',
+    editValue: '#editValue',
+    editPrefillRow: '#editPrefillRow',
+    editAllowPrefill: '#editAllowPrefill',
+    editPrefillHint: '#editPrefillHint',
+    editQuizRow: '#editQuizRow',
+    editCorrectAnswer: '#editCorrectAnswer',
+    editPoints: '#editPoints',
+    editWidthRow: '#editWidthRow',
+    editWidth: '#editWidth',
+    editRepeatRow: '#editRepeatRow',
+    editMinRepeat: '#editMinRepeat',
+    editMaxRepeat: '#editMaxRepeat',
     btnEditSave: '#editSave',
     btnEditCancel: '#editCancel',
     formTitle: '#formTitle',
     formTitleDisplay: '#formTitleDisplay',
-    btnSave: '#saveBtn'
+    btnSave: '#saveBtn',
+    // version history
+    btnHistory: '#historyBtn',
+    historyModal: '#historyModal',
+    historyList: '#historyList',
+    historyFrom: '#historyFrom',
+    historyTo: '#historyTo',
+    historyCompareBtn: '#historyCompareBtn',
+    historyDiff: '#historyDiff',
+    // translations
+    btnTranslations: '#translationsBtn',
+    translationsModal: '#translationsModal',
+    translationDefaultLocale: '#translationDefaultLocale',
+    translationAddLocale: '#translationAddLocale',
+    translationAddBtn: '#translationAddBtn',
+    translationLocales: '#translationLocales',
+    translationHead: '#translationHead',
+    translationRows: '#translationRows',
+    // lifecycle
+    statusBadge: '#statusBadge',
+    publishGroup: '#publishGroup',
+    btnPublish: '#publishBtn',
+    statusMenu: '#statusMenu',
+    // settings (scheduling, UTM capture, quiz results, after submitting)
+    tabSettingsBtn: '#tabSettings',
+    tabSettingsItem: '#tabSettingsItem',
+    settingOpensAt: '#settingOpensAt',
+    settingClosesAt: '#settingClosesAt',
+    settingMaxResponses: '#settingMaxResponses',
+    settingClosedMessage: '#settingClosedMessage',
+    settingCaptureUtm: '#settingCaptureUtm',
+    settingPassMark: '#settingPassMark',
+    settingShowScore: '#settingShowScore',
+    settingShowFeedback: '#settingShowFeedback',
+    settingThankYouMessage: '#settingThankYouMessage',
+    settingRedirectUrl: '#settingRedirectUrl',
+    settingShowSummary: '#settingShowSummary',
+    settingAllowAnotherResponse: '#settingAllowAnotherResponse',
+    // theme
+    tabThemeBtn: '#tabTheme',
+    tabThemeItem: '#tabThemeItem',
+    themeSaved: '#themeSaved',
+    themeApplyBtn: '#themeApplyBtn',
+    themeSaveAsBtn: '#themeSaveAsBtn',
+    themeUpdateBtn: '#themeUpdateBtn',
+    themeDeleteBtn: '#themeDeleteBtn',
+    themeLogo: '#themeLogo',
+    themeLogoImg: '#themeLogoImg',
+    themeLogoFile: '#themeLogoFile',
+    themeLogoRemoveBtn: '#themeLogoRemoveBtn',
+    themePrimaryColor: '#themePrimaryColor',
+    themeBackgroundColor: '#themeBackgroundColor',
+    themeFont: '#themeFont',
+    themeButtonStyle: '#themeButtonStyle',
+    themeCustomCss: '#themeCustomCss',
+    themeResetBtn: '#themeResetBtn',
+    themePreview: '#themePreview'
 };
 
 export class Builder {
     constructor() {
         this.formId = null;
         this.fields = [];
+        this.rules = [];
+        this.currentVersion = 0;
+        this.status = 'draft';
+        this.publishedVersion = null;
+        this.schedule = { opensAt: null, closesAt: null, maxResponses: null, closedMessage: '' };
+        this.settings = {
+            captureUtm: false, passMark: null, showScore: false, showFeedback: false,
+            thankYouMessage: '', redirectUrl: '', showSummary: false, allowAnotherResponse: false
+        };
+        this.languages = { defaultLocale: DEFAULT_LOCALE, translations: {} };
+        this.theme = normalizeTheme(null);
+        this.savedThemes = [];
         this.selectedId = null;
         this._bootstrapped = false;
         this.isDirty = false;
@@ -77,18 +225,91 @@ export class Builder {
         this.$.presetButtons = q(SELECTORS.presetButtons);
         this.$.tabAddBtn = q(SELECTORS.tabAddBtn);
         this.$.tabEditBtn = q(SELECTORS.tabEditBtn);
+        this.$.tabRulesBtn = q(SELECTORS.tabRulesBtn);
+        this.$.tabRulesItem = q(SELECTORS.tabRulesItem);
+        this.$.rulesList = q(SELECTORS.rulesList);
+        this.$.rulesEmpty = q(SELECTORS.rulesEmpty);
+        this.$.btnAddRule = q(SELECTORS.btnAddRule);
         this.$.editLabel = q(SELECTORS.editLabel);
         this.$.editOptionsRow = q(SELECTORS.editOptionsRow);
-        this.$.editOptions = q(SELECTORS.editOptions);
+        this.$.editOptionsLabel = q(SELECTORS.editOptionsLabel);
+        this.$.editMatrixRowsRow = q(SELECTORS.editMatrixRowsRow);
+        this.$.editMatrixRowList = q(SELECTORS.editMatrixRowList);
+        this.$.btnAddMatrixRow = q(SELECTORS.btnAddMatrixRow);
+        this.$.editScaleRow = q(SELECTORS.editScaleRow);
+        this.$.editScaleMax = q(SELECTORS.editScaleMax);
+        this.$.editAddressPartsRow = q(SELECTORS.editAddressPartsRow);
+        this.$.editOptionList = q(SELECTORS.editOptionList);
+        this.$.btnAddOption = q(SELECTORS.btnAddOption);
+        this.$.editChoiceSettingsRow = q(SELECTORS.editChoiceSettingsRow);
+        this.$.editAllowOther = q(SELECTORS.editAllowOther);
+        this.$.editShuffleOptions = q(SELECTORS.editShuffleOptions);
         this.$.editPlaceholder = q(SELECTORS.editPlaceholder);
+        this.$.editPipingWarning = q(SELECTORS.editPipingWarning);
         this.$.editName = q(SELECTORS.editName);
         this.$.editRequired = q(SELECTORS.editRequired);
         this.$.editDoNotStore = q(SELECTORS.editDoNotStore);
+        this.$.editValidation = q(SELECTORS.editValidation);
+        this.$.editSourceRow = q(SELECTORS.editSourceRow);
+        this.$.editFormulaRow = q(SELECTORS.editFormulaRow);
+        this.$.editFormula = q(SELECTORS.editFormula);
+        this.$.editFormulaError = q(SELECTORS.editFormulaError);
+        this.$.editFormulaFunctions = q(SELECTORS.editFormulaFunctions);
+        this.$.editValueSource = q(SELECTORS.editValueSource);
+        this.$.editValueRow = q(SELECTORS.editValueRow);
+        this.$.editValue = q(SELECTORS.editValue);
+        this.$.editPrefillRow = q(SELECTORS.editPrefillRow);
+        this.$.editAllowPrefill = q(SELECTORS.editAllowPrefill);
+        this.$.editPrefillHint = q(SELECTORS.editPrefillHint);
+        this.$.editQuizRow = q(SELECTORS.editQuizRow);
+        this.$.editCorrectAnswer = q(SELECTORS.editCorrectAnswer);
+        this.$.editPoints = q(SELECTORS.editPoints);
+        this.$.editWidthRow = q(SELECTORS.editWidthRow);
+        this.$.editWidth = q(SELECTORS.editWidth);
+        this.$.editRepeatRow = q(SELECTORS.editRepeatRow);
+        this.$.editMinRepeat = q(SELECTORS.editMinRepeat);
+        this.$.editMaxRepeat = q(SELECTORS.editMaxRepeat);
         this.$.btnEditSave = q(SELECTORS.btnEditSave);
         this.$.btnEditCancel = q(SELECTORS.btnEditCancel);
         this.$.formTitle = q(SELECTORS.formTitle);
         this.$.formTitleDisplay = q(SELECTORS.formTitleDisplay);
         this.$.btnSave = q(SELECTORS.btnSave);
+        this.$.btnHistory = q(SELECTORS.btnHistory);
+        this.$.historyModal = q(SELECTORS.historyModal);
+        this.$.historyList = q(SELECTORS.historyList);
+        this.$.historyFrom = q(SELECTORS.historyFrom);
+        this.$.historyTo = q(SELECTORS.historyTo);
+        this.$.historyCompareBtn = q(SELECTORS.historyCompareBtn);
+        this.$.historyDiff = q(SELECTORS.historyDiff);
+        this.$.btnTranslations = q(SELECTORS.btnTranslations);
+        this.$.translationsModal = q(SELECTORS.translationsModal);
+        this.$.translationDefaultLocale = q(SELECTORS.translationDefaultLocale);
+        this.$.translationAddLocale = q(SELECTORS.translationAddLocale);
+        this.$.translationAddBtn = q(SELECTORS.translationAddBtn);
+        this.$.translationLocales = q(SELECTORS.translationLocales);
+        this.$.translationHead = q(SELECTORS.translationHead);
+        this.$.translationRows = q(SELECTORS.translationRows);
+        this.$.statusBadge = q(SELECTORS.statusBadge);
+        this.$.publishGroup = q(SELECTORS.publishGroup);
+        this.$.btnPublish = q(SELECTORS.btnPublish);
+        this.$.statusMenu = q(SELECTORS.statusMenu);
+        this.$.tabSettingsBtn = q(SELECTORS.tabSettingsBtn);
+        this.$.tabSettingsItem = q(SELECTORS.tabSettingsItem);
+        this.$.settingOpensAt = q(SELECTORS.settingOpensAt);
+        this.$.settingClosesAt = q(SELECTORS.settingClosesAt);
+        this.$.settingMaxResponses = q(SELECTORS.settingMaxResponses);
+        this.$.settingClosedMessage = q(SELECTORS.settingClosedMessage);
+        this.$.settingCaptureUtm = q(SELECTORS.settingCaptureUtm);
+        this.$.settingPassMark = q(SELECTORS.settingPassMark);
+        this.$.settingShowScore = q(SELECTORS.settingShowScore);
+        this.$.settingShowFeedback = q(SELECTORS.settingShowFeedback);
+        ['settingThankYouMessage', 'settingRedirectUrl', 'settingShowSummary', 'settingAllowAnotherResponse']
+            .forEach(key => { this.$[key] = q(SELECTORS[key]); });
+        [
+            'tabThemeBtn', 'tabThemeItem', 'themeSaved', 'themeApplyBtn', 'themeSaveAsBtn', 'themeUpdateBtn', 'themeDeleteBtn',
+            'themeLogo', 'themeLogoImg', 'themeLogoFile', 'themeLogoRemoveBtn', 'themePrimaryColor', 'themeBackgroundColor',
+            'themeFont', 'themeButtonStyle', 'themeCustomCss', 'themeResetBtn', 'themePreview'
+        ].forEach(key => { this.$[key] = q(SELECTORS[key]); });
 
     }
 
@@ -98,6 +319,8 @@ export class Builder {
         card.className = 'card mb-4 position-relative border-light';
         card.dataset.fid = field.id;
         card.dataset.index = String(idx);
+        card.dataset.type = field.type;
+        this.applyWidth(card, field);
         card.style.cursor = 'move';
         // Actions (duplicate / delete) in top-right
         const actions = document.createElement('div');
@@ -124,20 +347,75 @@ export class Builder {
         try { this._applyPreviewDefaults(body); } catch { }
         card.appendChild(actions);
         card.appendChild(body);
+        if (field.type === 'group') {
+            // Child cards live outside .field-body so re-rendering the group keeps them
+            const children = document.createElement('div');
+            children.className = 'group-children field-grid';
+            children.dataset.group = field.id;
+            card.appendChild(children);
+        }
         // DnD handled by SortableJS on the container
         return card;
     }
 
+    // Width classes drive the preview grid (see .field-grid in custom.css)
+    applyWidth(card, field) {
+        const width = FULL_WIDTH_TYPES.has(field.type) ? 'full' : (field.width || 'full');
+        FIELD_WIDTHS.forEach(w => card.classList.toggle(`field-width-${w}`, w === width));
+    }
+
+    // Children directly follow their group; children of a missing group become top-level fields
+    normalizeGroups() {
+        const groups = new Set(this.fields.filter(f => f.type === 'group').map(f => f.name));
+        this.fields.forEach(f => {
+            if (f.parentName && (!groups.has(f.parentName) || GROUP_EXCLUDED_TYPES.has(f.type))) f.parentName = null;
+        });
+        const ordered = [];
+        this.fields.filter(f => !f.parentName).forEach(f => {
+            ordered.push(f);
+            if (f.type === 'group') ordered.push(...this.fields.filter(c => c.parentName === f.name));
+        });
+        this.fields = ordered;
+    }
+
+    // Rebuild field order and group membership from the preview after a drag
+    syncFieldsFromPreview() {
+        const host = this.$.preview;
+        if (!host) return;
+        const byId = new Map(this.fields.map(f => [f.id, f]));
+        const ordered = [];
+        Array.from(host.children).forEach(card => {
+            const f = byId.get(card.dataset?.fid);
+            if (!f) return;
+            f.parentName = null;
+            ordered.push(f);
+            card.querySelectorAll(':scope > .group-children > [data-fid]').forEach(childCard => {
+                const c = byId.get(childCard.dataset.fid);
+                if (!c) return;
+                c.parentName = f.name;
+                ordered.push(c);
+            });
+        });
+        // Anything the DOM lost track of keeps its place at the end
+        this.fields.forEach(f => { if (!ordered.includes(f)) ordered.push(f); });
+        this.fields = ordered;
+    }
+
     renderPreview() {
         const host = this.$.preview;
         if (!host) return;
         host.innerHTML = '';
+        this.normalizeGroups();
         const frag = document.createDocumentFragment();
+        const groupHosts = new Map();
         this.fields.forEach((f, i) => {
             const card = this.buildCard(f, i);
-            frag.appendChild(card);
+            if (f.type === 'group') groupHosts.set(f.name, card.querySelector('.group-children'));
+            (f.parentName ? groupHosts.get(f.parentName) : frag).appendChild(card);
         });
         host.appendChild(frag);
+        this.numberPageBreaks();
+        this.initGroupSortables();
         try { whenIntlReady(() => this.initPhoneInputs()); } catch { }
         try {
             // Delay Quill initialization to ensure DOM is ready
@@ -179,6 +457,8 @@ export class Builder {
 
             body.innerHTML = renderFieldHTML(this.fields[idx], idx, PARTIAL_FOR);
             try { this._applyPreviewDefaults(body); } catch { }
+            this.applyWidth(card, field);
+            if (field.type === 'pageBreak') this.numberPageBreaks();
 
             if (isRichText && existingQuill && existingContent) {
                 // Immediately restore the Quill content to prevent visual flash
@@ -199,6 +479,17 @@ export class Builder {
         } catch { }
     }
 
+    // Label each page break with the page it starts (page 1 is everything before the first break)
+    numberPageBreaks() {
+        let page = 1;
+        this.fields.forEach(f => {
+            if (f.type !== 'pageBreak') return;
+            page += 1;
+            const el = this.$.preview?.querySelector(`[data-fid="${f.id}"] .js-page-number`);
+            if (el) el.textContent = `Page ${page}`;
+        });
+    }
+
     // Set sample values on date/time inputs in the preview so segment-click editing works
     _applyPreviewDefaults(root) {
         if (!root) return;
@@ -231,6 +522,7 @@ export class Builder {
         const idx = this.fields.findIndex(f => f.id === id);
         if (idx < 0) return;
         this.fields.splice(idx, 1);
+        this.pruneRules();
         this.persist();
         this.setDirty();
         this.renderPreview();
@@ -249,6 +541,7 @@ export class Builder {
         if (idx < 0) return;
         const isSelected = this.selectedId === id;
         this.fields.splice(idx, 1);
+        this.pruneRules();
         this.persist();
         this.setDirty();
         this.renderPreview();
@@ -268,26 +561,36 @@ export class Builder {
         const idx = this.fields.findIndex(f => f.id === id);
         if (idx < 0) return;
         const orig = this.fields[idx];
-        const copy = { ...orig };
-        copy.id = uuid();
+        const names = new Set(this.fields.map(f => f.name));
         // Create a unique internal name by appending an incrementing number
-        const raw = String(orig.name || '').trim();
-        if (raw) {
-            const baseSafe = toSafeSnake(raw);
-            const m = baseSafe.match(/^(.*?)(\d+)$/);
-            const stem = m ? m[1] : baseSafe;
-            let i = m ? (parseInt(m[2], 10) || 0) + 1 : 1;
-            const names = new Set(this.fields.map(f => f.name));
-            let candidate = `${stem}${i}`;
-            while (names.has(candidate)) { i++; candidate = `${stem}${i}`; }
-            copy.name = candidate;
-        } else {
-            copy.name = '';
-        }
-        // Keep label unchanged
-        copy.label = (orig.label || '');
-        // Insert after original
-        this.fields.splice(idx + 1, 0, copy);
+        const copyOf = (src) => {
+            const copy = { ...src };
+            copy.id = uuid();
+            // Translations are edited in place, so the copy gets its own
+            if (src.translations) copy.translations = JSON.parse(JSON.stringify(src.translations));
+            const raw = String(src.name || '').trim();
+            if (raw) {
+                const baseSafe = toSafeSnake(raw);
+                const m = baseSafe.match(/^(.*?)(\d+)$/);
+                const stem = m ? m[1] : baseSafe;
+                let i = m ? (parseInt(m[2], 10) || 0) + 1 : 1;
+                let candidate = `${stem}${i}`;
+                while (names.has(candidate)) { i++; candidate = `${stem}${i}`; }
+                copy.name = candidate;
+                names.add(candidate);
+            } else {
+                copy.name = '';
+            }
+            // Keep label unchanged
+            copy.label = (src.label || '');
+            return copy;
+        };
+        const copy = copyOf(orig);
+        // A group is copied together with its children
+        const children = orig.type === 'group' ? this.fields.filter(f => f.parentName === orig.name) : [];
+        const childCopies = children.map(c => ({ ...copyOf(c), parentName: copy.name }));
+        // Insert after original (and after its children)
+        this.fields.splice(idx + 1 + children.length, 0, copy, ...childCopies);
         this.persist();
         this.setDirty();
         this.renderPreview();
@@ -329,6 +632,7 @@ export class Builder {
 
     loadFormData(data) {
         if (data.id) this.formId = data.id;
+        this.setLifecycle(data);
 
         // Handle both form and template data structures
         const title = data.title || data.name || '';
@@ -351,7 +655,12 @@ export class Builder {
                 const placeholder = (f?.placeholder != null)
                     ? String(f.placeholder)
                     : (typeof FIELDS_DEFAULTS.placeholder === 'function' ? FIELDS_DEFAULTS.placeholder(type) : '');
-                const options = (f?.options != null) ? String(f.options) : (typeof FIELDS_DEFAULTS.options === 'function' ? FIELDS_DEFAULTS.options(type) : '');
+                // Option lists may arrive as comma-separated labels (drafts and templates saved before option values)
+                const options = selectDefaultOptions(
+                    normalizeOptions((f?.options != null) ? f.options : (typeof FIELDS_DEFAULTS.options === 'function' ? FIELDS_DEFAULTS.options(type) : '')),
+                    f?.defaultValue,
+                    type
+                );
                 return {
                     id,
                     type,
@@ -360,17 +669,78 @@ export class Builder {
                     placeholder,
                     required: !!f?.required,
                     doNotStore: !!f?.doNotStore,
-                    options
+                    options,
+                    matrixRows: type === 'matrix' ? normalizeMatrixRows(f?.matrixRows ?? MATRIX_DEFAULTS.matrixRows) : null,
+                    scaleMax: type === 'rating' ? (f?.scaleMax ?? RATING_DEFAULTS.scaleMax) : null,
+                    requiredParts: type === 'address' ? String(f?.requiredParts ?? ADDRESS_DEFAULTS.requiredParts) : null,
+                    allowOther: CHOICE_TYPES.has(type) && !!f?.allowOther,
+                    shuffleOptions: CHOICE_TYPES.has(type) && !!f?.shuffleOptions,
+                    validation: f?.validation && typeof f.validation === 'object' ? { ...f.validation } : null,
+                    defaultValue: f?.defaultValue ?? null,
+                    allowPrefill: !!f?.allowPrefill,
+                    valueSource: type === 'hidden' ? (f?.valueSource || 'query') : null,
+                    formula: type === 'calculated' ? String(f?.formula || '') : null,
+                    content: type === 'richText' ? (f?.content || null) : null,
+                    translations: f?.translations && typeof f.translations === 'object' ? f.translations : {},
+                    correctAnswer: f?.correctAnswer ?? null,
+                    points: f?.points ?? null,
+                    width: FIELD_WIDTHS.has(f?.width) ? f.width : 'full',
+                    parentName: f?.parentName || null,
+                    ...(type === 'group' ? {
+                        minRepeat: f?.minRepeat ?? GROUP_DEFAULTS.minRepeat,
+                        maxRepeat: f?.maxRepeat ?? GROUP_DEFAULTS.maxRepeat
+                    } : {})
                 };
             });
         }
+        this.rules = Array.isArray(data.rules) ? data.rules.map(r => ({
+            id: (r && r.id && String(r.id).trim()) ? String(r.id) : uuid('rule_'),
+            sourceField: String(r?.sourceField || ''),
+            operator: String(r?.operator || 'equals'),
+            value: String(r?.value ?? ''),
+            action: String(r?.action || 'show'),
+            targetField: String(r?.targetField || '')
+        })) : [];
         if (this.$.formTitle) {
             this.$.formTitle.value = data.title || '';
             if (this.$.formTitleDisplay) this.$.formTitleDisplay.textContent = (data.title || '').trim() || 'Untitled Form';
         }
 
+        if (data.schedule) {
+            this.schedule = {
+                opensAt: data.schedule.opensAt || null,
+                closesAt: data.schedule.closesAt || null,
+                maxResponses: data.schedule.maxResponses ?? null,
+                closedMessage: String(data.schedule.closedMessage || '')
+            };
+        }
+        // Local drafts saved before settings had their own object kept them in the schedule
+        const settings = data.settings || data.schedule;
+        if (settings) {
+            this.settings = {
+                captureUtm: !!settings.captureUtm,
+                passMark: settings.passMark ?? null,
+                showScore: !!settings.showScore,
+                showFeedback: !!settings.showFeedback,
+                thankYouMessage: String(settings.thankYouMessage || ''),
+                redirectUrl: String(settings.redirectUrl || ''),
+                showSummary: !!settings.showSummary,
+                allowAnotherResponse: !!settings.allowAnotherResponse
+            };
+        }
+        if (data.theme) this.theme = normalizeTheme(data.theme);
+        if (data.languages) {
+            this.languages = {
+                defaultLocale: data.languages.defaultLocale || DEFAULT_LOCALE,
+                translations: data.languages.translations && typeof data.languages.translations === 'object' ? data.languages.translations : {}
+            };
+        }
+
         // Re-render the preview with the loaded data
         this.renderPreview();
+        this.renderRules();
+        this.renderSettings();
+        this.renderTheme();
     }
 
     persist() {
@@ -378,7 +748,7 @@ export class Builder {
         // This prevents unwanted auto-save behavior for existing forms
         if (this.isNewForm || !this.formId) {
             const title = this.$.formTitle?.value || '';
-            writeLocal({ id: this.formId || null, title, fields: this.fields }, this.formId);
+            writeLocal({ id: this.formId || null, title, fields: this.fields, rules: this.rules, schedule: this.schedule, settings: this.settings, languages: this.languages, theme: this.theme }, this.formId);
         }
     }
 
@@ -389,9 +759,267 @@ export class Builder {
         if (this.$.editLabel) this.$.editLabel.value = '';
         if (this.$.editPlaceholder) this.$.editPlaceholder.value = '';
         if (this.$.editName) this.$.editName.value = '';
-        if (this.$.editOptions) this.$.editOptions.value = '';
+        if (this.$.editOptionList) this.$.editOptionList.innerHTML = '';
+        if (this.$.editMatrixRowList) this.$.editMatrixRowList.innerHTML = '';
+        this.showPipingWarning(null);
+        if (this.$.editAllowOther) this.$.editAllowOther.checked = false;
+        if (this.$.editShuffleOptions) this.$.editShuffleOptions.checked = false;
         if (this.$.editRequired) this.$.editRequired.checked = false;
         if (this.$.editDoNotStore) this.$.editDoNotStore.checked = false;
+        if (this.$.editMinRepeat) this.$.editMinRepeat.value = '';
+        if (this.$.editMaxRepeat) this.$.editMaxRepeat.value = '';
+        if (this.$.editWidth) this.$.editWidth.value = 'full';
+        if (this.$.editValue) this.$.editValue.value = '';
+        if (this.$.editAllowPrefill) this.$.editAllowPrefill.checked = false;
+        if (this.$.editFormula) this.$.editFormula.value = '';
+        if (this.$.editCorrectAnswer) this.$.editCorrectAnswer.value = '';
+        if (this.$.editPoints) this.$.editPoints.value = '';
+        this.$.editValidation?.querySelectorAll('[data-constraint]').forEach(el => { el.value = ''; });
+    }
+
+    // Show the validation inputs that apply to the field's type, filled from its settings
+    renderConstraints(f) {
+        const host = this.$.editValidation;
+        if (!host) return;
+        const kind = CONSTRAINT_KIND_FOR[f.type];
+        host.style.display = kind ? '' : 'none';
+        host.querySelectorAll('[data-constraint-kind]').forEach(el => {
+            el.style.display = el.dataset.constraintKind === kind ? '' : 'none';
+        });
+        host.querySelectorAll('[data-constraint]').forEach(el => {
+            const v = f.validation?.[el.dataset.constraint];
+            el.value = v === undefined || v === null ? '' : String(v);
+        });
+    }
+
+    // Default value and prefill switch; prefill reads top-level link parameters, so not inside groups
+    renderDefaultValue(f) {
+        // Option fields mark their default options in the option editor instead
+        const hasDefault = DEFAULT_VALUE_TYPES.has(f.type) && !OPTION_TYPES.has(f.type);
+        // Hidden fields choose their source instead (link parameter = prefill)
+        const canPrefill = PREFILL_TYPES.has(f.type) && f.type !== 'hidden' && !f.parentName;
+        if (this.$.editValueRow) this.$.editValueRow.style.display = hasDefault ? '' : 'none';
+        if (this.$.editValue) this.$.editValue.value = hasDefault ? (f.defaultValue ?? '') : '';
+        if (this.$.editPrefillRow) this.$.editPrefillRow.style.display = canPrefill ? '' : 'none';
+        if (this.$.editAllowPrefill) this.$.editAllowPrefill.checked = canPrefill && !!f.allowPrefill;
+        if (this.$.editPrefillHint) {
+            const name = f.name || 'field';
+            this.$.editPrefillHint.textContent = f.type === 'name'
+                ? `?${name}_first=Ada&${name}_last=Lovelace`
+                : `?${name}=…`;
+        }
+    }
+
+    // Correct answer and points of quiz questions (top-level choice fields only)
+    renderQuiz(f) {
+        const isQuestion = QUIZ_TYPES.has(f.type) && !f.parentName;
+        if (this.$.editQuizRow) this.$.editQuizRow.style.display = isQuestion ? '' : 'none';
+        if (this.$.editCorrectAnswer) this.$.editCorrectAnswer.value = isQuestion ? (f.correctAnswer ?? '') : '';
+        if (this.$.editPoints) this.$.editPoints.value = isQuestion ? String(f.points ?? '') : '';
+    }
+
+    // Option editor: one row per option with its label, stored value, description and,
+    // for types that take a default, whether it starts selected. Matrix rows use the same
+    // editor (listKey 'matrixRows') with only a label and a value.
+    renderOptions(f, listKey = 'options') {
+        const host = this.optionListHost(listKey);
+        if (!host) return;
+        host.innerHTML = '';
+        if (!this.hasOptionList(f, listKey)) return;
+        const options = Array.isArray(f[listKey]) ? f[listKey] : [];
+        const frag = document.createDocumentFragment();
+        options.forEach((opt, i) => frag.appendChild(this.buildOptionRow(f, opt, i, options.length, listKey)));
+        host.appendChild(frag);
+    }
+
+    optionListHost(listKey) {
+        return listKey === 'matrixRows' ? this.$.editMatrixRowList : this.$.editOptionList;
+    }
+
+    hasOptionList(f, listKey) {
+        return listKey === 'matrixRows' ? f.type === 'matrix' : needsOptions(f.type);
+    }
+
+    buildOptionRow(f, opt, idx, count, listKey = 'options') {
+        const isOption = listKey === 'options';
+        const noun = isOption ? 'Option' : 'Row';
+        const row = document.createElement('div');
+        row.className = 'border rounded p-2';
+        row.dataset.optionIndex = String(idx);
+
+        const input = (key, placeholder) => {
+            const el = document.createElement('input');
+            el.type = 'text';
+            el.className = 'form-control form-control-sm';
+            el.placeholder = placeholder;
+            el.dataset.optionKey = key;
+            el.value = opt[key] || '';
+            el.setAttribute('aria-label', `${noun} ${idx + 1} ${placeholder.toLowerCase()}`);
+            return el;
+        };
+        const button = (cls, icon, title, disabled) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = `btn btn-icon btn-sm rounded-pill ${cls}`;
+            btn.title = title;
+            btn.disabled = disabled;
+            btn.innerHTML = `<i class="icon-base ti ${icon} icon-18px"></i>`;
+            return btn;
+        };
+
+        const head = document.createElement('div');
+        head.className = 'd-flex gap-1 align-items-center mb-1';
+        head.appendChild(input('label', 'Label'));
+        head.appendChild(button('btn-text-secondary js-option-up', 'tabler-arrow-up', 'Move up', idx === 0));
+        head.appendChild(button('btn-text-secondary js-option-down', 'tabler-arrow-down', 'Move down', idx === count - 1));
+        head.appendChild(button('btn-text-danger js-option-del', 'tabler-trash', `Remove ${noun.toLowerCase()}`, count <= 1));
+        row.appendChild(head);
+        if (!isOption) {
+            row.appendChild(input('value', 'Value'));
+            return row;
+        }
+        const value = input('value', 'Value');
+        value.classList.add('mb-1');
+        row.appendChild(value);
+        row.appendChild(input('description', 'Description (optional)'));
+
+        if (DEFAULT_VALUE_TYPES.has(f.type)) {
+            const check = document.createElement('div');
+            check.className = 'form-check mt-1 mb-0';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.className = 'form-check-input';
+            box.id = `editOptionSelected${idx}`;
+            box.dataset.optionKey = 'selected';
+            box.checked = !!opt.selected;
+            const label = document.createElement('label');
+            label.className = 'form-check-label small';
+            label.htmlFor = box.id;
+            label.textContent = 'Selected by default';
+            check.appendChild(box);
+            check.appendChild(label);
+            row.appendChild(check);
+        }
+        return row;
+    }
+
+    // Store a new option list on the selected field; the options marked selected are its default value
+    commitOptions(f, options, redraw = false, listKey = 'options') {
+        f[listKey] = options;
+        if (listKey === 'options' && DEFAULT_VALUE_TYPES.has(f.type)) {
+            const selected = options.filter(o => o.selected).map(o => o.value);
+            f.defaultValue = selected.length ? selected.join(', ') : null;
+        }
+        if (redraw) this.renderOptions(f, listKey);
+        this.persist();
+        this.setDirty();
+        this.renderOne(f.id);
+    }
+
+    selectedOptionField(listKey = 'options') {
+        const f = this.fields.find(x => x.id === this.selectedId);
+        return f && this.hasOptionList(f, listKey) ? f : null;
+    }
+
+    addOption(listKey = 'options') {
+        const f = this.selectedOptionField(listKey);
+        if (!f) return;
+        const noun = listKey === 'options' ? 'Option' : 'Row';
+        const options = Array.isArray(f[listKey]) ? f[listKey] : [];
+        const values = new Set(options.map(o => o.value));
+        let n = options.length + 1;
+        while (values.has(`${noun} ${n}`)) n++;
+        this.commitOptions(f, [...options, { label: `${noun} ${n}`, value: `${noun} ${n}` }], true, listKey);
+        this.optionListHost(listKey)?.querySelector(`[data-option-index="${options.length}"] [data-option-key="label"]`)?.select();
+    }
+
+    updateOption(idx, key, raw, listKey = 'options') {
+        const f = this.selectedOptionField(listKey);
+        const opt = f?.[listKey]?.[idx];
+        if (!opt) return;
+        const host = this.optionListHost(listKey);
+        const next = { ...opt };
+        if (key === 'selected') {
+            if (raw) next.selected = true;
+            else delete next.selected;
+        } else if (key === 'description') {
+            if (String(raw).trim()) next.description = raw;
+            else delete next.description;
+        } else {
+            next[key] = raw;
+        }
+        // The value follows the label until it is edited by hand
+        const row = host?.querySelector(`[data-option-index="${idx}"]`);
+        if (key === 'label' && opt.value === optionValueOf(opt.label)) {
+            next.value = optionValueOf(raw);
+            const valueInput = row?.querySelector('[data-option-key="value"]');
+            if (valueInput) valueInput.value = next.value;
+        }
+        let options = f[listKey].map((o, i) => (i === idx ? next : o));
+        // Only checkboxes start with more than one option ticked
+        if (key === 'selected' && raw && f.type !== 'checkboxes') {
+            options = options.map((o, i) => {
+                if (i === idx || !o.selected) return o;
+                const { selected, ...rest } = o;
+                return rest;
+            });
+            host?.querySelectorAll('[data-option-key="selected"]').forEach((box, i) => { box.checked = i === idx; });
+        }
+        this.commitOptions(f, options, false, listKey);
+    }
+
+    moveOption(idx, delta, listKey = 'options') {
+        const f = this.selectedOptionField(listKey);
+        const to = idx + delta;
+        if (!f || !f[listKey]?.[idx] || to < 0 || to >= f[listKey].length) return;
+        this.commitOptions(f, move(f[listKey], idx, to), true, listKey);
+        this.optionListHost(listKey)?.querySelector(`[data-option-index="${to}"] .${delta < 0 ? 'js-option-up' : 'js-option-down'}:not(:disabled)`)?.focus();
+    }
+
+    deleteOption(idx, listKey = 'options') {
+        const f = this.selectedOptionField(listKey);
+        if (!f || !f[listKey]?.[idx] || f[listKey].length <= 1) return;
+        this.commitOptions(f, f[listKey].filter((_, i) => i !== idx), true, listKey);
+    }
+
+    // Formula input of calculated fields; syntax errors show while typing (references are checked on save)
+    renderFormula(f) {
+        const isCalculated = f.type === 'calculated';
+        if (this.$.editFormulaRow) this.$.editFormulaRow.style.display = isCalculated ? '' : 'none';
+        if (this.$.editFormula) this.$.editFormula.value = isCalculated ? (f.formula || '') : '';
+        if (this.$.editFormulaFunctions) this.$.editFormulaFunctions.textContent = FORMULA_FUNCTIONS.map(n => `${n}()`).join(' ');
+        this.showFormulaError(isCalculated ? f.formula : '');
+    }
+
+    showFormulaError(formula) {
+        let error = '';
+        if (String(formula || '').trim()) {
+            try { parseFormula(formula); } catch (e) { error = e.message; }
+        }
+        this.$.editFormula?.classList.toggle('is-invalid', !!error);
+        if (this.$.editFormulaError) this.$.editFormulaError.textContent = error;
+    }
+
+    // {{name}} references in the label, placeholder or content that the hosted form cannot fill in.
+    // Only a warning: the form still saves and such references show as blank.
+    showPipingWarning(f) {
+        const el = this.$.editPipingWarning;
+        if (!el) return;
+        const problems = f ? pipingProblems(this.fields, this.fields.indexOf(f)) : [];
+        el.textContent = problems.length ? `${problems.join('. ')}. Such references show as blank.` : '';
+        el.classList.toggle('d-none', !problems.length);
+    }
+
+    // Read one validation input into the selected field (blank clears the setting)
+    updateConstraint(el) {
+        const f = this.fields.find(x => x.id === this.selectedId);
+        if (!f || !CONSTRAINT_KIND_FOR[f.type]) return;
+        const key = el.dataset.constraint;
+        const raw = String(el.value ?? '').trim();
+        const next = { ...(f.validation || {}) };
+        if (raw === '') delete next[key];
+        else next[key] = NUMERIC_CONSTRAINTS.has(key) ? Number(raw) : raw;
+        f.validation = Object.keys(next).length ? next : null;
     }
     installUnloadGuard() {
         window.addEventListener('beforeunload', (e) => {
@@ -411,13 +1039,20 @@ export class Builder {
             id: uuid(),
             type,
             label,
-            options: typeof FIELDS_DEFAULTS.options === 'function' ? FIELDS_DEFAULTS.options(type) : '',
+            options: normalizeOptions(typeof FIELDS_DEFAULTS.options === 'function' ? FIELDS_DEFAULTS.options(type) : ''),
             value: '',
             placeholder: typeof FIELDS_DEFAULTS.placeholder === 'function' ? FIELDS_DEFAULTS.placeholder(type) : '',
             name,
             required: false,
             doNotStore: false,
-            autoName: true
+            width: 'full',
+            autoName: true,
+            ...(type === 'group' ? { ...GROUP_DEFAULTS } : {}),
+            ...(type === 'hidden' ? { valueSource: 'query', allowPrefill: true } : {}),
+            ...(type === 'calculated' ? { formula: '' } : {}),
+            ...(type === 'rating' ? { ...RATING_DEFAULTS } : {}),
+            ...(type === 'matrix' ? { ...MATRIX_DEFAULTS } : {}),
+            ...(type === 'address' ? { ...ADDRESS_DEFAULTS } : {})
         };
         this.fields.push(field);
         this.persist();
@@ -433,7 +1068,7 @@ export class Builder {
         const base = toSafeSnake(baseRaw);
         const existing = this.fields.map(f => f.name);
         const name = generateUniqueFieldName(base, existing);
-        const options = preset.options != null ? String(preset.options) : (typeof FIELDS_DEFAULTS.options === 'function' ? FIELDS_DEFAULTS.options(type) : '');
+        const options = normalizeOptions(preset.options != null ? preset.options : (typeof FIELDS_DEFAULTS.options === 'function' ? FIELDS_DEFAULTS.options(type) : ''));
         const field = {
             id: uuid(),
             type,
@@ -444,6 +1079,7 @@ export class Builder {
             name,
             required: !!preset.required,
             doNotStore: false,
+            width: 'full',
             autoName: true
         };
         this.fields.push(field);
@@ -469,10 +1105,50 @@ export class Builder {
         if (this.$.editLabel) this.$.editLabel.value = f.label || '';
         if (this.$.editPlaceholder) this.$.editPlaceholder.value = f.placeholder || '';
         if (this.$.editName) this.$.editName.value = f.name || '';
-        if (this.$.editOptions) this.$.editOptions.value = needsOptions(f.type) ? (f.options || '') : '';
+        this.showPipingWarning(f);
         if (this.$.editOptionsRow) this.$.editOptionsRow.style.display = needsOptions(f.type) ? '' : 'none';
+        // Matrix options are its columns; rows are edited separately
+        if (this.$.editOptionsLabel) this.$.editOptionsLabel.textContent = f.type === 'matrix' ? 'Columns' : 'Options';
+        this.renderOptions(f);
+        if (this.$.editChoiceSettingsRow) this.$.editChoiceSettingsRow.style.display = CHOICE_TYPES.has(f.type) ? '' : 'none';
+        if (this.$.editAllowOther) this.$.editAllowOther.checked = !!f.allowOther;
+        if (this.$.editShuffleOptions) this.$.editShuffleOptions.checked = !!f.shuffleOptions;
+        if (this.$.editMatrixRowsRow) this.$.editMatrixRowsRow.style.display = f.type === 'matrix' ? '' : 'none';
+        this.renderOptions(f, 'matrixRows');
+        if (this.$.editScaleRow) this.$.editScaleRow.style.display = f.type === 'rating' ? '' : 'none';
+        if (this.$.editScaleMax) this.$.editScaleMax.value = String(f.scaleMax ?? RATING_DEFAULTS.scaleMax);
+        if (this.$.editAddressPartsRow) {
+            this.$.editAddressPartsRow.style.display = f.type === 'address' ? '' : 'none';
+            const required = parseOptions(f.type === 'address' ? (f.requiredParts || '') : '');
+            this.$.editAddressPartsRow.querySelectorAll('input[data-part]').forEach(box => { box.checked = required.includes(box.dataset.part); });
+        }
         if (this.$.editRequired) this.$.editRequired.checked = !!f.required;
         if (this.$.editDoNotStore) this.$.editDoNotStore.checked = !!f.doNotStore;
+        // Page breaks only have a title; groups have a title and repeat bounds;
+        // hidden fields are never shown, so they have no placeholder and cannot be required;
+        // calculated fields are filled in by their formula, so they cannot be required either
+        const isLayout = LAYOUT_TYPES.has(f.type);
+        const isGroup = f.type === 'group';
+        const isHidden = f.type === 'hidden';
+        const isCalculated = f.type === 'calculated';
+        const isAddress = f.type === 'address';
+        [this.$.editPlaceholder, this.$.editRequired, this.$.editDoNotStore].forEach(el => {
+            const row = el?.closest('.mb-3');
+            const unused = isLayout || isGroup || (isHidden && el !== this.$.editDoNotStore)
+                || (isCalculated && el === this.$.editRequired) || (isAddress && el === this.$.editPlaceholder);
+            if (row) row.style.display = unused ? 'none' : '';
+        });
+        if (this.$.editSourceRow) this.$.editSourceRow.style.display = isHidden ? '' : 'none';
+        if (this.$.editValueSource) this.$.editValueSource.value = isHidden ? (f.valueSource || 'query') : 'query';
+        if (this.$.editRepeatRow) this.$.editRepeatRow.style.display = isGroup ? '' : 'none';
+        if (this.$.editWidthRow) this.$.editWidthRow.style.display = FULL_WIDTH_TYPES.has(f.type) ? 'none' : '';
+        if (this.$.editWidth) this.$.editWidth.value = f.width || 'full';
+        this.renderConstraints(f);
+        this.renderDefaultValue(f);
+        this.renderFormula(f);
+        this.renderQuiz(f);
+        if (this.$.editMinRepeat) this.$.editMinRepeat.value = isGroup ? String(f.minRepeat ?? '') : '';
+        if (this.$.editMaxRepeat) this.$.editMaxRepeat.value = isGroup ? String(f.maxRepeat ?? '') : '';
         showTab(this.$.tabEditBtn);
     }
 
@@ -655,8 +1331,13 @@ export class Builder {
         this.$.editLabel?.addEventListener('input', () => {
             const f = this.fields.find(x => x.id === this.selectedId);
             if (!f) return;
+            const prevName = f.name;
             f.label = this.$.editLabel.value || '';
             if (f.autoName) { f.name = toSafeSnake(f.label); if (this.$.editName) this.$.editName.value = f.name; }
+            this.renameRuleRefs(prevName, f.name);
+            this.renameGroupRefs(prevName, f.name);
+            this.renderDefaultValue(f);
+            this.showPipingWarning(f);
             this.persist();
             this.setDirty();
             relayout();
@@ -664,8 +1345,13 @@ export class Builder {
         this.$.editName?.addEventListener('input', () => {
             const f = this.fields.find(x => x.id === this.selectedId);
             if (!f) return;
+            const prevName = f.name;
             const v = this.$.editName.value || '';
             if (v.length > 0) { f.autoName = false; f.name = v; }
+            this.renameRuleRefs(prevName, f.name);
+            this.renameGroupRefs(prevName, f.name);
+            this.renderDefaultValue(f);
+            this.showPipingWarning(f);
             this.persist();
             this.setDirty();
             relayout();
@@ -674,19 +1360,60 @@ export class Builder {
             const f = this.fields.find(x => x.id === this.selectedId);
             if (!f) return;
             f.placeholder = this.$.editPlaceholder.value || '';
+            this.showPipingWarning(f);
             this.persist();
             this.setDirty();
             relayout();
         });
-        this.$.editOptions?.addEventListener('input', () => {
+        // Option and matrix row editors: typing updates the entry in place; adding, removing and moving redraw the rows
+        this.$.btnAddOption?.addEventListener('click', (e) => { e.preventDefault(); this.addOption(); });
+        this.$.btnAddMatrixRow?.addEventListener('click', (e) => { e.preventDefault(); this.addOption('matrixRows'); });
+        [[this.$.editOptionList, 'options'], [this.$.editMatrixRowList, 'matrixRows']].forEach(([host, listKey]) => {
+            const onOptionEdit = (e) => {
+                const ctl = e.target.closest('[data-option-key]');
+                const row = e.target.closest('[data-option-index]');
+                if (!ctl || !row) return;
+                this.updateOption(Number(row.dataset.optionIndex), ctl.dataset.optionKey, ctl.type === 'checkbox' ? ctl.checked : ctl.value, listKey);
+            };
+            host?.addEventListener('input', (e) => { if (e.target.type !== 'checkbox') onOptionEdit(e); });
+            host?.addEventListener('change', (e) => { if (e.target.type === 'checkbox') onOptionEdit(e); });
+            host?.addEventListener('click', (e) => {
+                const btn = e.target.closest('.js-option-up, .js-option-down, .js-option-del');
+                const row = e.target.closest('[data-option-index]');
+                if (!btn || !row) return;
+                e.preventDefault();
+                const idx = Number(row.dataset.optionIndex);
+                if (btn.classList.contains('js-option-del')) this.deleteOption(idx, listKey);
+                else this.moveOption(idx, btn.classList.contains('js-option-up') ? -1 : 1, listKey);
+            });
+        });
+        this.$.editScaleMax?.addEventListener('change', () => {
             const f = this.fields.find(x => x.id === this.selectedId);
-            if (!f) return;
-            if (needsOptions(f.type)) {
-                f.options = this.$.editOptions.value || '';
-            }
+            if (!f || f.type !== 'rating') return;
+            f.scaleMax = Number(this.$.editScaleMax.value) || RATING_DEFAULTS.scaleMax;
             this.persist();
+            this.setDirty();
             relayout();
         });
+        this.$.editAddressPartsRow?.addEventListener('change', () => {
+            const f = this.fields.find(x => x.id === this.selectedId);
+            if (!f || f.type !== 'address') return;
+            f.requiredParts = Array.from(this.$.editAddressPartsRow.querySelectorAll('input[data-part]:checked'))
+                .map(box => box.dataset.part)
+                .join(', ');
+            this.persist();
+            this.setDirty();
+            relayout();
+        });
+        [this.$.editAllowOther, this.$.editShuffleOptions].forEach(el => el?.addEventListener('change', () => {
+            const f = this.fields.find(x => x.id === this.selectedId);
+            if (!f || !CHOICE_TYPES.has(f.type)) return;
+            f.allowOther = !!this.$.editAllowOther?.checked;
+            f.shuffleOptions = !!this.$.editShuffleOptions?.checked;
+            this.persist();
+            this.setDirty();
+            relayout();
+        }));
         [this.$.editRequired, this.$.editDoNotStore].forEach(el => el?.addEventListener('input', () => {
             const f = this.fields.find(x => x.id === this.selectedId);
             if (!f) return;
@@ -696,6 +1423,75 @@ export class Builder {
             this.setDirty();
             relayout();
         }));
+        this.$.editValue?.addEventListener('input', () => {
+            const f = this.fields.find(x => x.id === this.selectedId);
+            if (!f || !DEFAULT_VALUE_TYPES.has(f.type)) return;
+            f.defaultValue = this.$.editValue.value.trim() === '' ? null : this.$.editValue.value;
+            this.persist();
+            this.setDirty();
+            relayout();
+        });
+        this.$.editFormula?.addEventListener('input', () => {
+            const f = this.fields.find(x => x.id === this.selectedId);
+            if (!f || f.type !== 'calculated') return;
+            f.formula = this.$.editFormula.value;
+            this.showFormulaError(f.formula);
+            this.persist();
+            this.setDirty();
+            relayout();
+        });
+        [this.$.editCorrectAnswer, this.$.editPoints].forEach(el => el?.addEventListener('input', () => {
+            const f = this.fields.find(x => x.id === this.selectedId);
+            if (!f || !QUIZ_TYPES.has(f.type)) return;
+            const answer = String(this.$.editCorrectAnswer?.value || '').trim();
+            const points = String(this.$.editPoints?.value || '').trim();
+            f.correctAnswer = answer || null;
+            f.points = answer && points ? Number(points) : null;
+            this.persist();
+            this.setDirty();
+        }));
+        this.$.editValueSource?.addEventListener('change', () => {
+            const f = this.fields.find(x => x.id === this.selectedId);
+            if (!f || f.type !== 'hidden') return;
+            f.valueSource = this.$.editValueSource.value || 'query';
+            f.allowPrefill = f.valueSource === 'query';
+            this.persist();
+            this.setDirty();
+        });
+        this.$.editAllowPrefill?.addEventListener('input', () => {
+            const f = this.fields.find(x => x.id === this.selectedId);
+            if (!f) return;
+            f.allowPrefill = !!this.$.editAllowPrefill.checked;
+            this.persist();
+            this.setDirty();
+        });
+        this.$.editValidation?.addEventListener('input', (e) => {
+            const el = e.target.closest('[data-constraint]');
+            if (!el) return;
+            this.updateConstraint(el);
+            this.persist();
+            this.setDirty();
+            relayout();
+        });
+        this.$.editWidth?.addEventListener('change', () => {
+            const f = this.fields.find(x => x.id === this.selectedId);
+            if (!f) return;
+            f.width = FIELD_WIDTHS.has(this.$.editWidth.value) ? this.$.editWidth.value : 'full';
+            this.persist();
+            this.setDirty();
+            relayout();
+        });
+        [this.$.editMinRepeat, this.$.editMaxRepeat].forEach(el => el?.addEventListener('input', () => {
+            const f = this.fields.find(x => x.id === this.selectedId);
+            if (!f || f.type !== 'group') return;
+            const v = el.value.trim();
+            const n = v === '' ? null : Number(v);
+            if (el === this.$.editMinRepeat) f.minRepeat = n;
+            else f.maxRepeat = n;
+            this.persist();
+            this.setDirty();
+            relayout();
+        }));
         // Title input: persist and live-uniqueness check (debounced)
         this.$.formTitle?.addEventListener('input', () => {
             if (this.$.formTitleDisplay) {
@@ -740,6 +1536,107 @@ export class Builder {
             }
         });
 
+        // Rules editor
+        this.$.btnAddRule?.addEventListener('click', (e) => { e.preventDefault(); this.addRule(); });
+        const onRuleEdit = (e) => {
+            const ctl = e.target.closest('[data-rule-key]');
+            const row = e.target.closest('[data-rule-id]');
+            if (!ctl || !row) return;
+            this.updateRule(row.dataset.ruleId, ctl.dataset.ruleKey, ctl.value);
+        };
+        this.$.rulesList?.addEventListener('input', onRuleEdit);
+        this.$.rulesList?.addEventListener('change', onRuleEdit);
+        this.$.rulesList?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.js-rule-del');
+            const row = e.target.closest('[data-rule-id]');
+            if (!btn || !row) return;
+            e.preventDefault();
+            this.deleteRule(row.dataset.ruleId);
+        });
+        // Field names/labels may have changed since the panel was last drawn
+        this.$.tabRulesBtn?.addEventListener('show.bs.tab', () => this.renderRules());
+
+        // Version history
+        this.$.btnHistory?.addEventListener('click', (e) => { e.preventDefault(); this.openHistory(); });
+        this.$.historyCompareBtn?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.compareVersions(this.$.historyFrom?.value, this.$.historyTo?.value);
+        });
+        this.$.historyList?.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-version]');
+            if (!row) return;
+            const version = Number(row.dataset.version);
+            if (e.target.closest('.js-version-diff')) {
+                e.preventDefault();
+                this.compareVersions(version, this.currentVersion);
+            } else if (e.target.closest('.js-version-restore')) {
+                e.preventDefault();
+                this.restoreVersion(version);
+            }
+        });
+
+        // Translations
+        this.$.btnTranslations?.addEventListener('click', (e) => { e.preventDefault(); this.openTranslations(); });
+        this.$.translationDefaultLocale?.addEventListener('change', () => {
+            this.languages.defaultLocale = this.$.translationDefaultLocale.value;
+            this.translationsChanged();
+            this.renderTranslations();
+        });
+        this.$.translationAddBtn?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.addLocale(this.$.translationAddLocale?.value);
+        });
+        this.$.translationLocales?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.js-remove-locale');
+            if (!btn) return;
+            e.preventDefault();
+            this.removeLocale(btn.dataset.locale);
+        });
+        this.$.translationRows?.addEventListener('input', (e) => {
+            const input = e.target.closest('.js-translation');
+            if (!input) return;
+            this.writeTranslation(input);
+        });
+
+        // Settings (scheduling, UTM capture, quiz results, after submitting)
+        [this.$.settingOpensAt, this.$.settingClosesAt, this.$.settingMaxResponses, this.$.settingClosedMessage, this.$.settingCaptureUtm,
+            this.$.settingPassMark, this.$.settingShowScore, this.$.settingShowFeedback,
+            this.$.settingRedirectUrl, this.$.settingShowSummary, this.$.settingAllowAnotherResponse]
+            .forEach(el => el?.addEventListener('input', () => this.readSettings()));
+        this.initThankYouEditor();
+
+        // Theme
+        this.$.tabThemeBtn?.addEventListener('show.bs.tab', () => { this.renderThemePreview(); this.loadSavedThemes(); });
+        [this.$.themePrimaryColor, this.$.themeBackgroundColor, this.$.themeFont, this.$.themeButtonStyle, this.$.themeCustomCss]
+            .forEach(el => el?.addEventListener('input', () => this.readTheme()));
+        this.$.themeLogoFile?.addEventListener('change', () => this.uploadLogo(this.$.themeLogoFile.files));
+        this.$.themeLogoRemoveBtn?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.setTheme({ ...this.theme, logoUrl: null });
+        });
+        this.$.themeResetBtn?.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (confirm('Reset the theme to the default look?')) this.setTheme(normalizeTheme(null));
+        });
+        this.$.themeApplyBtn?.addEventListener('click', (e) => {
+            e.preventDefault();
+            const saved = this.savedThemes.find(t => t.id === this.$.themeSaved?.value);
+            if (saved) this.setTheme(saved.settings);
+        });
+        this.$.themeSaveAsBtn?.addEventListener('click', (e) => { e.preventDefault(); this.saveThemeAs(); });
+        this.$.themeUpdateBtn?.addEventListener('click', (e) => { e.preventDefault(); this.updateSavedTheme(); });
+        this.$.themeDeleteBtn?.addEventListener('click', (e) => { e.preventDefault(); this.deleteSavedTheme(); });
+        this.$.themeSaved?.addEventListener('change', () => this.renderSavedThemeButtons());
+
+        // Lifecycle
+        this.$.btnPublish?.addEventListener('click', (e) => { e.preventDefault(); this.publish(); });
+        this.$.statusMenu?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-status]');
+            if (!item) return;
+            e.preventDefault();
+            this.changeStatus(item.dataset.status);
+        });
+
         // Save to DB
         this.$.btnSave?.addEventListener('click', (e) => this.handleSaveToDB(e));
         this.$.btnEditCancel?.addEventListener('click', (e) => { e.preventDefault?.(); this.deleteSelected(); });
@@ -770,8 +1667,17 @@ export class Builder {
             this.isTemplate = false;
             this.isNewForm = true; // Default to new form if path parsing fails
         }
+        // Rules are stored per form; templates only carry fields
+        if (this.isTemplate && this.$.tabRulesItem) this.$.tabRulesItem.style.display = 'none';
+        if (this.isTemplate && this.$.tabSettingsItem) this.$.tabSettingsItem.style.display = 'none';
+        if (this.isTemplate && this.$.tabThemeItem) this.$.tabThemeItem.style.display = 'none';
+        this.updateHistoryButton();
+        if (this.$.btnTranslations) this.$.btnTranslations.style.display = this.isTemplate ? 'none' : '';
         this.restore();
+        this.renderLifecycle();
         this.renderPreview();
+        this.renderRules();
+        this.renderTheme();
         this.bindEvents();
         this.initSortable?.();
         // init phone inputs after initial render
@@ -799,22 +1705,880 @@ export class Builder {
         inst ? inst.show() : btn.click?.();
     }
 
+    // ---- Conditional logic rules ----
+    ruleSourceFields() {
+        // Group children answer once per entry, so they cannot drive rules
+        return this.fields.filter(f => f.name && !f.parentName && !RULE_SOURCE_EXCLUDED.has(f.type));
+    }
+
+    _fieldOptionLabel(f) {
+        const label = String(f.label || '').trim();
+        return label ? `${label} (${f.name})` : f.name;
+    }
+
+    _buildSelect(key, choices, current) {
+        const sel = document.createElement('select');
+        sel.className = 'form-select form-select-sm';
+        sel.dataset.ruleKey = key;
+        if (!choices.some(c => c.value === current)) {
+            const blank = document.createElement('option');
+            blank.value = '';
+            blank.textContent = 'Select field…';
+            sel.appendChild(blank);
+        }
+        choices.forEach(c => {
+            const opt = document.createElement('option');
+            opt.value = c.value;
+            opt.textContent = c.label;
+            sel.appendChild(opt);
+        });
+        sel.value = choices.some(c => c.value === current) ? current : '';
+        return sel;
+    }
+
+    buildRuleRow(rule, idx) {
+        const row = document.createElement('div');
+        row.className = 'border rounded p-3 position-relative';
+        row.dataset.ruleId = rule.id;
+
+        const head = document.createElement('div');
+        head.className = 'd-flex justify-content-between align-items-center mb-2';
+        const title = document.createElement('span');
+        title.className = 'fw-semibold small';
+        title.textContent = `Rule ${idx + 1}`;
+        const btnDel = document.createElement('button');
+        btnDel.type = 'button';
+        btnDel.className = 'btn btn-icon btn-sm btn-text-danger rounded-pill js-rule-del';
+        btnDel.title = 'Delete rule';
+        btnDel.innerHTML = '<i class="icon-base ti tabler-trash icon-18px"></i>';
+        head.appendChild(title);
+        head.appendChild(btnDel);
+
+        const fieldChoices = (list) => list.map(f => ({ value: f.name, label: this._fieldOptionLabel(f) }));
+
+        const ifLabel = document.createElement('div');
+        ifLabel.className = 'small text-body-secondary mb-1';
+        ifLabel.textContent = 'If';
+        const source = this._buildSelect('sourceField', fieldChoices(this.ruleSourceFields()), rule.sourceField);
+        source.classList.add('mb-2');
+        const operator = this._buildSelect('operator', RULE_OPERATORS, rule.operator);
+        operator.classList.add('mb-2');
+        const value = document.createElement('input');
+        value.type = 'text';
+        value.className = 'form-control form-control-sm mb-2';
+        value.placeholder = 'Value';
+        value.dataset.ruleKey = 'value';
+        value.value = rule.value || '';
+        value.style.display = VALUELESS_OPERATORS.has(rule.operator) ? 'none' : '';
+
+        const thenLabel = document.createElement('div');
+        thenLabel.className = 'small text-body-secondary mb-1';
+        thenLabel.textContent = 'Then';
+        const thenRow = document.createElement('div');
+        thenRow.className = 'd-flex gap-2';
+        const action = this._buildSelect('action', RULE_ACTIONS, rule.action);
+        action.classList.add('w-auto');
+        const targets = this.fields.filter(f => f.name && f.name !== rule.sourceField && !f.parentName && !LAYOUT_TYPES.has(f.type));
+        const target = this._buildSelect('targetField', fieldChoices(targets), rule.targetField);
+        thenRow.appendChild(action);
+        thenRow.appendChild(target);
+
+        [head, ifLabel, source, operator, value, thenLabel, thenRow].forEach(el => row.appendChild(el));
+        return row;
+    }
+
+    renderRules() {
+        const host = this.$.rulesList;
+        if (!host) return;
+        host.innerHTML = '';
+        const frag = document.createDocumentFragment();
+        this.rules.forEach((r, i) => frag.appendChild(this.buildRuleRow(r, i)));
+        host.appendChild(frag);
+        if (this.$.rulesEmpty) this.$.rulesEmpty.style.display = this.rules.length ? 'none' : '';
+        if (this.$.btnAddRule) this.$.btnAddRule.disabled = this.fields.length < 2;
+    }
+
+    addRule() {
+        const sources = this.ruleSourceFields();
+        const source = sources[0];
+        const target = this.fields.find(f => f.name && f.name !== source?.name && !f.parentName && !LAYOUT_TYPES.has(f.type));
+        this.rules.push({
+            id: uuid('rule_'),
+            sourceField: source?.name || '',
+            operator: 'equals',
+            value: '',
+            action: 'show',
+            targetField: target?.name || ''
+        });
+        this.persist();
+        this.setDirty();
+        this.renderRules();
+    }
+
+    updateRule(id, key, value) {
+        const rule = this.rules.find(r => r.id === id);
+        if (!rule || !(key in rule)) return;
+        rule[key] = String(value ?? '');
+        this.persist();
+        this.setDirty();
+        // Redraw only when dependent controls change (keeps focus while typing a value)
+        if (key === 'sourceField' || key === 'operator') this.renderRules();
+    }
+
+    deleteRule(id) {
+        const idx = this.rules.findIndex(r => r.id === id);
+        if (idx < 0) return;
+        this.rules.splice(idx, 1);
+        this.persist();
+        this.setDirty();
+        this.renderRules();
+    }
+
+    // Keep rules pointing at a field when its internal name changes
+    renameRuleRefs(oldName, newName) {
+        if (!oldName || oldName === newName) return;
+        this.rules.forEach(r => {
+            if (r.sourceField === oldName) r.sourceField = newName;
+            if (r.targetField === oldName) r.targetField = newName;
+        });
+    }
+
+    // Keep group children attached when the group's internal name changes
+    renameGroupRefs(oldName, newName) {
+        if (!oldName || oldName === newName) return;
+        this.fields.forEach(f => { if (f.parentName === oldName) f.parentName = newName; });
+    }
+
+    // Drop rules whose source or target field no longer exists (or was moved into a group)
+    pruneRules() {
+        const names = new Set(this.fields.filter(f => !f.parentName).map(f => f.name));
+        const before = this.rules.length;
+        this.rules = this.rules.filter(r => names.has(r.sourceField) && names.has(r.targetField));
+        if (this.rules.length !== before) this.renderRules();
+    }
+
+    validateRules() {
+        const names = new Set(this.fields.map(f => f.name));
+        for (let i = 0; i < this.rules.length; i++) {
+            const r = this.rules[i];
+            if (!names.has(r.sourceField) || !names.has(r.targetField)) return `Rule ${i + 1} must have a source and a target field.`;
+            if (r.sourceField === r.targetField) return `Rule ${i + 1} cannot target its own source field.`;
+            if (r.operator === 'greaterThan' || r.operator === 'lessThan') {
+                if (String(r.value).trim() === '' || isNaN(Number(r.value))) return `Rule ${i + 1} needs a numeric value.`;
+            }
+        }
+        return null;
+    }
+
+    cleanRule(r) {
+        return {
+            id: r.id,
+            sourceField: r.sourceField,
+            operator: r.operator,
+            value: VALUELESS_OPERATORS.has(r.operator) ? '' : String(r.value || ''),
+            action: r.action,
+            targetField: r.targetField
+        };
+    }
+
+    // ---- Version history ----
+    updateHistoryButton() {
+        if (!this.$.btnHistory) return;
+        const show = !this.isTemplate && !this.isNewForm && !!this.formId;
+        this.$.btnHistory.style.display = show ? '' : 'none';
+    }
+
+    async openHistory() {
+        if (!this.formId || !this.$.historyModal) return;
+        if (this.$.historyDiff) this.$.historyDiff.innerHTML = '';
+        window.bootstrap?.Modal?.getOrCreateInstance(this.$.historyModal)?.show();
+        await this.loadHistory();
+    }
+
+    async loadHistory() {
+        const host = this.$.historyList;
+        if (!host) return;
+        host.innerHTML = '<tr><td colspan="6" class="text-center text-body-secondary">Loading…</td></tr>';
+        const { res, body } = await API.listVersions(this.formId);
+        if (!res?.ok) {
+            host.innerHTML = '';
+            const tr = host.insertRow();
+            const td = tr.insertCell();
+            td.colSpan = 6;
+            td.className = 'text-center text-danger';
+            td.textContent = body?.error || 'Could not load version history.';
+            return;
+        }
+        const versions = Array.isArray(body?.versions) ? body.versions : [];
+        this.currentVersion = body?.currentVersion || 0;
+        host.innerHTML = '';
+        versions.forEach(v => host.appendChild(this.buildVersionRow(v)));
+        if (!versions.length) {
+            host.innerHTML = '<tr><td colspan="6" class="text-center text-body-secondary">No versions yet.</td></tr>';
+        }
+
+        // Compare selectors default to "previous → current"
+        [this.$.historyFrom, this.$.historyTo].forEach(sel => {
+            if (!sel) return;
+            sel.innerHTML = '';
+            versions.forEach(v => {
+                const opt = document.createElement('option');
+                opt.value = String(v.version);
+                opt.textContent = `v${v.version}${v.version === this.currentVersion ? ' (current)' : ''}`;
+                sel.appendChild(opt);
+            });
+        });
+        if (this.$.historyTo && versions[0]) this.$.historyTo.value = String(versions[0].version);
+        if (this.$.historyFrom && versions.length) this.$.historyFrom.value = String((versions[1] || versions[0]).version);
+        if (this.$.historyCompareBtn) this.$.historyCompareBtn.disabled = versions.length < 2;
+    }
+
+    buildVersionRow(v) {
+        const tr = document.createElement('tr');
+        tr.dataset.version = String(v.version);
+        const cells = [
+            `v${v.version}`,
+            v.createdAt ? new Date(v.createdAt).toLocaleString() : '',
+            v.title || '',
+            String(v.fieldCount ?? ''),
+            String(v.ruleCount ?? '')
+        ];
+        cells.forEach((text, i) => {
+            const td = tr.insertCell();
+            td.textContent = text;
+            if (i >= 3) td.className = 'text-center';
+        });
+        const first = tr.cells[0];
+        if (v.version === this.currentVersion) {
+            const badge = document.createElement('span');
+            badge.className = 'badge bg-label-success ms-1';
+            badge.textContent = 'current';
+            first.appendChild(badge);
+        }
+        if (v.note) {
+            const note = document.createElement('div');
+            note.className = 'small text-body-secondary';
+            note.textContent = v.note;
+            tr.cells[2].appendChild(note);
+        }
+        const actions = tr.insertCell();
+        actions.className = 'text-end text-nowrap';
+        if (v.version !== this.currentVersion) {
+            const btnDiff = document.createElement('button');
+            btnDiff.type = 'button';
+            btnDiff.className = 'btn btn-sm btn-text-secondary js-version-diff';
+            btnDiff.textContent = 'Diff';
+            btnDiff.title = 'Compare with the current version';
+            const btnRestore = document.createElement('button');
+            btnRestore.type = 'button';
+            btnRestore.className = 'btn btn-sm btn-text-primary js-version-restore';
+            btnRestore.textContent = 'Restore';
+            actions.appendChild(btnDiff);
+            actions.appendChild(btnRestore);
+        }
+        return tr;
+    }
+
+    async compareVersions(from, to) {
+        const host = this.$.historyDiff;
+        if (!host || !from || !to) return;
+        host.textContent = 'Comparing…';
+        const { res, body } = await API.diffVersions(this.formId, from, to);
+        if (!res?.ok) {
+            host.textContent = body?.error || 'Could not compare versions.';
+            return;
+        }
+        this.renderDiff(body.diff, from, to);
+    }
+
+    renderDiff(diff, from, to) {
+        const host = this.$.historyDiff;
+        if (!host) return;
+        host.innerHTML = '';
+        const lines = [];
+        const fieldName = (f) => `"${f.label || f.name}" (${f.name})`;
+        const show = (v) => {
+            if (v === null || v === undefined || v === '') return '—';
+            // Validation settings are objects
+            return typeof v === 'object' ? JSON.stringify(v) : String(v);
+        };
+
+        if (diff?.title) lines.push(['text-warning', `Title: "${diff.title.from}" → "${diff.title.to}"`]);
+        if (diff?.categoryId) lines.push(['text-warning', `Category: ${show(diff.categoryId.from)} → ${show(diff.categoryId.to)}`]);
+        if (diff?.languages) {
+            const [before, after] = [diff.languages.from, diff.languages.to].map(l => formLocales(l.defaultLocale, l.translations).join(', '));
+            lines.push(['text-warning', before === after ? 'Form translations changed' : `Languages: ${before} → ${after}`]);
+        }
+        if (diff?.thankYouMessage) lines.push(['text-warning', 'Thank-you message changed']);
+        (diff?.fields?.added || []).forEach(f => lines.push(['text-success', `Added field ${fieldName(f)}`]));
+        (diff?.fields?.removed || []).forEach(f => lines.push(['text-danger', `Removed field ${fieldName(f)}`]));
+        (diff?.fields?.changed || []).forEach(f => {
+            const parts = Object.entries(f.changes || {}).map(([k, c]) => `${k}: ${show(c.from)} → ${show(c.to)}`);
+            lines.push(['text-warning', `Changed field ${fieldName(f)} — ${parts.join('; ')}`]);
+        });
+        (diff?.fields?.moved || []).forEach(f => lines.push(['text-body-secondary', `Moved field ${fieldName(f)} from position ${f.from} to ${f.to}`]));
+        const ruleText = (r) => `if ${r.sourceField} ${r.operator}${VALUELESS_OPERATORS.has(r.operator) ? '' : ` "${r.value}"`} then ${r.action} ${r.targetField}`;
+        (diff?.rules?.added || []).forEach(r => lines.push(['text-success', `Added rule: ${ruleText(r)}`]));
+        (diff?.rules?.removed || []).forEach(r => lines.push(['text-danger', `Removed rule: ${ruleText(r)}`]));
+
+        const heading = document.createElement('div');
+        heading.className = 'fw-semibold mb-2';
+        heading.textContent = `v${from} → v${to}`;
+        host.appendChild(heading);
+        if (!lines.length) {
+            const none = document.createElement('div');
+            none.className = 'text-body-secondary';
+            none.textContent = 'No differences.';
+            host.appendChild(none);
+            return;
+        }
+        const ul = document.createElement('ul');
+        ul.className = 'list-unstyled mb-0 vstack gap-1';
+        lines.forEach(([cls, text]) => {
+            const li = document.createElement('li');
+            li.className = cls;
+            li.textContent = text;
+            ul.appendChild(li);
+        });
+        host.appendChild(ul);
+    }
+
+    async restoreVersion(version) {
+        if (!this.formId || !version) return;
+        const unsaved = this.isDirty ? '\n\nUnsaved changes in the builder will be discarded.' : '';
+        if (!confirm(`Restore version ${version}? It will be saved as a new version.${unsaved}`)) return;
+        const { res, body } = await API.restoreVersion(this.formId, version);
+        if (!res?.ok) {
+            alert(body?.error || 'Failed to restore version.');
+            return;
+        }
+        if (body?.form) this.loadFormData(body.form);
+        this.clearDirty();
+        this.renderLifecycle();
+        await this.loadHistory();
+        if (this.$.historyDiff) this.$.historyDiff.innerHTML = '';
+    }
+
+    // ---- Translations ----
+    openTranslations() {
+        if (!this.$.translationsModal) return;
+        this.renderTranslations();
+        window.bootstrap?.Modal?.getOrCreateInstance(this.$.translationsModal)?.show();
+    }
+
+    translationsChanged() {
+        this.setDirty();
+        this.persist();
+    }
+
+    addLocale(locale) {
+        const { defaultLocale, translations } = this.languages;
+        if (!locale || locale === defaultLocale || translations[locale]) return;
+        if (Object.keys(translations).length + 1 >= MAX_LOCALES) {
+            alert(`A form can be offered in at most ${MAX_LOCALES} languages.`);
+            return;
+        }
+        translations[locale] = {};
+        this.translationsChanged();
+        this.renderTranslations();
+    }
+
+    removeLocale(locale) {
+        if (!locale || !this.languages.translations[locale]) return;
+        if (!confirm(`Remove ${localeName(locale)} and all of its translations?`)) return;
+        delete this.languages.translations[locale];
+        this.fields.forEach(f => { if (f.translations) delete f.translations[locale]; });
+        this.translationsChanged();
+        this.renderTranslations();
+    }
+
+    // Every text to translate: the form title, then each field's texts
+    translationRows() {
+        const rows = [];
+        const title = (this.$.formTitle?.value || '').trim();
+        if (title) rows.push({ field: null, what: 'Form title', text: { key: 'title', text: title } });
+        const thankYou = this.settings.thankYouMessage;
+        if (thankYou) rows.push({ field: null, what: 'Thank-you message', text: { key: 'thankYouMessage', text: thankYou } });
+        this.fields.forEach(f => {
+            translatableTexts(f).forEach(text => {
+                const what = text.key === 'options' ? `Option "${text.option}"`
+                    : text.key === 'rows' ? `Row "${text.option}"`
+                    : text.key[0].toUpperCase() + text.key.slice(1);
+                rows.push({ field: f, what, text });
+            });
+        });
+        return rows;
+    }
+
+    renderTranslations() {
+        const { defaultLocale, translations } = this.languages;
+        const locales = Object.keys(translations);
+        const rows = this.translationRows();
+        const translationsOf = (field) => field ? field.translations : translations;
+
+        const fillSelect = (sel, codes, value) => {
+            if (!sel) return;
+            sel.innerHTML = '';
+            codes.forEach(code => {
+                const opt = document.createElement('option');
+                opt.value = code;
+                opt.textContent = `${localeName(code)} (${code})`;
+                sel.appendChild(opt);
+            });
+            if (value !== undefined) sel.value = value;
+        };
+        const offered = formLocales(defaultLocale, translations);
+        const defaults = LOCALE_CODES.filter(code => !locales.includes(code));
+        fillSelect(this.$.translationDefaultLocale, defaults.includes(defaultLocale) ? defaults : [defaultLocale, ...defaults], defaultLocale);
+        const addable = LOCALE_CODES.filter(code => !offered.includes(code));
+        fillSelect(this.$.translationAddLocale, addable);
+        if (this.$.translationAddBtn) this.$.translationAddBtn.disabled = !addable.length;
+
+        // One badge per added language, with its count of missing texts
+        const host = this.$.translationLocales;
+        if (host) {
+            host.innerHTML = '';
+            locales.forEach(locale => {
+                const missing = rows.filter(r => !translationOf(translationsOf(r.field), locale, r.text)).length;
+                const badge = document.createElement('span');
+                badge.className = `badge ${missing ? 'bg-label-warning' : 'bg-label-success'} d-inline-flex align-items-center gap-1`;
+                badge.dataset.locale = locale;
+                const name = document.createElement('span');
+                name.className = 'js-locale-status';
+                name.textContent = `${localeName(locale)} · ${missing ? `${missing} missing` : 'complete'}`;
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'btn-close btn-close-sm js-remove-locale';
+                remove.style.fontSize = '0.6rem';
+                remove.dataset.locale = locale;
+                remove.setAttribute('aria-label', `Remove ${localeName(locale)}`);
+                badge.append(name, remove);
+                host.appendChild(badge);
+            });
+        }
+
+        // Side by side: what the text is, the text as written, one column per language
+        const head = this.$.translationHead;
+        if (head) {
+            head.innerHTML = '';
+            const tr = head.insertRow();
+            ['Text', localeName(defaultLocale), ...locales.map(locale => localeName(locale))].forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                tr.appendChild(th);
+            });
+        }
+        const body = this.$.translationRows;
+        if (!body) return;
+        body.innerHTML = '';
+        if (!locales.length || !rows.length) {
+            const td = body.insertRow().insertCell();
+            td.colSpan = 2 + locales.length;
+            td.className = 'text-center text-body-secondary';
+            td.textContent = locales.length ? 'Nothing to translate yet.' : 'Add a language to translate the form into.';
+            return;
+        }
+        // Rich-text translations are written as HTML
+        const isHtml = (text) => text.key === 'content' || text.key === 'thankYouMessage';
+        rows.forEach(({ field, what, text }) => {
+            const tr = body.insertRow();
+            const label = tr.insertCell();
+            label.className = 'small text-body-secondary text-nowrap';
+            label.textContent = field ? `${field.name} · ${what}` : what;
+            const source = tr.insertCell();
+            source.className = 'small';
+            source.style.maxWidth = '16rem';
+            source.textContent = text.text;
+            locales.forEach(locale => {
+                const input = document.createElement(isHtml(text) ? 'textarea' : 'input');
+                if (isHtml(text)) input.rows = 3;
+                else input.type = 'text';
+                input.className = 'form-control form-control-sm js-translation';
+                input.lang = locale;
+                input.value = translationOf(translationsOf(field), locale, text);
+                input.placeholder = isHtml(text) ? 'HTML' : '';
+                input.setAttribute('aria-label', `${what} in ${localeName(locale)}`);
+                input.dataset.locale = locale;
+                input.dataset.key = text.key;
+                if (text.option !== undefined) input.dataset.option = text.option;
+                if (field) input.dataset.fieldId = field.id;
+                input.classList.toggle('border-warning', !input.value.trim());
+                tr.insertCell().appendChild(input);
+            });
+        });
+    }
+
+    // Keep one typed translation; blank ones are dropped when saved
+    writeTranslation(input) {
+        const { locale, key, option, fieldId } = input.dataset;
+        const value = input.value;
+        if (fieldId) {
+            const field = this.fields.find(f => f.id === fieldId);
+            if (!field) return;
+            if (!field.translations || typeof field.translations !== 'object') field.translations = {};
+            const entry = field.translations[locale] || (field.translations[locale] = {});
+            if (option !== undefined) {
+                entry[key] = entry[key] || {};
+                entry[key][option] = value;
+            } else {
+                entry[key] = value;
+            }
+        } else {
+            const entry = this.languages.translations[locale];
+            if (!entry) return;
+            entry[key] = value;
+        }
+        input.classList.toggle('border-warning', !value.trim());
+
+        // Refresh the missing count of this language
+        const rows = this.translationRows();
+        const missing = rows.filter(r => !translationOf(r.field ? r.field.translations : this.languages.translations, locale, r.text)).length;
+        const badge = this.$.translationLocales?.querySelector(`[data-locale="${CSS.escape(locale)}"]`);
+        if (badge) {
+            badge.classList.toggle('bg-label-warning', missing > 0);
+            badge.classList.toggle('bg-label-success', missing === 0);
+            const status = badge.querySelector('.js-locale-status');
+            if (status) status.textContent = `${localeName(locale)} · ${missing ? `${missing} missing` : 'complete'}`;
+        }
+        this.translationsChanged();
+    }
+
+    // ---- Settings (scheduling, response limit, UTM capture, quiz results, after submitting) ----
+    // The thank-you message is rich text; without Quill the setting keeps its saved value
+    initThankYouEditor() {
+        const el = this.$.settingThankYouMessage;
+        if (!el || !window.Quill || this.thankYouQuill) return;
+        this.thankYouQuill = new window.Quill(el, {
+            theme: 'snow',
+            modules: { toolbar: [['bold', 'italic', 'underline'], [{ header: [2, 3, false] }], [{ list: 'ordered' }, { list: 'bullet' }], ['link', 'clean']] },
+            placeholder: 'Thanks! Your response was submitted.'
+        });
+        this.thankYouQuill.on('text-change', (_delta, _old, source) => {
+            if (source === 'user') this.readSettings();
+        });
+        this.thankYouQuill.clipboard.dangerouslyPasteHTML(this.settings.thankYouMessage || '', 'silent');
+    }
+
+    renderSettings() {
+        const s = this.schedule;
+        if (this.$.settingOpensAt) this.$.settingOpensAt.value = toLocalDateTimeInput(s.opensAt);
+        if (this.$.settingClosesAt) this.$.settingClosesAt.value = toLocalDateTimeInput(s.closesAt);
+        if (this.$.settingMaxResponses) this.$.settingMaxResponses.value = s.maxResponses ?? '';
+        if (this.$.settingClosedMessage) this.$.settingClosedMessage.value = s.closedMessage || '';
+        const settings = this.settings;
+        if (this.$.settingCaptureUtm) this.$.settingCaptureUtm.checked = !!settings.captureUtm;
+        if (this.$.settingPassMark) this.$.settingPassMark.value = settings.passMark ?? '';
+        if (this.$.settingShowScore) this.$.settingShowScore.checked = !!settings.showScore;
+        if (this.$.settingShowFeedback) this.$.settingShowFeedback.checked = !!settings.showFeedback;
+        if (this.thankYouQuill) this.thankYouQuill.clipboard.dangerouslyPasteHTML(settings.thankYouMessage || '', 'silent');
+        if (this.$.settingRedirectUrl) this.$.settingRedirectUrl.value = settings.redirectUrl || '';
+        if (this.$.settingShowSummary) this.$.settingShowSummary.checked = !!settings.showSummary;
+        if (this.$.settingAllowAnotherResponse) this.$.settingAllowAnotherResponse.checked = !!settings.allowAnotherResponse;
+    }
+
+    readSettings() {
+        const max = String(this.$.settingMaxResponses?.value || '').trim();
+        const passMark = String(this.$.settingPassMark?.value || '').trim();
+        this.schedule = {
+            opensAt: fromLocalDateTimeInput(this.$.settingOpensAt?.value),
+            closesAt: fromLocalDateTimeInput(this.$.settingClosesAt?.value),
+            maxResponses: max ? Number(max) : null,
+            closedMessage: this.$.settingClosedMessage?.value || ''
+        };
+        this.settings = {
+            captureUtm: !!this.$.settingCaptureUtm?.checked,
+            passMark: passMark ? Number(passMark) : null,
+            showScore: !!this.$.settingShowScore?.checked,
+            showFeedback: !!this.$.settingShowFeedback?.checked,
+            // An editor with nothing typed still holds an empty paragraph
+            thankYouMessage: this.thankYouQuill
+                ? (this.thankYouQuill.getText().trim() ? this.thankYouQuill.root.innerHTML : '')
+                : this.settings.thankYouMessage,
+            redirectUrl: String(this.$.settingRedirectUrl?.value || '').trim(),
+            showSummary: !!this.$.settingShowSummary?.checked,
+            allowAnotherResponse: !!this.$.settingAllowAnotherResponse?.checked
+        };
+        this.persist();
+        this.setDirty();
+    }
+
+    validateSettings() {
+        const { opensAt, closesAt, maxResponses } = this.schedule;
+        const { passMark, redirectUrl } = this.settings;
+        if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+            return 'Closing time must be after the opening time.';
+        }
+        if (maxResponses !== null && (!Number.isInteger(maxResponses) || maxResponses < 1)) {
+            return 'Response limit must be a whole number of at least 1.';
+        }
+        if (passMark !== null && (!Number.isInteger(passMark) || passMark < 0 || passMark > 100)) {
+            return 'Pass mark must be a whole number from 0 to 100.';
+        }
+        // Which other sites are allowed only the server knows
+        if (redirectUrl && !/^(\/(?![\/\\])|https?:\/\/)/i.test(redirectUrl)) {
+            return 'Redirect URL must be a path on this site such as /thanks, or an http(s) URL.';
+        }
+        return null;
+    }
+
+    // ---- Theme (look of the hosted form) ----
+    renderTheme() {
+        const t = this.theme;
+        const fillSelect = (sel, entries) => {
+            if (!sel || sel.options.length) return;
+            Object.entries(entries).forEach(([value, { label }]) => {
+                const opt = document.createElement('option');
+                opt.value = value;
+                opt.textContent = label;
+                sel.appendChild(opt);
+            });
+        };
+        fillSelect(this.$.themeFont, THEME_FONTS);
+        fillSelect(this.$.themeButtonStyle, BUTTON_STYLES);
+        if (this.$.themePrimaryColor) this.$.themePrimaryColor.value = t.primaryColor;
+        if (this.$.themeBackgroundColor) this.$.themeBackgroundColor.value = t.backgroundColor;
+        if (this.$.themeFont) this.$.themeFont.value = t.font;
+        if (this.$.themeButtonStyle) this.$.themeButtonStyle.value = t.buttonStyle;
+        if (this.$.themeCustomCss) this.$.themeCustomCss.value = t.customCss;
+        if (this.$.themeLogo) this.$.themeLogo.hidden = !t.logoUrl;
+        if (this.$.themeLogoImg) this.$.themeLogoImg.src = t.logoUrl || '';
+        this.renderThemePreview();
+    }
+
+    readTheme() {
+        this.theme = normalizeTheme({
+            ...this.theme,
+            primaryColor: this.$.themePrimaryColor?.value,
+            backgroundColor: this.$.themeBackgroundColor?.value,
+            font: this.$.themeFont?.value,
+            buttonStyle: this.$.themeButtonStyle?.value,
+            customCss: this.$.themeCustomCss?.value || ''
+        });
+        this.renderThemePreview();
+        this.persist();
+        this.setDirty();
+    }
+
+    setTheme(theme) {
+        this.theme = normalizeTheme(theme);
+        this.renderTheme();
+        this.persist();
+        this.setDirty();
+    }
+
+    // The preview is a sandboxed page with the hosted form's stylesheets and a few sample fields
+    renderThemePreview() {
+        const frame = this.$.themePreview;
+        if (!frame) return;
+        const t = this.theme;
+        const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        const fontHref = themeFontHref(t);
+        const title = (this.$.formTitle?.value || '').trim() || 'Untitled Form';
+        frame.srcdoc = `<!doctype html><html><head><meta charset="utf-8">
+<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css">
+<link rel="stylesheet" href="/assets/vendor/css/core.css">
+<link rel="stylesheet" href="/css/custom.css">
+${fontHref ? `<link rel="stylesheet" href="${esc(fontHref)}">` : ''}
+<style>${themeCss({ ...t, customCss: t.customCss.replace(/</g, '') })}
+body { margin: 16px auto; padding: 0 16px; }</style>
+</head><body class="container py-2">
+${t.logoUrl ? `<img src="${esc(t.logoUrl)}" alt="" class="form-logo d-block mb-3">` : ''}
+<h1 class="h3 mb-4">${esc(title)}</h1>
+<form class="form-container vstack gap-2">
+<div class="form-field"><label class="form-label">Your name</label><input class="form-control" placeholder="Jane Doe"></div>
+<div class="form-field"><label class="form-label">How did you hear about us?</label>
+<div class="form-check"><input class="form-check-input" type="radio" name="r" checked><label class="form-check-label">A friend</label></div>
+<div class="form-check"><input class="form-check-input" type="radio" name="r"><label class="form-check-label">Online</label></div></div>
+<div><button type="button" class="btn btn-primary mt-2">Submit</button> <a href="#" class="ms-2">Privacy</a></div>
+</form></body></html>`;
+    }
+
+    async uploadLogo(files) {
+        if (!files || !files.length) return;
+        const { res, body } = await API.uploadFiles([files[0]]);
+        if (this.$.themeLogoFile) this.$.themeLogoFile.value = '';
+        if (!res?.ok || !body?.files?.[0]) {
+            alert(body?.error || 'Could not upload the logo.');
+            return;
+        }
+        // Keep the path only, so the logo survives a change of host
+        this.setTheme({ ...this.theme, logoUrl: `/uploads/${body.files[0].filename}` });
+    }
+
+    async loadSavedThemes() {
+        const { res, body } = await API.listThemes();
+        if (!res?.ok) return;
+        this.savedThemes = Array.isArray(body?.data) ? body.data : [];
+        const sel = this.$.themeSaved;
+        if (!sel) return;
+        const current = sel.value;
+        sel.length = 1; // keep the "Choose…" option
+        this.savedThemes.forEach(t => {
+            const opt = document.createElement('option');
+            opt.value = t.id;
+            opt.textContent = t.name;
+            sel.appendChild(opt);
+        });
+        sel.value = this.savedThemes.some(t => t.id === current) ? current : '';
+        this.renderSavedThemeButtons();
+    }
+
+    renderSavedThemeButtons() {
+        const chosen = !!this.$.themeSaved?.value;
+        [this.$.themeApplyBtn, this.$.themeUpdateBtn, this.$.themeDeleteBtn].forEach(btn => { if (btn) btn.disabled = !chosen; });
+    }
+
+    async saveThemeAs() {
+        const name = (prompt('Name of the new theme') || '').trim();
+        if (!name) return;
+        const { res, body } = await API.createTheme(name, this.theme);
+        if (!res?.ok) {
+            alert([body?.error || 'Could not save the theme.', ...(Array.isArray(body?.details) ? body.details : [])].join('\n'));
+            return;
+        }
+        await this.loadSavedThemes();
+        if (this.$.themeSaved && body?.theme) this.$.themeSaved.value = body.theme.id;
+        this.renderSavedThemeButtons();
+        flash(this.$.themeSaved);
+    }
+
+    async updateSavedTheme() {
+        const saved = this.savedThemes.find(t => t.id === this.$.themeSaved?.value);
+        if (!saved) return;
+        if (!confirm(`Replace the saved theme "${saved.name}" with this form's theme? Forms already using it keep their copy.`)) return;
+        const { res, body } = await API.updateTheme(saved.id, { settings: this.theme });
+        if (!res?.ok) {
+            alert([body?.error || 'Could not update the theme.', ...(Array.isArray(body?.details) ? body.details : [])].join('\n'));
+            return;
+        }
+        await this.loadSavedThemes();
+        flash(this.$.themeSaved);
+    }
+
+    async deleteSavedTheme() {
+        const saved = this.savedThemes.find(t => t.id === this.$.themeSaved?.value);
+        if (!saved) return;
+        if (!confirm(`Delete the saved theme "${saved.name}"? Forms using it keep their look.`)) return;
+        const { res, body } = await API.deleteTheme(saved.id);
+        if (!res?.ok) {
+            alert(body?.error || 'Could not delete the theme.');
+            return;
+        }
+        await this.loadSavedThemes();
+    }
+
+    // ---- Lifecycle (draft / published / closed / archived) ----
+    setLifecycle(data) {
+        if (!data) return;
+        if (data.status) this.status = data.status;
+        if (data.publishedVersion !== undefined) this.publishedVersion = data.publishedVersion;
+        if (data.currentVersion) this.currentVersion = data.currentVersion;
+    }
+
+    renderLifecycle() {
+        const show = !this.isTemplate && !this.isNewForm && !!this.formId;
+        if (this.$.publishGroup) this.$.publishGroup.style.display = show ? '' : 'none';
+        const badge = this.$.statusBadge;
+        if (badge) badge.style.display = show ? '' : 'none';
+        if (!show) return;
+
+        const pending = !!this.publishedVersion && this.currentVersion !== this.publishedVersion;
+        if (badge) {
+            const [text, tone] = {
+                draft: ['Draft', 'secondary'],
+                published: [pending ? 'Published · unpublished changes' : 'Published', pending ? 'warning' : 'success'],
+                closed: ['Closed', 'danger'],
+                archived: ['Archived', 'dark']
+            }[this.status] || [this.status, 'secondary'];
+            badge.textContent = text;
+            badge.className = `badge rounded-pill bg-label-${tone}`;
+            badge.title = this.publishedVersion ? `Live version: v${this.publishedVersion}` : 'Not published yet';
+        }
+        if (this.$.btnPublish) {
+            this.$.btnPublish.textContent = this.status === 'published' && pending ? 'Publish changes' : 'Publish';
+        }
+
+        // Only offer transitions that make sense from the current status
+        const allowed = {
+            closed: this.status === 'published',
+            published: this.status === 'closed' && !!this.publishedVersion,
+            draft: this.status === 'published' || this.status === 'closed',
+            archived: this.status !== 'archived'
+        };
+        this.$.statusMenu?.querySelectorAll('[data-status]').forEach(item => {
+            item.parentElement.style.display = allowed[item.dataset.status] ? '' : 'none';
+        });
+        const previewLink = this.$.statusMenu?.querySelector('.js-preview-link');
+        if (previewLink) previewLink.href = `/f/${encodeURIComponent(this.formId)}?preview=1`;
+    }
+
+    async publish() {
+        if (!this.formId || this.isTemplate) return;
+        // Publish what is on screen: save pending edits first
+        if (this.isDirty) {
+            await this.handleSaveToDB();
+            if (this.isDirty) return;
+        }
+        const btn = this.$.btnPublish;
+        if (btn) { btn.disabled = true; btn.textContent = 'Publishing…'; }
+        try {
+            const { res, body } = await API.publishForm(this.formId);
+            if (!res?.ok) {
+                alert(body?.error || 'Failed to publish form.');
+                return;
+            }
+            this.setLifecycle(body?.form);
+        } finally {
+            if (btn) btn.disabled = false;
+            this.renderLifecycle();
+        }
+    }
+
+    async changeStatus(status) {
+        if (!this.formId || this.isTemplate) return;
+        const prompts = {
+            closed: 'Close this form? Respondents will no longer be able to submit.',
+            draft: 'Unpublish this form? Its public link will stop working until it is published again.',
+            archived: 'Archive this form? Its public link will be retired.'
+        };
+        if (prompts[status] && !confirm(prompts[status])) return;
+        const { res, body } = await API.setFormStatus(this.formId, status);
+        if (!res?.ok) {
+            alert(body?.error || 'Failed to change form status.');
+            return;
+        }
+        this.setLifecycle(body?.form);
+        this.renderLifecycle();
+    }
+
     // ---- Save & validation ----
     hasValidOptions(field) {
         if (!needsOptions(field.type)) return true;
-        const opts = parseOptions(field.options);
-        return opts.length > 0;
+        const opts = normalizeOptions(field.options);
+        if (field.type === 'matrix') {
+            const rows = normalizeMatrixRows(field.matrixRows).map(r => r.value);
+            if (!rows.length || new Set(rows).size !== rows.length) return false;
+        }
+        // Answers store the value, and checkbox defaults list values separated by commas
+        const values = opts.map(o => o.value);
+        return opts.length > 0 && new Set(values).size === values.length && !values.some(v => v.includes(','));
+    }
+
+    hasValidRepeat(field) {
+        if (field.type !== 'group') return true;
+        const { minRepeat: min, maxRepeat: max } = field;
+        return Number.isInteger(min) && Number.isInteger(max) && min >= 0 && max >= 1 && max <= 50 && min <= max;
     }
 
     cleanField(f) {
         const out = {};
         for (const k of CLEAN_KEYS) if (f[k] !== undefined) out[k] = f[k];
         if (OPTION_TYPES.has(out.type) || needsOptions(out.type)) {
-            if (Array.isArray(out.options)) out.options = out.options.join(', ');
-            out.options = String(out.options || '').trim();
+            out.options = normalizeOptions(out.options);
         } else {
             delete out.options;
         }
+        if (out.type === 'matrix') out.matrixRows = normalizeMatrixRows(out.matrixRows);
         return out;
     }
 
@@ -875,7 +2639,14 @@ export class Builder {
         for (const f of this.fields) {
             if (!String(f.label || '').trim()) { alert('Each field must have a Display Label.'); this.select(f.id); return; }
             if (!String(f.name || '').trim()) { alert('Each field must have an Internal Field Name.'); this.select(f.id); return; }
-            if (!this.hasValidOptions(f)) { alert('This field needs options (comma-separated).'); this.select(f.id); return; }
+            if (!this.hasValidOptions(f)) {
+                alert(f.type === 'matrix'
+                    ? 'Matrix questions need rows and columns, each row and column with its own value (no commas in column values).'
+                    : 'This field needs options, each with its own value (no commas).');
+                this.select(f.id);
+                return;
+            }
+            if (!this.hasValidRepeat(f)) { alert('Entries must be whole numbers from 0 to 50, and the minimum cannot exceed the maximum.'); this.select(f.id); return; }
         }
 
         // Uniqueness of field names within this form
@@ -892,10 +2663,27 @@ export class Builder {
             }
         }
 
+        // Rules must point at existing fields
+        if (!this.isTemplate) {
+            const ruleError = this.validateRules();
+            if (ruleError) {
+                alert(ruleError);
+                this.showTab(this.$.tabRulesBtn);
+                return;
+            }
+            const settingsError = this.validateSettings();
+            if (settingsError) {
+                alert(settingsError);
+                this.showTab(this.$.tabSettingsBtn);
+                return;
+            }
+        }
+
         const payload = {
             id: this.formId || undefined,
             ...(this.isTemplate ? { name: title } : { title: title }), // Templates use 'name', forms use 'title'
-            fields: this.fields.map(f => this.cleanField(f))
+            fields: this.fields.map(f => this.cleanField(f)),
+            ...(this.isTemplate ? {} : { rules: this.rules.map(r => this.cleanRule(r)), schedule: this.schedule, settings: this.settings, languages: this.languages, theme: this.theme })
         };
 
         // Save operation in progress
@@ -933,6 +2721,9 @@ export class Builder {
                     clearLocal(null); // Clear the general preload key
                 }
             }
+            if (body?.form) this.setLifecycle(body.form);
+            this.updateHistoryButton();
+            this.renderLifecycle();
             // Mark the builder as clean after a successful save so navigation doesn't warn
             this.clearDirty();
             if (this.$.btnSave) {
@@ -1266,57 +3057,80 @@ export class Builder {
         });
     }
 
+    // Shared SortableJS options: the preview and every group's child list form one drag group
+    _sortableOptions(extra = {}) {
+        return {
+            animation: 150,
+            draggable: '[data-fid]',
+            group: { name: 'fields' },
+            // Allow interacting with form controls inside cards without blocking focus/click
+            filter: 'input,textarea,select,button,label,a',
+            preventOnFilter: false,
+            ghostClass: 'sortable-ghost',
+            chosenClass: 'sortable-chosen',
+            dragClass: 'dragging',
+            fallbackOnBody: true,
+            swapThreshold: 0.5,
+            onStart: (evt) => {
+                const el = evt.item;
+                this.dnd.draggingId = el?.dataset?.fid || null;
+                this.dnd.fromIndex = (evt.oldIndex != null ? evt.oldIndex : -1);
+            },
+            onEnd: (evt) => {
+                const id = evt.item?.dataset?.fid;
+                this.dnd.draggingId = null;
+                this.dnd.fromIndex = -1;
+                if (evt.from === evt.to && evt.oldIndex === evt.newIndex) return;
+                // Nested lists make flat indexes meaningless; read the new order back from the DOM
+                this.syncFieldsFromPreview();
+                this.pruneRules();
+                this.persist();
+                this.setDirty();
+                this.renderPreview();
+                if (id) {
+                    this.select(id);
+                    const el = this.$.preview?.querySelector(`[data-fid="${id}"]`);
+                    flash(el);
+                }
+                if (this.$.btnSave) {
+                    this.$.btnSave.disabled = false;
+                    this.$.btnSave.textContent = 'Save';
+                }
+            },
+            ...extra
+        };
+    }
+
     initSortable() {
         if (this._sortableReady) return;
         const host = this.$.preview;
         if (!host || typeof window.Sortable === 'undefined') return;
         try {
             // eslint-disable-next-line no-new
-            new window.Sortable(host, {
-                animation: 150,
-                draggable: '[data-fid]',
-                // Allow interacting with form controls inside cards without blocking focus/click
-                filter: 'input,textarea,select,button,label,a',
-                preventOnFilter: false,
-                ghostClass: 'sortable-ghost',
-                chosenClass: 'sortable-chosen',
-                dragClass: 'dragging',
-                fallbackOnBody: true,
-                swapThreshold: 0.5,
-                onStart: (evt) => {
-                    const el = evt.item;
-                    this.dnd.draggingId = el?.dataset?.fid || null;
-                    this.dnd.fromIndex = (evt.oldIndex != null ? evt.oldIndex : -1);
-                },
-                onEnd: (evt) => {
-                    const from = (evt.oldIndex != null ? evt.oldIndex : -1);
-                    const to = (evt.newIndex != null ? evt.newIndex : -1);
-                    this.dnd.draggingId = null;
-                    this.dnd.fromIndex = -1;
-                    if (from < 0 || to < 0 || from === to) return;
-                    if (from >= this.fields.length || to >= this.fields.length) return;
-                    const id = this.fields[from]?.id;
-                    const [moved] = this.fields.splice(from, 1);
-                    this.fields.splice(to, 0, moved);
-                    this.persist();
-                    this.setDirty();
-                    this.renderPreview();
-                    if (id) {
-                        this.select(id);
-                        const el = this.$.preview?.querySelector(`[data-fid="${id}"]`);
-                        flash(el);
-                    }
-                    if (this.$.btnSave) {
-                        this.$.btnSave.disabled = false;
-                        this.$.btnSave.textContent = 'Save';
-                    }
-                }
-            });
+            new window.Sortable(host, this._sortableOptions());
             this._sortableReady = true;
         } catch (e) {
             // Sortable init failed - handled silently
         }
     }
+
+    // Group child lists are rebuilt on every render, so they get fresh Sortables each time
+    initGroupSortables() {
+        if (typeof window.Sortable === 'undefined') return;
+        this.$.preview?.querySelectorAll('.group-children').forEach(list => {
+            try {
+                // eslint-disable-next-line no-new
+                new window.Sortable(list, this._sortableOptions({
+                    group: {
+                        name: 'fields',
+                        put: (_to, _from, dragEl) => !GROUP_EXCLUDED_TYPES.has(dragEl?.dataset?.type)
+                    }
+                }));
+            } catch (e) {
+                // Sortable init failed - handled silently
+            }
+        });
+    }
 }
 
 export async function startBuilder() {
@@ -1,4 +1,10 @@
 // src/client/builder/templates.js
+import { scaleOf } from './helpers.js';
+import { countryOptions, requiredPartsOf } from '../../shared/address.js';
+import { normalizeOptions, normalizeMatrixRows, otherKeyOf, OTHER_OPTION_VALUE, OTHER_OPTION_LABEL } from '../../shared/options.js';
+
+// Country selector of address fields, built on first use
+let countries = null;
 
 // Compiled Handlebars partials keyed by partial name
 export const TEMPLATES = Object.create(null);
@@ -20,15 +26,33 @@ export function renderFieldHTML(field, idx, partialForMap) {
     const partialName = (partialForMap && partialForMap[field.type]) || 'text';
     const tmpl = TEMPLATES[partialName];
     if (!tmpl) return '';
-    const options = String(field.options || '')
-        .split(',')
-        .map(s => s.trim())
-        .filter(Boolean);
+    const options = normalizeOptions(field.options);
+    // Show the default value as respondents first see it
+    const defaultValue = String(field.defaultValue ?? '');
+    const defaults = field.type === 'checkboxes' ? defaultValue.split(',') : [defaultValue];
+    const name = field.name || field.id || `f_${idx}`;
     return tmpl({
-        name: field.name || field.id || `f_${idx}`,
+        name,
         label: field.label || '',
         required: !!field.required,
         placeholder: field.placeholder || '',
-        options
+        options,
+        rows: normalizeMatrixRows(field.matrixRows),
+        scale: scaleOf(field),
+        stars: field.type === 'rating' ? scaleOf(field).reverse() : [],
+        parts: field.type === 'address' ? Object.fromEntries(requiredPartsOf(field.requiredParts).map(part => [part, true])) : null,
+        countries: field.type === 'address' ? (countries ??= countryOptions()) : [],
+        content: field.type === 'richText' ? field.content || '' : '',
+        // Options are previewed in their saved order, even when respondents get them shuffled
+        other: field.allowOther ? { value: OTHER_OPTION_VALUE, label: OTHER_OPTION_LABEL, name: otherKeyOf(name) } : null,
+        // Calculated fields show their formula until the form is filled in
+        value: field.type === 'calculated' ? (field.formula ? `= ${field.formula}` : '') : defaultValue,
+        selected: Object.fromEntries(defaults.map(v => [v.trim(), true])),
+        // Attribute strings, so a 0 limit still renders
+        validation: field.validation
+            ? Object.fromEntries(Object.entries(field.validation).map(([k, v]) => [k, String(v)]))
+            : null,
+        minRepeat: field.minRepeat ?? 0,
+        maxRepeat: field.maxRepeat ?? ''
     });
 }
@@ -1,5 +1,5 @@
 // src/client/builder/utils.js
-export function uuid() {
+export function uuid(prefix = 'field_') {
     const ALPH = '0123456789abcdefghijklmnopqrstuvwxyz';
     const n = 8; // random part length
     const buf = new Uint8Array(n);
@@ -10,7 +10,7 @@ export function uuid() {
     }
     let rand = '';
     for (let i = 0; i < n; i++) rand += ALPH[buf[i] % 36];
-    return 'field_' + rand;
+    return prefix + rand;
 }
 
 export function debounce(fn, ms = 160) {
@@ -71,4 +71,17 @@ export function generateUniqueFieldName(baseName, existingNames) {
     }
     existing.add(candidate);
     return candidate;
-}
\ No newline at end of file
+}
+// ISO timestamp <-> value of an <input type="datetime-local"> (browser's local time)
+export function toLocalDateTimeInput(iso) {
+    if (!iso) return '';
+    const d = new Date(iso);
+    if (isNaN(d.getTime())) return '';
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+export function fromLocalDateTimeInput(value) {
+    if (!value) return null;
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+}
@@ -14,21 +14,30 @@ import usersRouter from './routes/users.routes.js';
 import logsRouter from './routes/logs.routes.js';
 import categoriesRouter from './routes/categories.routes.js';
 import templatesRouter from './routes/templates.routes.js';
+import themesRouter from './routes/themes.routes.js';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
 import helmet from 'helmet';
 import { doubleCsrf } from 'csrf-csrf';
 import crypto from 'crypto';
 import { logger } from './utils/logger.js';
+import { checkFieldTypes } from './utils/field-types-check.js';
+import { recordFormVersion } from './services/versions.service.js';
+import { normalizeOptions, normalizeMatrixRows } from '../shared/options.js';
+import { DEFAULT_LOCALE } from '../shared/locales.js';
 import { RefreshToken } from './models/RefreshToken.js';
 import { AuditLog } from './models/AuditLog.js';
 import { User } from './models/User.js';
 import { UserLockout } from './models/UserLockout.js';
 import { FormSubmission } from './models/FormSubmission.js';
+import { SubmissionAttachment } from './models/SubmissionAttachment.js';
 import { Form } from './models/Form.js';
 import { FormField } from './models/FormField.js';
+import { FormRule } from './models/FormRule.js';
+import { FormVersion } from './models/FormVersion.js';
 import { Category } from './models/Category.js';
 import { Template } from './models/Template.js';
+import { Theme } from './models/Theme.js';
 
 // Paths / __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -97,6 +106,9 @@ app.use('/tpl/fields', express.static(path.join(PARTIALS_DIR, 'fields')));
 // Serve ES modules from src/client/builder
 app.use('/src/client/builder', express.static(path.join(ROOT, 'src', 'client', 'builder')));
 
+// Modules shared by the server and the browser (e.g. the calculated field formula parser)
+app.use('/src/shared', express.static(path.join(ROOT, 'src', 'shared')));
+
 // Body parsers
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -222,6 +234,7 @@ app.use(logsRouter);
 app.use(formsRouter);
 app.use(templatesRouter);
 app.use(categoriesRouter);
+app.use(themesRouter);
 
 // Serve uploaded files
 app.use('/uploads', express.static(path.join(ROOT, 'uploads')));
@@ -422,11 +435,14 @@ async function ensureSchema() {
     // Sync main application models
     await Form.sync();
     await FormField.sync();
+    await FormRule.sync();
+    await FormVersion.sync();
     await User.sync();
     await RefreshToken.sync();
     await AuditLog.sync();
     await Category.sync();
     await Template.sync();
+    await Theme.sync();
     await UserLockout.sync();
 
     // Define model associations
@@ -436,6 +452,12 @@ async function ensureSchema() {
     Form.hasMany(FormField, { foreignKey: 'formId', as: 'fields', onDelete: 'CASCADE' });
     FormField.belongsTo(Form, { foreignKey: 'formId', as: 'form' });
 
+    Form.hasMany(FormRule, { foreignKey: 'formId', as: 'rules', onDelete: 'CASCADE' });
+    FormRule.belongsTo(Form, { foreignKey: 'formId', as: 'form' });
+
+    Form.hasMany(FormVersion, { foreignKey: 'formId', as: 'versions', onDelete: 'CASCADE' });
+    FormVersion.belongsTo(Form, { foreignKey: 'formId', as: 'form' });
+
     Template.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
     Category.hasMany(Template, { foreignKey: 'categoryId', as: 'templates' });
 
@@ -467,6 +489,93 @@ async function ensureSchema() {
       logger.info('Added missing column forms.createdBy');
     }
 
+    const hasCurrentVersion = Array.isArray(cols) && cols.some(c => String(c.name).toLowerCase() === 'currentversion');
+    if (!hasCurrentVersion) {
+      await sequelize.getQueryInterface().addColumn('forms', 'currentVersion', {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+      logger.info('Added missing column forms.currentVersion');
+    }
+
+    const hasStatus = Array.isArray(cols) && cols.some(c => String(c.name).toLowerCase() === 'status');
+    if (!hasStatus) {
+      await sequelize.getQueryInterface().addColumn('forms', 'status', {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: 'draft'
+      });
+      // Forms created before the lifecycle existed were already live
+      await sequelize.query("UPDATE forms SET status = 'published'");
+      logger.info('Added missing column forms.status (existing forms marked published)');
+    }
+
+    const hasPublishedVersion = Array.isArray(cols) && cols.some(c => String(c.name).toLowerCase() === 'publishedversion');
+    if (!hasPublishedVersion) {
+      await sequelize.getQueryInterface().addColumn('forms', 'publishedVersion', {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      });
+      logger.info('Added missing column forms.publishedVersion');
+    }
+
+    const scheduleColumns = {
+      opensAt: DataTypes.DATE,
+      closesAt: DataTypes.DATE,
+      maxResponses: DataTypes.INTEGER,
+      closedMessage: DataTypes.TEXT,
+      passMark: DataTypes.INTEGER,
+      thankYouMessage: DataTypes.TEXT,
+      redirectUrl: DataTypes.STRING(2048)
+    };
+    for (const [name, type] of Object.entries(scheduleColumns)) {
+      if (Array.isArray(cols) && cols.some(c => String(c.name).toLowerCase() === name.toLowerCase())) continue;
+      await sequelize.getQueryInterface().addColumn('forms', name, { type, allowNull: true });
+      logger.info(`Added missing column forms.${name}`);
+    }
+
+    // Responses accepted so far; filled in from the stored submissions once the submissions database is ready
+    const addedResponseCount = !(Array.isArray(cols) && cols.some(c => String(c.name).toLowerCase() === 'responsecount'));
+    if (addedResponseCount) {
+      await sequelize.getQueryInterface().addColumn('forms', 'responseCount', {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+      logger.info('Added missing column forms.responseCount');
+    }
+
+    for (const name of ['captureUtm', 'showScore', 'showFeedback', 'showSummary', 'allowAnotherResponse']) {
+      if (Array.isArray(cols) && cols.some(c => String(c.name).toLowerCase() === name.toLowerCase())) continue;
+      await sequelize.getQueryInterface().addColumn('forms', name, {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      });
+      logger.info(`Added missing column forms.${name}`);
+    }
+
+    // Multi-language forms: existing forms are written in the default locale, without translations
+    if (!(Array.isArray(cols) && cols.some(c => String(c.name).toLowerCase() === 'defaultlocale'))) {
+      await sequelize.getQueryInterface().addColumn('forms', 'defaultLocale', {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: DEFAULT_LOCALE
+      });
+      logger.info('Added missing column forms.defaultLocale');
+    }
+    if (!(Array.isArray(cols) && cols.some(c => String(c.name).toLowerCase() === 'translations'))) {
+      await sequelize.getQueryInterface().addColumn('forms', 'translations', { type: DataTypes.TEXT, allowNull: true });
+      logger.info('Added missing column forms.translations');
+    }
+
+    // Themes: existing forms keep the default look
+    if (!(Array.isArray(cols) && cols.some(c => String(c.name).toLowerCase() === 'theme'))) {
+      await sequelize.getQueryInterface().addColumn('forms', 'theme', { type: DataTypes.TEXT, allowNull: true });
+      logger.info('Added missing column forms.theme');
+    }
+
     // Ensure unique index on forms.title (case-insensitive)
     try {
       const [idx] = await sequelize.query("PRAGMA index_list('forms')");
@@ -501,6 +610,126 @@ async function ensureSchema() {
         });
         logger.info('Added missing column form_fields.content');
       }
+
+      if (!ffColNames.includes('validation')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'validation', {
+          type: DataTypes.TEXT,
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.validation');
+      }
+
+      if (!ffColNames.includes('defaultvalue')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'defaultValue', {
+          type: DataTypes.TEXT,
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.defaultValue');
+      }
+
+      if (!ffColNames.includes('allowprefill')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'allowPrefill', {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        });
+        logger.info('Added missing column form_fields.allowPrefill');
+      }
+
+      if (!ffColNames.includes('valuesource')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'valueSource', {
+          type: DataTypes.STRING(16),
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.valueSource');
+      }
+
+      if (!ffColNames.includes('matrixrows')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'matrixRows', {
+          type: DataTypes.TEXT,
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.matrixRows');
+      }
+
+      if (!ffColNames.includes('scalemax')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'scaleMax', {
+          type: DataTypes.INTEGER,
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.scaleMax');
+      }
+
+      if (!ffColNames.includes('requiredparts')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'requiredParts', {
+          type: DataTypes.STRING(255),
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.requiredParts');
+      }
+
+      if (!ffColNames.includes('correctanswer')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'correctAnswer', {
+          type: DataTypes.TEXT,
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.correctAnswer');
+      }
+
+      if (!ffColNames.includes('points')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'points', {
+          type: DataTypes.INTEGER,
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.points');
+      }
+
+      if (!ffColNames.includes('formula')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'formula', {
+          type: DataTypes.TEXT,
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.formula');
+      }
+
+      if (!ffColNames.includes('width')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'width', {
+          type: DataTypes.STRING(16),
+          allowNull: false,
+          defaultValue: 'full'
+        });
+        logger.info('Added missing column form_fields.width');
+      }
+
+      for (const name of ['allowOther', 'shuffleOptions']) {
+        if (ffColNames.includes(name.toLowerCase())) continue;
+        await sequelize.getQueryInterface().addColumn('form_fields', name, {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        });
+        logger.info(`Added missing column form_fields.${name}`);
+      }
+
+      if (!ffColNames.includes('translations')) {
+        await sequelize.getQueryInterface().addColumn('form_fields', 'translations', {
+          type: DataTypes.TEXT,
+          allowNull: true
+        });
+        logger.info('Added missing column form_fields.translations');
+      }
+
+      // Repeatable group columns
+      const groupColumns = {
+        parentName: DataTypes.STRING(128),
+        minRepeat: DataTypes.INTEGER,
+        maxRepeat: DataTypes.INTEGER
+      };
+      for (const [name, type] of Object.entries(groupColumns)) {
+        if (ffColNames.includes(name.toLowerCase())) continue;
+        await sequelize.getQueryInterface().addColumn('form_fields', name, { type, allowNull: true });
+        logger.info(`Added missing column form_fields.${name}`);
+      }
     } catch (e) {
       logger.warn('Form fields column ensure failed:', e.message || e);
     }
@@ -530,11 +759,76 @@ async function ensureSchema() {
       logger.warn('Index ensure failed (form_fields):', e.message || e);
     }
 
+    // Options used to be comma-separated labels: store them as option lists, each label keeping
+    // its place as the stored value so existing submissions, rules and defaults still match
+    try {
+      const [legacy] = await sequelize.query(
+        "SELECT id, options FROM form_fields WHERE options <> '' AND substr(ltrim(options), 1, 1) <> '['"
+      );
+      for (const row of legacy) {
+        const list = normalizeOptions(row.options);
+        await sequelize.query('UPDATE form_fields SET options = ? WHERE id = ?', {
+          replacements: [list.length ? JSON.stringify(list) : '', row.id]
+        });
+      }
+      if (legacy.length) logger.info(`Converted the options of ${legacy.length} field(s) to option lists`);
+    } catch (e) {
+      logger.warn('Option list migration failed:', e.message || e);
+    }
+
+    // Matrix rows too; each label stays the row's value, which keys the stored answers
+    try {
+      const [legacy] = await sequelize.query(
+        "SELECT id, matrixRows FROM form_fields WHERE matrixRows <> '' AND substr(ltrim(matrixRows), 1, 1) <> '['"
+      );
+      for (const row of legacy) {
+        const list = normalizeMatrixRows(row.matrixRows);
+        await sequelize.query('UPDATE form_fields SET matrixRows = ? WHERE id = ?', {
+          replacements: [list.length ? JSON.stringify(list) : null, row.id]
+        });
+      }
+      if (legacy.length) logger.info(`Converted the rows of ${legacy.length} matrix field(s) to row lists`);
+    } catch (e) {
+      logger.warn('Matrix row migration failed:', e.message || e);
+    }
+
+    // Forms saved before versioning existed get their current state as version 1
+    try {
+      const unversioned = await Form.findAll({ where: { currentVersion: 0 }, attributes: ['id'] });
+      for (const f of unversioned) {
+        await recordFormVersion(f.id, { note: 'Initial version' });
+      }
+      if (unversioned.length) logger.info(`Recorded initial versions for ${unversioned.length} form(s)`);
+      // Published forms without a published snapshot go live at their latest version
+      await sequelize.query("UPDATE forms SET publishedVersion = currentVersion WHERE status <> 'draft' AND publishedVersion IS NULL AND currentVersion > 0");
+    } catch (e) {
+      logger.warn('Initial form versions failed:', e.message || e);
+    }
+
     // Ensure submissions database and its schema
     try {
       await submissionsSequelize.authenticate();
       await submissionsSequelize.query('PRAGMA foreign_keys = ON;');
       await FormSubmission.sync();
+      await SubmissionAttachment.sync();
+
+      const [subCols] = await submissionsSequelize.query("PRAGMA table_info('form_submissions')");
+      const hasFormVersion = Array.isArray(subCols) && subCols.some(c => String(c.name).toLowerCase() === 'formversion');
+      if (!hasFormVersion) {
+        await submissionsSequelize.getQueryInterface().addColumn('form_submissions', 'formVersion', {
+          type: DataTypes.INTEGER,
+          allowNull: true
+        });
+        logger.info('Added missing column form_submissions.formVersion in submissions database');
+      }
+
+      // The respondent's locale and the quiz result
+      const resultColumns = { locale: DataTypes.STRING(16), score: DataTypes.INTEGER, maxScore: DataTypes.INTEGER, passed: DataTypes.BOOLEAN };
+      for (const [name, type] of Object.entries(resultColumns)) {
+        if (Array.isArray(subCols) && subCols.some(c => String(c.name).toLowerCase() === name.toLowerCase())) continue;
+        await submissionsSequelize.getQueryInterface().addColumn('form_submissions', name, { type, allowNull: true });
+        logger.info(`Added missing column form_submissions.${name} in submissions database`);
+      }
 
       // Ensure index on form_submissions(formId) in submissions database
       const [idx] = await submissionsSequelize.query("PRAGMA index_list('form_submissions')");
@@ -548,6 +842,15 @@ async function ensureSchema() {
         await submissionsSequelize.query("CREATE INDEX IF NOT EXISTS idx_form_submissions_formId_created ON form_submissions(formId, createdAt)");
         logger.info('Ensured composite index idx_form_submissions_formId_created in submissions database');
       }
+
+      // Until now only stored submissions were counted, so they are where an existing form's count starts
+      if (addedResponseCount) {
+        const [counts] = await submissionsSequelize.query('SELECT formId, COUNT(*) AS n FROM form_submissions GROUP BY formId');
+        for (const row of counts) {
+          await sequelize.query('UPDATE forms SET responseCount = ? WHERE id = ?', { replacements: [row.n, row.formId] });
+        }
+        if (counts.length) logger.info(`Counted the stored responses of ${counts.length} form(s)`);
+      }
     } catch (e) {
       logger.warn('Submissions database initialization failed:', e.message || e);
     }
@@ -602,6 +905,9 @@ if (process.env.NODE_ENV !== 'test') {
       await submissionsSequelize.authenticate();
       await submissionsSequelize.query('PRAGMA foreign_keys = ON;');
 
+      // Refuse to start when the builder and server disagree on field types
+      checkFieldTypes();
+
       await ensureSchema();
       app.listen(port, () => {
         logger.info(`Listening on http://localhost:${port}`);
@@ -4,14 +4,34 @@ import { sequelize, submissionsSequelize } from '../db.js';
 import { Form } from '../models/Form.js';
 import { FormSubmission } from '../models/FormSubmission.js';
 import { FormField } from '../models/FormField.js';
+import { FormRule } from '../models/FormRule.js';
 import { Category } from '../models/Category.js';
 import { logAudit } from '../services/audit.service.js';
-import { isTitleTaken, createFormWithFields, updateFormWithFields, normalizeTitle } from '../services/forms.service.js';
-import { createSubmission, deleteSubmissionsByFormId } from '../services/submissions.service.js';
+import { isTitleTaken, copyTitleFor, createFormWithFields, updateFormWithFields, normalizeTitle, publishWorkingCopy, setFormStatus, setFormSchedule, setFormSettings, setFormLanguages, setFormTheme } from '../services/forms.service.js';
+import { createSubmission, deleteSubmissionsByFormId, getSubmissionById, getSubmissionAttachment, getAllSubmissionsByFormId } from '../services/submissions.service.js';
+import { buildExport, toCsv, storageKeyOf } from '../services/export.service.js';
+import { recordFormVersion, deleteFormVersions } from '../services/versions.service.js';
+import { loadLiveForm, reserveResponse, releaseResponse } from '../services/availability.service.js';
 import { getFileUrl } from '../middleware/upload.js';
-import { formValidation, formFieldValidation, sanitize, runValidation } from '../services/validation.service.js';
+import { formValidation, formFieldValidation, sanitize, runValidation, MAX_GROUP_REPEAT, scaleOf, decodeSignature } from '../services/validation.service.js';
 import { logger } from '../utils/logger.js';
 import { sanitizeFields, validateFields, ensureUniqueFieldNames } from '../utils/field-validation.js';
+import { validateRules } from '../utils/rule-validation.js';
+import { validateSchedule } from '../utils/schedule-validation.js';
+import { validateSettings } from '../utils/settings-validation.js';
+import { validateLanguages } from '../utils/language-validation.js';
+import { validateTheme } from '../utils/theme-validation.js';
+import { toFieldOut } from '../utils/field-rows.js';
+import { applyRulesToSubmission, answerKeysFor, groupChildren, isEmptyEntry, isEmptyAnswer } from '../services/rules.service.js';
+import { validateAnswers, checkField, defaultAnswerOf } from '../utils/answer-validation.js';
+import { utmFromQuery, takeUtm } from '../services/tracking.service.js';
+import { scoreAnswers } from '../services/scoring.service.js';
+import { isAllowedRedirect } from '../services/redirect.service.js';
+import { computeCalculated } from '../../shared/formula.js';
+import { countryOptions, requiredPartsOf } from '../../shared/address.js';
+import { normalizeOptions, normalizeMatrixRows, otherKeyOf, OTHER_OPTION_VALUE, OTHER_OPTION_LABEL } from '../../shared/options.js';
+import { DEFAULT_LOCALE, formLocales, matchLocale, localizeField, localeName, translationOf } from '../../shared/locales.js';
+import { normalizeTheme, themeCss, themeFontHref } from '../../shared/themes.js';
 
 // ---------------------- Helpers (render mapping) ----------------------
 
@@ -27,37 +47,319 @@ function formatDate(date) {
   }).format(new Date(date));
 }
 
-// Map builder field.type -> partial path (under views/partials/fields)
-const PARTIAL_FOR = {
+// Map builder field.type -> partial path (under views/partials/fields); checked against FIELD_TYPES at startup
+export const PARTIAL_FOR = {
   singleLine: 'fields/text',
   paragraph: 'fields/textarea',
   dropdown: 'fields/select',
+  multipleSelect: 'fields/multiple-select',
   multipleChoice: 'fields/radios',
   checkboxes: 'fields/checkboxes',
   number: 'fields/number',
   name: 'fields/name',
+  address: 'fields/address',
   email: 'fields/email',
   phone: 'fields/phone',
   password: 'fields/password',
   date: 'fields/date',
   time: 'fields/time',
   datetime: 'fields/datetime',
-  month: 'fields/month',
+  datePicker: 'fields/date-picker',
+  timePicker: 'fields/time-picker',
+  datetimePicker: 'fields/datetime-picker',
+  rangePicker: 'fields/range-picker',
+  colorPicker: 'fields/color-picker',
   url: 'fields/url',
   file: 'fields/file',
-  richText: 'fields/rich-text'
+  richText: 'fields/rich-text',
+  pageBreak: 'fields/page-break',
+  group: 'fields/group',
+  hidden: 'fields/hidden',
+  calculated: 'fields/calculated',
+  rating: 'fields/rating',
+  nps: 'fields/nps',
+  likert: 'fields/likert',
+  matrix: 'fields/matrix',
+  signature: 'fields/signature'
 };
 
+// Country selector of address fields (names are the same for every form)
+const COUNTRY_OPTIONS = countryOptions();
+
+// Bootstrap column per field width; every field is full width below the md breakpoint
+const WIDTH_CLASS = { full: '', half: 'col-md-6', third: 'col-md-4', quarter: 'col-md-3' };
+
+// A copy of a list in random order (Fisher-Yates): shuffled options are drawn anew for every respondent
+const shuffled = (list) => {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+// Validation constraints as attribute strings for the partials (so 0 still renders)
+const toConstraintAttrs = (c) => (c
+  ? Object.fromEntries(Object.entries(c).map(([k, v]) => [k, String(v)]))
+  : null);
+
 const toVM = (f, idx) => ({
   name: f.name || f.id || `f_${idx}`,
   label: f.label || '',
   required: !!f.required,
   placeholder: f.placeholder || '',
-  options: String(f.options || '').split(',').map(s => s.trim()).filter(Boolean)
+  // { label, value, description? }: partials show the label and submit the value
+  options: normalizeOptions(f.options),
+  // Matrix rows: the partial shows the label and keys the answer by the value
+  rows: normalizeMatrixRows(f.matrixRows)
 });
 
+// Initial answers, keyed like submitted data: a URL prefill replaces the default value
+// when the field allows it and the prefilled value is an answer the field would accept.
+// Hidden fields may instead take the referrer of the form page.
+const initialAnswers = (fields, { query = {}, referrer = '' } = {}) => {
+  const answers = {};
+  for (const f of fields) {
+    if (f.parentName) continue;
+    if (f.type === 'hidden' && f.valueSource === 'referrer' && referrer
+      && !checkField(f, { [f.name]: referrer }, false)) {
+      answers[f.name] = referrer;
+      continue;
+    }
+    if (f.allowPrefill) {
+      const prefill = {};
+      for (const key of answerKeysFor(f)) {
+        const raw = query[key];
+        if (raw === undefined) continue;
+        // Checkboxes accept ?key=a&key=b as well as ?key=a,b
+        prefill[key] = f.type === 'checkboxes' && key === f.name
+          ? [].concat(raw).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean)
+          : raw;
+      }
+      if (Object.keys(prefill).length && !checkField(f, prefill, false)) {
+        Object.assign(answers, prefill);
+        continue;
+      }
+    }
+    const value = defaultAnswerOf(f);
+    if (value !== undefined) answers[f.name] = value;
+  }
+  return answers;
+};
+
+// Fill in (or clear) every calculated field of `data` from its formula
+const setCalculated = (fields, data) => {
+  const topLevel = fields.filter(f => !f.parentName);
+  for (const [name, value] of Object.entries(computeCalculated(topLevel, data))) {
+    if (value === '') delete data[name];
+    else data[name] = value;
+  }
+};
+
+// What the partials need to show an answer: text value, ticked options, name parts
+const toValueVM = (f, answers, name) => {
+  const value = answers[name];
+  if (f.type === 'name') {
+    return { valueFirst: answers[`${name}_first`] || '', valueLast: answers[`${name}_last`] || '' };
+  }
+  if (value === undefined) return {};
+  const selected = Object.fromEntries([].concat(value).map(v => [String(v).trim(), true]));
+  const otherText = answers[otherKeyOf(name)];
+  return {
+    value: Array.isArray(value) ? '' : String(value),
+    selected,
+    ...(f.allowOther && otherText !== undefined ? { otherText: String(otherText) } : {})
+  };
+};
+
+// Split hosted-form fields into steps at each page break (empty pages are dropped).
+// Group children render inside their group; "__i__" in their names is replaced by the entry index.
+// Hidden fields belong to no page and are returned separately.
+const toPages = (fields, answers = {}) => {
+  const fieldVM = (f, idx, name = f.name) => ({
+    partial: PARTIAL_FOR[f.type] || 'fields/text',
+    colClass: WIDTH_CLASS[f.width] || '',
+    validation: toConstraintAttrs(f.validation),
+    // Rating and NPS choices; stars are listed highest first (see fields/rating)
+    scale: scaleOf(f),
+    stars: f.type === 'rating' ? scaleOf(f).reverse() : [],
+    // Address parts needed whenever an address is given, and the country selector
+    parts: f.type === 'address' ? Object.fromEntries(requiredPartsOf(f.requiredParts).map(part => [part, true])) : null,
+    countries: f.type === 'address' ? COUNTRY_OPTIONS : [],
+    // "Other" choice, listed after the options (also when they are shuffled) with a text box
+    other: f.allowOther ? { value: OTHER_OPTION_VALUE, label: f.otherLabel || OTHER_OPTION_LABEL, name: otherKeyOf(name) } : null,
+    // Rich-text help shown above the editor (sanitized when the form was saved, and again for older forms)
+    content: f.type === 'richText' ? sanitize.richText(f.content || '') : '',
+    // Group children start every entry from their default value
+    ...toValueVM(f, f.parentName ? { [name]: defaultAnswerOf(f) } : answers, name),
+    ...toVM({
+      name, label: f.label, required: f.required,
+      placeholder: f.placeholder, matrixRows: f.matrixRows,
+      options: f.shuffleOptions ? shuffled(normalizeOptions(f.options)) : f.options
+    }, idx)
+  });
+  const pages = [{ title: '', fields: [] }];
+  const hiddenFields = [];
+  fields.forEach((f, idx) => {
+    if (f.type === 'pageBreak') {
+      pages.push({ title: f.label || '', fields: [] });
+      return;
+    }
+    if (f.parentName) return;
+    const vm = fieldVM(f, idx);
+    if (f.type === 'hidden') {
+      hiddenFields.push(vm);
+      return;
+    }
+    if (f.type === 'group') {
+      vm.minRepeat = f.minRepeat ?? 0;
+      vm.maxRepeat = f.maxRepeat ?? MAX_GROUP_REPEAT;
+      vm.children = fields
+        .filter(c => c.parentName === f.name)
+        .map((c, cIdx) => fieldVM(c, cIdx, `${f.name}.__i__.${c.name}`));
+    }
+    pages[pages.length - 1].fields.push(vm);
+  });
+  return {
+    pages: pages
+      .filter(p => p.fields.length)
+      .map((p, i) => ({ ...p, id: `form-page-${i + 1}`, number: i + 1, title: p.title || `Page ${i + 1}` })),
+    hiddenFields
+  };
+};
+
+// Field output shape shared by the API and builder preload
+const toFieldApiOut = (f, idx) => ({ ...toFieldOut(f), order: (f.position ?? idx) + 1 });
+
+// Rule output shape shared by the API, builder preload and hosted form
+const toRuleOut = (r) => ({
+  id: r.id,
+  sourceField: r.sourceField,
+  operator: r.operator,
+  value: r.value,
+  action: r.action,
+  targetField: r.targetField
+});
+const sortRules = (rules) => (rules || []).slice().sort((a, b) => a.position - b.position);
+const ruleKey = (r) => `${r.sourceField}|${r.operator}|${r.value}|${r.action}|${r.targetField}`;
+
+// User id recorded on versions (only meaningful when auth is enabled)
+const actorId = (req) => {
+  const reqUser = req.session?.user || req.user || null;
+  return process.env.AUTH_ENABLED === '1' ? (reqUser?.id || null) : null;
+};
+
+// Editors may preview the unpublished working copy at /f/:id?preview=1
+const canPreview = (req) => {
+  if (process.env.AUTH_ENABLED !== '1') return true;
+  const role = req.session?.user?.role || req.user?.role || null;
+  return ['admin', 'editor', 'viewer'].includes(role);
+};
+
+// Lifecycle fields shared by API responses and the builder preload
+const toLifecycleOut = (f) => ({
+  status: f.status,
+  currentVersion: f.currentVersion,
+  publishedVersion: f.publishedVersion ?? null
+});
+
+// Scheduling and response cap as the builder sends and receives them
+const toScheduleOut = (f) => ({
+  opensAt: f.opensAt ? new Date(f.opensAt).toISOString() : null,
+  closesAt: f.closesAt ? new Date(f.closesAt).toISOString() : null,
+  maxResponses: f.maxResponses ?? null,
+  closedMessage: f.closedMessage || ''
+});
+// Other Settings tab values (UTM capture, quiz results, after submitting) as the builder sends and receives them
+const toSettingsOut = (f) => ({
+  captureUtm: !!f.captureUtm,
+  passMark: f.passMark ?? null,
+  showScore: !!f.showScore,
+  showFeedback: !!f.showFeedback,
+  thankYouMessage: f.thankYouMessage || '',
+  redirectUrl: f.redirectUrl || '',
+  showSummary: !!f.showSummary,
+  allowAnotherResponse: !!f.allowAnotherResponse
+});
+// Default language and translated titles as the builder sends and receives them (field texts travel with the fields)
+const toLanguagesOut = (f) => ({
+  defaultLocale: f.defaultLocale || DEFAULT_LOCALE,
+  translations: f.translations || {}
+});
+// Look of the hosted form as the builder sends and receives it: every setting, defaults filled in
+const toThemeOut = (f) => normalizeTheme(f.theme);
+const valueChanges = (before, after) => {
+  const changes = {};
+  for (const key of Object.keys(after)) {
+    if (before[key] !== after[key]) changes[key] = { from: before[key], to: after[key] };
+  }
+  return Object.keys(changes).length ? changes : null;
+};
+
+// The locale a respondent sees: ?lang= when the form is offered in it, else the best match for their browser
+const localeFor = (req, locales) => {
+  const requested = matchLocale(req.query.lang, locales);
+  if (requested) return requested;
+  for (const wanted of req.acceptsLanguages()) {
+    const match = matchLocale(wanted, locales);
+    if (match) return match;
+  }
+  return locales[0];
+};
+
+// Links to the form in each of its locales, keeping the rest of the query (prefill, preview)
+const languageLinks = (req, locales, current) => {
+  const query = Object.fromEntries(Object.entries(req.query).filter(([, v]) => typeof v === 'string'));
+  return locales.map(code => ({
+    code,
+    name: localeName(code, code),
+    current: code === current,
+    href: `?${new URLSearchParams({ ...query, lang: code })}`
+  }));
+};
+
+// Embed JSON inside an inline <script> without letting it close the tag
+const toScriptJson = (val) => JSON.stringify(val ?? null)
+  .replace(/</g, '\\u003c')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029');
+
 // Submission helpers
-const safeKey = (k) => String(k || '').replace(/[^a-zA-Z0-9_]/g, '_');
+// What the respondent is shown of their quiz result, as the form's settings allow
+const toResultOut = (result, form) => ({
+  ...(form.showScore ? { score: result.score, maxScore: result.maxScore, percent: result.percent, passed: result.passed } : {}),
+  ...(form.showFeedback ? {
+    questions: result.questions.map(q => ({
+      name: q.name, label: q.label, correct: q.correct, correctAnswer: q.correctLabels.join(', ')
+    }))
+  } : {})
+});
+
+// Group answers are stored as an array of objects: blank entries and "do not store" children are left out
+// Unanswered values are not stored at all: blank list items and object parts (matrix rows,
+// address parts) are dropped, and an answer left with nothing comes back undefined
+const storedAnswer = (v) => {
+  if (isEmptyAnswer(v)) return undefined;
+  if (Array.isArray(v)) return v.filter(x => !isEmptyAnswer(x));
+  if (v !== null && typeof v === 'object') {
+    return Object.fromEntries(Object.entries(v).filter(([, part]) => !isEmptyAnswer(part)));
+  }
+  return v;
+};
+const storedEntries = (list, children) => (Array.isArray(list) ? list : [])
+  .filter(entry => !isEmptyEntry(entry, children))
+  .map(entry => {
+    const out = {};
+    for (const child of children) {
+      if (child.doNotStore) continue;
+      answerKeysFor(child).forEach(k => {
+        const value = storedAnswer(entry[k]);
+        if (value !== undefined) out[storageKeyOf(k)] = value;
+      });
+    }
+    return out;
+  });
 
 // ---------------------- Controllers ----------------------
 export async function health(_req, res) {
@@ -65,7 +367,7 @@ export async function health(_req, res) {
 }
 
 export async function createOrUpdateForm(req, res) {
-  const { id, title = '', fields = [], categoryId } = req.body || {};
+  const { id, title = '', fields = [], categoryId, rules = [], schedule, settings, languages, theme } = req.body || {};
 
   // Enhanced form validation
   const formValidationResult = runValidation({ title, fields }, {
@@ -114,6 +416,59 @@ export async function createOrUpdateForm(req, res) {
     return res.status(400).json({ error: error.message });
   }
 
+  // Conditional logic rules must reference fields of this form
+  let cleanRules;
+  try {
+    const { clean: rulesClean, ruleErrors } = validateRules(rules || [], clean);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ error: 'Rule validation failed', details: ruleErrors });
+    }
+    cleanRules = rulesClean;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Scheduling is optional; omitting it (or one of its keys) leaves the stored values untouched
+  let cleanSchedule = null;
+  if (schedule !== undefined) {
+    const stored = id ? await Form.findByPk(id) : null;
+    const { clean: scheduleClean, scheduleErrors } = validateSchedule(schedule, stored);
+    if (scheduleErrors.length > 0) {
+      return res.status(400).json({ error: 'Schedule validation failed', details: scheduleErrors });
+    }
+    cleanSchedule = scheduleClean;
+  }
+
+  // Settings are optional as well, and each one left out keeps its stored value
+  let cleanSettings = null;
+  if (settings !== undefined) {
+    const { clean: settingsClean, settingsErrors } = validateSettings(settings);
+    if (settingsErrors.length > 0) {
+      return res.status(400).json({ error: 'Settings validation failed', details: settingsErrors });
+    }
+    cleanSettings = settingsClean;
+  }
+
+  // Languages are optional too; omitting them keeps the form's languages
+  let cleanLanguages = null;
+  if (languages !== undefined) {
+    const { clean: languagesClean, languageErrors } = validateLanguages(languages);
+    if (languageErrors.length > 0) {
+      return res.status(400).json({ error: 'Language validation failed', details: languageErrors });
+    }
+    cleanLanguages = languagesClean;
+  }
+
+  // So is the theme; null restores the default look
+  let cleanTheme = null;
+  if (theme !== undefined) {
+    const { clean: themeClean, themeErrors } = validateTheme(theme);
+    if (themeErrors.length > 0) {
+      return res.status(400).json({ error: 'Theme validation failed', details: themeErrors });
+    }
+    cleanTheme = themeClean;
+  }
+
   try {
     // Enforce case-insensitive title uniqueness on create
     if (!id) {
@@ -125,7 +480,9 @@ export async function createOrUpdateForm(req, res) {
       const reqUser = req.session?.user || req.user || null;
       const createdBy = process.env.AUTH_ENABLED === '1' ? (reqUser?.id || null) : null;
       const normalizedCategoryId = (categoryId && categoryId.trim() !== '') ? categoryId : null;
-      const { form, rows } = await createFormWithFields(normalizedTitle, clean, normalizedCategoryId, createdBy);
+      const { form, rows, ruleRows, version } = await createFormWithFields(normalizedTitle, clean, normalizedCategoryId, createdBy, cleanRules, cleanLanguages, cleanSettings);
+      if (cleanSchedule) await setFormSchedule(form.id, cleanSchedule);
+      if (cleanTheme) await setFormTheme(form.id, cleanTheme);
       await logAudit(req, {
         entity: 'form',
         action: 'create',
@@ -133,18 +490,25 @@ export async function createOrUpdateForm(req, res) {
         meta: {
           title: form.title,
           category: category?.name || category || 'survey',
-          fields: clean.map(f => ({ type: f.type, label: f.label, required: f.required }))
+          fields: clean.map(f => ({ type: f.type, label: f.label, required: f.required })),
+          rules: ruleRows.length
+        }
+      });
+      const fieldsOut = rows.map(toFieldApiOut);
+      return res.json({
+        ok: true,
+        form: {
+          id: form.id,
+          title: form.title,
+          ...toLifecycleOut({ status: form.status, currentVersion: version?.version || 0, publishedVersion: null }),
+          schedule: toScheduleOut(cleanSchedule || {}),
+          settings: toSettingsOut(cleanSettings || {}),
+          languages: toLanguagesOut(cleanLanguages || {}),
+          theme: toThemeOut({ theme: cleanTheme }),
+          fields: fieldsOut,
+          rules: ruleRows.map(toRuleOut)
         }
       });
-      const fieldsOut = rows.map(f => ({
-        id: f.id, type: f.type, label: f.label, name: f.name,
-        placeholder: f.placeholder,
-        required: f.required, doNotStore: f.doNotStore,
-        options: f.options,
-        content: f.content,
-        order: f.position + 1
-      }));
-      return res.json({ ok: true, form: { id: form.id, title: form.title, fields: fieldsOut } });
     } else {
       // Enforce uniqueness on update (when using POST /api/forms with id)
       if (await isTitleTaken(normalizedTitle, String(id))) {
@@ -152,28 +516,32 @@ export async function createOrUpdateForm(req, res) {
       }
 
       // Get the current form state before update for audit logging
-      const currentForm = await Form.findByPk(id, { include: [{ model: FormField, as: 'fields' }] });
+      const currentForm = await Form.findByPk(id, {
+        include: [
+          { model: FormField, as: 'fields' },
+          { model: FormRule, as: 'rules' }
+        ]
+      });
       if (!currentForm) return res.status(404).json({ error: 'Not found' });
 
       // Ownership restrictions removed - editors can now edit any form
       const normalizedCategoryId = (categoryId && categoryId.trim() !== '') ? categoryId : null;
-      const out = await updateFormWithFields(id, normalizedTitle, clean, normalizedCategoryId);
+      const out = await updateFormWithFields(id, normalizedTitle, clean, normalizedCategoryId, cleanRules);
       if (out?.notFound) return res.status(404).json({ error: 'Not found' });
+      if (cleanSchedule) await setFormSchedule(id, cleanSchedule);
+      if (cleanSettings) await setFormSettings(id, cleanSettings);
+      if (cleanLanguages) await setFormLanguages(id, cleanLanguages);
+      if (theme !== undefined) await setFormTheme(id, cleanTheme);
+      await recordFormVersion(id, { createdBy: actorId(req) });
 
       const withFields = await Form.findByPk(id, {
         include: [
           { model: FormField, as: 'fields' },
+          { model: FormRule, as: 'rules' },
           { model: Category, as: 'category' }
         ]
       });
-      const fieldsOut = (withFields.fields || []).sort((a, b) => a.position - b.position).map(f => ({
-        id: f.id, type: f.type, label: f.label, name: f.name,
-        placeholder: f.placeholder,
-        required: f.required, doNotStore: f.doNotStore,
-        options: f.options,
-        content: f.content,
-        order: f.position + 1
-      }));
+      const fieldsOut = (withFields.fields || []).sort((a, b) => a.position - b.position).map(toFieldApiOut);
 
 
       // Enhanced audit logging with before/after states
@@ -255,6 +623,24 @@ export async function createOrUpdateForm(req, res) {
         changes.fields = fieldChanges;
       }
 
+      const rulesBefore = sortRules(currentForm.rules).map(toRuleOut);
+      const rulesAfter = sortRules(withFields.rules).map(toRuleOut);
+      if (rulesBefore.map(ruleKey).join('\n') !== rulesAfter.map(ruleKey).join('\n')) {
+        changes.rules = { from: rulesBefore.length, to: rulesAfter.length };
+      }
+      const scheduleDiff = valueChanges(toScheduleOut(currentForm), toScheduleOut(withFields));
+      if (scheduleDiff) changes.schedule = scheduleDiff;
+      const settingsDiff = valueChanges(toSettingsOut(currentForm), toSettingsOut(withFields));
+      if (settingsDiff) changes.settings = settingsDiff;
+      const languagesBefore = toLanguagesOut(currentForm);
+      const languagesAfter = toLanguagesOut(withFields);
+      if (JSON.stringify(languagesBefore) !== JSON.stringify(languagesAfter)) {
+        changes.languages = { from: languagesBefore, to: languagesAfter };
+      }
+      if (JSON.stringify(toThemeOut(currentForm)) !== JSON.stringify(toThemeOut(withFields))) {
+        changes.theme = { from: toThemeOut(currentForm), to: toThemeOut(withFields) };
+      }
+
       await logAudit(req, {
         entity: 'form',
         action: 'update',
@@ -271,13 +657,19 @@ export async function createOrUpdateForm(req, res) {
           id: withFields.id,
           title: withFields.title,
           categoryId: withFields.categoryId,
+          ...toLifecycleOut(withFields),
+          schedule: toScheduleOut(withFields),
+          settings: toSettingsOut(withFields),
+          languages: toLanguagesOut(withFields),
+          theme: toThemeOut(withFields),
           category: withFields.category ? {
             id: withFields.category.id,
             name: withFields.category.name,
             description: withFields.category.description,
             color: withFields.category.color
           } : null,
-          fields: fieldsOut
+          fields: fieldsOut,
+          rules: sortRules(withFields.rules).map(toRuleOut)
         }
       });
     }
@@ -309,14 +701,8 @@ export async function listForms(_req, res) {
         description: r.category.description,
         color: r.category.color
       } : null,
-      fields: (r.fields || []).sort((a, b) => a.position - b.position).map(f => ({
-        id: f.id, type: f.type, label: f.label, name: f.name,
-        placeholder: f.placeholder,
-        required: f.required, doNotStore: f.doNotStore,
-        options: f.options,
-        content: f.content,
-        order: f.position + 1
-      })),
+      fields: (r.fields || []).sort((a, b) => a.position - b.position).map(toFieldApiOut),
+      ...toLifecycleOut(r),
       createdAt: r.createdAt,
       updatedAt: r.updatedAt
     }));
@@ -334,31 +720,31 @@ export async function readForm(req, res) {
     const form = await Form.findByPk(req.params.id, {
       include: [
         { model: FormField, as: 'fields' },
+        { model: FormRule, as: 'rules' },
         { model: Category, as: 'category' }
       ]
     });
     if (!form) return res.status(404).json({ error: 'Not found' });
-    const fields = (form.fields || []).sort((a, b) => a.position - b.position).map(f => ({
-      id: f.id, type: f.type, label: f.label, name: f.name,
-      placeholder: f.placeholder,
-      required: f.required, doNotStore: f.doNotStore,
-      options: f.options,
-      content: f.content,
-      order: f.position + 1
-    }));
+    const fields = (form.fields || []).sort((a, b) => a.position - b.position).map(toFieldApiOut);
     res.json({
       ok: true,
       form: {
         id: form.id,
         title: form.title,
         categoryId: form.categoryId,
+        ...toLifecycleOut(form),
+        schedule: toScheduleOut(form),
+        settings: toSettingsOut(form),
+        languages: toLanguagesOut(form),
+        theme: toThemeOut(form),
         category: form.category ? {
           id: form.category.id,
           name: form.category.name,
           description: form.category.description,
           color: form.category.color
         } : null,
-        fields
+        fields,
+        rules: sortRules(form.rules).map(toRuleOut)
       }
     });
   } catch (err) {
@@ -368,7 +754,7 @@ export async function readForm(req, res) {
 }
 
 export async function updateForm(req, res) {
-  const { title, fields, categoryId } = req.body || {};
+  const { title, fields, categoryId, rules, schedule, settings, languages, theme } = req.body || {};
 
   // Validate categoryId if provided
   let category = null;
@@ -385,6 +771,7 @@ export async function updateForm(req, res) {
     const currentForm = await Form.findByPk(req.params.id, {
       include: [
         { model: FormField, as: 'fields' },
+        { model: FormRule, as: 'rules' },
         { model: Category, as: 'category' }
       ]
     });
@@ -393,6 +780,10 @@ export async function updateForm(req, res) {
     // Save original values before any changes
     const originalTitle = currentForm.title;
     const originalCategoryId = currentForm.categoryId;
+    const originalSchedule = toScheduleOut(currentForm);
+    const originalSettings = toSettingsOut(currentForm);
+    const originalLanguages = toLanguagesOut(currentForm);
+    const originalTheme = toThemeOut(currentForm);
 
     const form = currentForm; // Use the same instance
     // Ownership restrictions removed - editors can now edit any form
@@ -414,6 +805,41 @@ export async function updateForm(req, res) {
       form.categoryId = (categoryId && categoryId.trim() !== '') ? categoryId : null;
     }
 
+    let cleanSchedule = null;
+    if (schedule !== undefined) {
+      const { clean: scheduleClean, scheduleErrors } = validateSchedule(schedule, currentForm);
+      if (scheduleErrors.length > 0) {
+        return res.status(400).json({ error: 'Schedule validation failed', details: scheduleErrors });
+      }
+      cleanSchedule = scheduleClean;
+    }
+
+    let cleanSettings = null;
+    if (settings !== undefined) {
+      const { clean: settingsClean, settingsErrors } = validateSettings(settings);
+      if (settingsErrors.length > 0) {
+        return res.status(400).json({ error: 'Settings validation failed', details: settingsErrors });
+      }
+      cleanSettings = settingsClean;
+    }
+
+    if (languages !== undefined) {
+      const { clean: languagesClean, languageErrors } = validateLanguages(languages);
+      if (languageErrors.length > 0) {
+        return res.status(400).json({ error: 'Language validation failed', details: languageErrors });
+      }
+      form.set(languagesClean);
+    }
+
+    let cleanTheme = null;
+    if (theme !== undefined) {
+      const { clean: themeClean, themeErrors } = validateTheme(theme);
+      if (themeErrors.length > 0) {
+        return res.status(400).json({ error: 'Theme validation failed', details: themeErrors });
+      }
+      cleanTheme = themeClean;
+    }
+
     if (fields !== undefined) {
       if (!Array.isArray(fields)) return res.status(400).json({ error: 'fields must be an array' });
 
@@ -433,28 +859,57 @@ export async function updateForm(req, res) {
         return res.status(400).json({ error: error.message });
       }
 
-      await updateFormWithFields(form.id, undefined, clean);
+      // Keep existing rules unless new ones were sent, dropping any that point at removed fields
+      const names = new Set(clean.map(f => f.name));
+      const rulesIn = rules !== undefined
+        ? rules
+        : sortRules(currentForm.rules).map(toRuleOut).filter(r => names.has(r.sourceField) && names.has(r.targetField));
+      let cleanRules;
+      try {
+        const { clean: rulesClean, ruleErrors } = validateRules(rulesIn, clean);
+        if (ruleErrors.length > 0) {
+          return res.status(400).json({ error: 'Rule validation failed', details: ruleErrors });
+        }
+        cleanRules = rulesClean;
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      await updateFormWithFields(form.id, undefined, clean, undefined, cleanRules);
+    } else if (rules !== undefined) {
+      const currentFields = (currentForm.fields || []).map(f => ({ name: f.name, type: f.type, parentName: f.parentName }));
+      let cleanRules;
+      try {
+        const { clean: rulesClean, ruleErrors } = validateRules(rules, currentFields);
+        if (ruleErrors.length > 0) {
+          return res.status(400).json({ error: 'Rule validation failed', details: ruleErrors });
+        }
+        cleanRules = rulesClean;
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      await updateFormWithFields(form.id, undefined, undefined, undefined, cleanRules);
     }
 
-    // Save the form if title or category changed (fields are handled by updateFormWithFields)
-    if (title !== undefined || categoryId !== undefined) {
+    // Save the form if title, category or languages changed (fields are handled by updateFormWithFields)
+    if (title !== undefined || categoryId !== undefined || languages !== undefined) {
       await form.save();
     }
+    if (cleanSchedule) await setFormSchedule(form.id, cleanSchedule);
+    if (cleanSettings) await setFormSettings(form.id, cleanSettings);
+    if (theme !== undefined) await setFormTheme(form.id, cleanTheme);
+    await recordFormVersion(form.id, { createdBy: actorId(req) });
 
     const withFields = await Form.findByPk(form.id, {
       include: [
         { model: FormField, as: 'fields' },
+        { model: FormRule, as: 'rules' },
         { model: Category, as: 'category' }
       ]
     });
-    const fieldsOut = (withFields.fields || []).sort((a, b) => a.position - b.position).map(f => ({
-      id: f.id, type: f.type, label: f.label, name: f.name,
-      placeholder: f.placeholder,
-      required: f.required, doNotStore: f.doNotStore,
-      options: f.options,
-      content: f.content,
-      order: f.position + 1
-    }));
+    const fieldsOut = (withFields.fields || []).sort((a, b) => a.position - b.position).map(toFieldApiOut);
+    const rulesOut = sortRules(withFields.rules).map(toRuleOut);
 
     // Enhanced audit logging with before/after states
     const changes = {};
@@ -469,6 +924,16 @@ export async function updateForm(req, res) {
     if (originalCategoryId !== withFields.categoryId) {
       changes.categoryId = { from: originalCategoryId, to: withFields.categoryId };
     }
+    const scheduleDiff = valueChanges(originalSchedule, toScheduleOut(withFields));
+    if (scheduleDiff) changes.schedule = scheduleDiff;
+    const settingsDiff = valueChanges(originalSettings, toSettingsOut(withFields));
+    if (settingsDiff) changes.settings = settingsDiff;
+    if (JSON.stringify(originalLanguages) !== JSON.stringify(toLanguagesOut(withFields))) {
+      changes.languages = { from: originalLanguages, to: toLanguagesOut(withFields) };
+    }
+    if (JSON.stringify(originalTheme) !== JSON.stringify(toThemeOut(withFields))) {
+      changes.theme = { from: originalTheme, to: toThemeOut(withFields) };
+    }
 
     // Check for field changes if fields were updated
     if (fields !== undefined) {
@@ -541,6 +1006,13 @@ export async function updateForm(req, res) {
       }
     }
 
+    if (fields !== undefined || rules !== undefined) {
+      const rulesBefore = sortRules(currentForm.rules).map(toRuleOut);
+      if (rulesBefore.map(ruleKey).join('\n') !== rulesOut.map(ruleKey).join('\n')) {
+        changes.rules = { from: rulesBefore.length, to: rulesOut.length };
+      }
+    }
+
     // Log audit if there were changes
     if (Object.keys(changes).length > 0) {
       await logAudit(req, {
@@ -566,13 +1038,19 @@ export async function updateForm(req, res) {
         id: updatedForm.id,
         title: updatedForm.title,
         categoryId: updatedForm.categoryId,
+        ...toLifecycleOut(updatedForm),
+        schedule: toScheduleOut(updatedForm),
+        settings: toSettingsOut(updatedForm),
+        languages: toLanguagesOut(updatedForm),
+        theme: toThemeOut(updatedForm),
         category: updatedForm.category ? {
           id: updatedForm.category.id,
           name: updatedForm.category.name,
           description: updatedForm.category.description,
           color: updatedForm.category.color
         } : null,
-        fields: fieldsOut
+        fields: fieldsOut,
+        rules: rulesOut
       }
     });
   } catch (err) {
@@ -584,6 +1062,124 @@ export async function updateForm(req, res) {
   }
 }
 
+// Copy a form into a new draft: its working copy (fields, rules, category, languages), settings and
+// theme under a free title. Submissions and version history stay with the source form.
+export async function duplicateForm(req, res) {
+  try {
+    const source = await Form.findByPk(req.params.id, {
+      include: [
+        { model: FormField, as: 'fields' },
+        { model: FormRule, as: 'rules' }
+      ]
+    });
+    if (!source) return res.status(404).json({ error: 'Form not found' });
+
+    const title = await copyTitleFor(source.title);
+    if (!title) return res.status(409).json({ error: 'Could not find a free title for the copy. Rename some copies first.' });
+
+    // Fresh ids for the copied rows; field names stay, so rules and formulas still match
+    const fields = (source.fields || []).sort((a, b) => a.position - b.position)
+      .map(f => ({ ...f.get({ plain: true }), id: null }));
+    const rules = sortRules(source.rules).map(r => ({ ...r.get({ plain: true }), id: null }));
+    // Schedule, settings and theme were validated when the source was saved
+    const copyOf = (toOut) => Object.fromEntries(Object.keys(toOut(source)).map(key => [key, source[key] ?? null]));
+    const { form, rows, ruleRows, version } = await createFormWithFields(
+      title, fields, source.categoryId || null, actorId(req), rules, toLanguagesOut(source), copyOf(toSettingsOut)
+    );
+    await setFormSchedule(form.id, copyOf(toScheduleOut));
+    if (source.theme) await setFormTheme(form.id, source.theme);
+
+    await logAudit(req, {
+      entity: 'form',
+      action: 'duplicate',
+      entityId: form.id,
+      meta: {
+        title: form.title,
+        source: { id: source.id, title: source.title },
+        fields: rows.length,
+        rules: ruleRows.length
+      }
+    });
+
+    res.json({
+      ok: true,
+      form: {
+        id: form.id,
+        title: form.title,
+        categoryId: form.categoryId ?? null,
+        ...toLifecycleOut({ status: form.status, currentVersion: version?.version || 0, publishedVersion: null }),
+        sourceId: source.id
+      }
+    });
+  } catch (err) {
+    if (err?.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'Form title already exists. Try again.' });
+    }
+    logger.error('Duplicate form error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function publishForm(req, res) {
+  try {
+    const before = await Form.findByPk(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Not found' });
+    const fromStatus = before.status;
+    const fromVersion = before.publishedVersion;
+
+    const out = await publishWorkingCopy(before.id, actorId(req));
+    if (out?.notFound) return res.status(404).json({ error: 'Not found' });
+    const form = out.form;
+
+    await logAudit(req, {
+      entity: 'form',
+      action: 'publish',
+      entityId: form.id,
+      meta: {
+        title: form.title,
+        changes: {
+          status: { from: fromStatus, to: form.status },
+          publishedVersion: { from: fromVersion ?? null, to: form.publishedVersion }
+        }
+      }
+    });
+    res.json({ ok: true, form: { id: form.id, title: form.title, ...toLifecycleOut(form) } });
+  } catch (err) {
+    logger.error('Publish form error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function updateFormStatus(req, res) {
+  const { status } = req.body || {};
+  const statusError = formValidation.status(status);
+  if (statusError) return res.status(400).json({ error: statusError });
+
+  try {
+    const before = await Form.findByPk(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Not found' });
+    const fromStatus = before.status;
+
+    const out = await setFormStatus(before.id, status);
+    if (out?.notFound) return res.status(404).json({ error: 'Not found' });
+    if (out?.error) return res.status(409).json({ error: out.error });
+    const form = out.form;
+
+    if (fromStatus !== form.status) {
+      await logAudit(req, {
+        entity: 'form',
+        action: 'status',
+        entityId: form.id,
+        meta: { title: form.title, changes: { status: { from: fromStatus, to: form.status } } }
+      });
+    }
+    res.json({ ok: true, form: { id: form.id, title: form.title, ...toLifecycleOut(form) } });
+  } catch (err) {
+    logger.error('Update form status error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
 export async function checkTitleUnique(req, res) {
   try {
     const title = String(req.query.title || '');
@@ -599,25 +1195,97 @@ export async function checkTitleUnique(req, res) {
 
 export async function publicSubmit(req, res) {
   try {
-    const form = await Form.findByPk(req.params.id, { include: [{ model: FormField, as: 'fields' }] });
+    const form = await Form.findByPk(req.params.id);
     if (!form) return res.status(404).json({ error: 'Form not found' });
 
-    const fields = form.fields || [];
-    const { data = {}, storeConsent = false } = req.body || {};
-    const byKey = new Map(fields.map(f => [f.name, f]));
+    const { live, unavailable } = await loadLiveForm(form);
+    if (unavailable) {
+      return res.status(unavailable.httpStatus).json({
+        error: unavailable.message,
+        reason: unavailable.reason,
+        ...(unavailable.opensAt ? { opensAt: unavailable.opensAt } : {})
+      });
+    }
+
+    // Validate against the published version, which is what the respondent was shown
+    const fields = live.fields;
+    const { data: submitted = {}, storeConsent = false, locale } = req.body || {};
+    if (!submitted || typeof submitted !== 'object' || Array.isArray(submitted)) {
+      return res.status(400).json({ error: 'data must be an object' });
+    }
+    // Every answer key a field submits (e.g. its "Other" text) belongs to that field
+    const byKey = new Map(fields.flatMap(f => answerKeysFor(f).map(k => [k, f])));
+
+    // UTM parameters travel with the answers when the form captures them
+    const { data: rawData, utm, errors: utmErrors } = form.captureUtm
+      ? takeUtm(submitted, fields)
+      : { data: { ...submitted }, utm: {}, errors: {} };
+    // Fixed hidden values come from the form, whatever the browser sent
+    for (const f of fields) {
+      if (f.type !== 'hidden' || f.valueSource !== 'fixed' || f.parentName) continue;
+      if (f.defaultValue) rawData[f.name] = f.defaultValue;
+      else delete rawData[f.name];
+    }
+    // Calculated values are recomputed here; what the browser sent is only a preview
+    setCalculated(fields, rawData);
+
+    // Recompute visibility from the stored rules; never trust what the browser hid
+    const { data, hidden, required } = applyRulesToSubmission(fields, live.rules, rawData);
+    // Answers hidden by rules no longer count towards the formulas
+    setCalculated(fields.filter(f => !hidden.has(f.name)), data);
+    const errors = { ...utmErrors, ...validateAnswers(fields, data, { hidden, required }).errors };
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ error: 'Submission validation failed', details: errors });
+    }
+
+    // Quiz questions are scored here, never by the browser
+    const result = scoreAnswers(fields, data, { hidden, passMark: form.passMark });
+
+    // Every accepted submission counts towards the response limit, stored or not
+    const full = await reserveResponse(form);
+    if (full) return res.status(full.httpStatus).json({ error: full.message, reason: full.reason });
 
     if (storeConsent) {
       const reduced = {};
+      const attachments = {};
       for (const [k, v] of Object.entries(data)) {
         const f = byKey.get(k);
         if (f?.doNotStore) continue;
+        // Signatures are stored as PNG attachments; the payload keeps a reference.
+        // Only answers that passed validation as a PNG data URL get this far.
+        if (f?.type === 'signature') {
+          const png = typeof v === 'string' && v ? decodeSignature(v) : null;
+          if (png) attachments[storageKeyOf(k)] = { mimeType: 'image/png', data: png };
+          continue;
+        }
         // Store by safe field key without any title prefix or suffix
-        reduced[safeKey(k)] = v;
+        if (f?.type === 'group') {
+          const list = storedEntries(v, groupChildren(fields, f.name));
+          if (list.length) reduced[storageKeyOf(k)] = list;
+          continue;
+        }
+        const value = storedAnswer(v);
+        if (value !== undefined) reduced[storageKeyOf(k)] = value;
+      }
+      Object.assign(reduced, utm);
+      // The locale the form was shown in, when it is one the form offers
+      const locales = formLocales(live.defaultLocale, live.translations);
+      try {
+        await createSubmission(form.id, reduced, live.version, result, attachments, locales.includes(locale) ? locale : locales[0]);
+      } catch (err) {
+        await releaseResponse(form.id);
+        throw err;
       }
-      await createSubmission(form.id, reduced);
     }
 
-    res.json({ ok: true });
+    const showResult = result && (form.showScore || form.showFeedback);
+    // Checked again here: the host may have left REDIRECT_ALLOWED_HOSTS since the form was saved
+    const redirectUrl = form.redirectUrl && isAllowedRedirect(form.redirectUrl) ? form.redirectUrl : null;
+    res.json({
+      ok: true,
+      ...(showResult ? { result: toResultOut(result, form) } : {}),
+      ...(redirectUrl ? { redirectUrl } : {})
+    });
   } catch (err) {
     logger.error('Public submit error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -649,6 +1317,8 @@ export async function deleteForm(req, res) {
 
       // Delete in order of dependencies for better performance
       await FormField.destroy({ where: { formId: form.id }, transaction: t });
+      await FormRule.destroy({ where: { formId: form.id }, transaction: t });
+      await deleteFormVersions(form.id, t);
 
       // Delete submissions from the separate submissions database
       await deleteSubmissionsByFormId(form.id);
@@ -719,19 +1389,133 @@ export async function uploadFile(req, res) {
   }
 }
 
-export async function hostedForm(req, res) {
+const ATTACHMENT_EXTENSIONS = { 'image/png': 'png' };
+
+/**
+ * Download an attachment of a stored submission (e.g. a signature PNG)
+ */
+export async function readSubmissionAttachment(req, res) {
+  try {
+    const submission = await getSubmissionById(req.params.submissionId);
+    if (!submission || submission.formId !== req.params.id) return res.status(404).json({ error: 'Not found' });
+    const attachment = await getSubmissionAttachment(submission.id, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Not found' });
+
+    const ext = ATTACHMENT_EXTENSIONS[attachment.mimeType] || 'bin';
+    res.set('Content-Type', attachment.mimeType);
+    res.set('Content-Disposition', `inline; filename="${storageKeyOf(attachment.fieldName)}-${submission.id}.${ext}"`);
+    res.send(attachment.data);
+  } catch (err) {
+    logger.error('Read submission attachment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Exports use the working copy's fields; keys only older versions stored are appended as they are
+export async function exportSubmissions(req, res) {
   try {
     const form = await Form.findByPk(req.params.id, { include: [{ model: FormField, as: 'fields' }] });
+    if (!form) return res.status(404).json({ error: 'Form not found' });
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Validation failed', details: { format: 'Format must be csv or json' } });
+    }
+
+    const fields = (form.fields || []).sort((a, b) => a.position - b.position).map(f => f.get({ plain: true }));
+    const table = buildExport(fields, await getAllSubmissionsByFormId(form.id), { baseUrl: `${req.protocol}://${req.get('host')}` });
+    const filename = `${storageKeyOf(form.title) || 'form'}-submissions.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json({
+        columns: table.keys.map((key, i) => ({ key, header: table.headers[i] })),
+        rows: table.rows.map(row => Object.fromEntries(table.keys.map((key, i) => [key, row[i]])))
+      });
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    res.send('\ufeff' + toCsv(table));
+  } catch (err) {
+    logger.error('Export submissions error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function hostedForm(req, res) {
+  try {
+    const form = await Form.findByPk(req.params.id, {
+      include: [
+        { model: FormField, as: 'fields' },
+        { model: FormRule, as: 'rules' }
+      ]
+    });
     if (!form) return res.status(404).send('Form not found');
-    const fields = (form.fields || []).sort((a, b) => a.position - b.position);
-    const vmFields = fields.map((f, idx) => ({
-      partial: PARTIAL_FOR[f.type] || 'fields/text',
-      ...toVM({
-        name: f.name, label: f.label, required: f.required,
-        placeholder: f.placeholder, options: f.options,
-      }, idx)
-    }));
-    res.render('hosted-form', { layout: false, formId: form.id, title: form.title || 'Form', fields: vmFields });
+
+    // Preview renders the working copy; respondents only ever see the published version
+    const preview = req.query.preview === '1' && canPreview(req);
+    let title = form.title;
+    let fields = (form.fields || []).sort((a, b) => a.position - b.position).map(f => f.get({ plain: true }));
+    let rules = sortRules(form.rules).map(toRuleOut);
+    let languages = toLanguagesOut(form);
+    let defaultMessage = form.thankYouMessage;
+    if (!preview) {
+      const { live, unavailable } = await loadLiveForm(form);
+      if (unavailable) {
+        return res.status(unavailable.httpStatus).render('form-unavailable', {
+          layout: false,
+          title: unavailable.heading,
+          formTitle: unavailable.reason === 'draft' ? '' : form.title,
+          heading: unavailable.heading,
+          message: unavailable.message,
+          opensAt: unavailable.opensAt || null
+        });
+      }
+      ({ title, fields, rules } = live);
+      languages = toLanguagesOut(live);
+      // The thank-you message is published with its translations; older snapshots fall back to the saved one
+      if (live.thankYouMessage !== undefined) defaultMessage = live.thankYouMessage;
+    }
+
+    // Texts in the respondent's language; answers (option values, rules, formulas) stay the same
+    const locales = formLocales(languages.defaultLocale, languages.translations);
+    const locale = localeFor(req, locales);
+    title = translationOf(languages.translations, locale, { key: 'title' }) || title;
+    fields = fields.map(f => localizeField(f, locale));
+    const thankYouMessage = translationOf(languages.translations, locale, { key: 'thankYouMessage' }) || defaultMessage || null;
+
+    const answers = initialAnswers(fields, { query: req.query, referrer: req.get('Referer') || '' });
+    setCalculated(fields, answers);
+    const { pages, hiddenFields } = toPages(fields, answers);
+    res.render('hosted-form', {
+      layout: false,
+      formId: form.id,
+      title: title || 'Form',
+      preview,
+      locale,
+      languages: locales.length > 1 ? languageLinks(req, locales, locale) : [],
+      theme: {
+        logoUrl: toThemeOut(form).logoUrl,
+        fontHref: themeFontHref(form.theme),
+        // Built from validated settings and sanitized custom CSS, so it can go into <style> as is.
+        // The CSS is sanitized again for themes saved before the current sanitizer.
+        css: themeCss({ ...toThemeOut(form), customCss: sanitize.css(toThemeOut(form).customCss) })
+      },
+      // What follows a submission; the message is sanitized rich text, piped in the browser.
+      // Sanitized again here for messages saved before the HTML sanitizer.
+      afterSubmit: {
+        message: thankYouMessage ? sanitize.richText(thankYouMessage) : null,
+        showSummary: !!form.showSummary,
+        allowAnotherResponse: !!form.allowAnotherResponse
+      },
+      fields: pages.flatMap(p => p.fields),
+      pages,
+      multiPage: pages.length > 1,
+      hiddenFields,
+      utm: form.captureUtm ? utmFromQuery(req.query, fields) : null,
+      rulesJson: toScriptJson(rules),
+      calcJson: toScriptJson(fields
+        .filter(f => f.type === 'calculated' && !f.parentName)
+        .map(f => ({ name: f.name, type: f.type, formula: f.formula })))
+    });
   } catch (err) {
     logger.error('Render hosted form error:', err);
     res.status(500).send('Server error');
@@ -740,28 +1524,40 @@ export async function hostedForm(req, res) {
 
 export async function builderPage(req, res) {
   try {
-    const form = await Form.findByPk(req.params.id, { include: [{ model: FormField, as: 'fields' }] });
+    const form = await Form.findByPk(req.params.id, {
+      include: [
+        { model: FormField, as: 'fields' },
+        { model: FormRule, as: 'rules' }
+      ]
+    });
     if (!form) return res.status(404).send('Form not found');
 
     const formPlain = form.get({ plain: true });
     const fields = (formPlain.fields || [])
       .sort((a, b) => a.position - b.position)
-      .map(f => ({
-        id: f.id, type: f.type, label: f.label, name: f.name,
-        placeholder: f.placeholder,
-        required: f.required, doNotStore: f.doNotStore,
-        options: f.options,
-        content: f.content,
-        order: f.position + 1
-      }));
-
-    const preload = { id: formPlain.id, title: formPlain.title || '', category: formPlain.category || 'survey', fields };
+      .map(toFieldApiOut);
+
+    const rules = sortRules(formPlain.rules).map(toRuleOut);
+
+    const preload = {
+      id: formPlain.id,
+      title: formPlain.title || '',
+      category: formPlain.category || 'survey',
+      ...toLifecycleOut(formPlain),
+      schedule: toScheduleOut(formPlain),
+      settings: toSettingsOut(formPlain),
+      languages: toLanguagesOut(formPlain),
+      theme: toThemeOut(formPlain),
+      fields,
+      rules
+    };
 
     res.render('builder', {
       title: `Editing: ${formPlain.title || '(Untitled)'}`,
       currentPath: '/builder',
       form: formPlain,
-      preloadData: preload // Pass the object directly
+      preloadData: preload, // Pass the object directly
+      preloadJson: toScriptJson(preload)
     });
   } catch (err) {
     logger.error('Open builder error:', err);
@@ -807,6 +1603,7 @@ export async function builderTemplatePage(req, res) {
       currentPath: '/builder',
       template: templateData,
       preloadData: templateData,
+      preloadJson: toScriptJson(templateData),
       isTemplate: true
     });
   } catch (err) {
@@ -0,0 +1,168 @@
+// src/server/controllers/themes.controller.js
+import { Theme } from '../models/Theme.js';
+import { logAudit } from '../services/audit.service.js';
+import { generateThemeId, isThemeNameTaken, applyThemeToForms } from '../services/themes.service.js';
+import { validateTheme } from '../utils/theme-validation.js';
+import { normalizeTheme } from '../../shared/themes.js';
+import { logger } from '../utils/logger.js';
+
+// Saved themes as the builder receives them: every setting, defaults filled in
+const toThemeOut = (theme) => ({
+    id: theme.id,
+    name: theme.name,
+    settings: normalizeTheme(theme.settings),
+    createdAt: theme.createdAt,
+    updatedAt: theme.updatedAt
+});
+
+const validateName = (name) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) return { error: 'Theme name is required' };
+    if (trimmed.length > 255) return { error: 'Theme name is too long' };
+    return { name: trimmed };
+};
+
+// ---------------------- Controllers ----------------------
+export async function listThemes(_req, res) {
+    try {
+        const themes = await Theme.findAll({ order: [['name', 'ASC']] });
+        res.json({ data: themes.map(toThemeOut) });
+    } catch (err) {
+        logger.error('List themes error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+export async function createTheme(req, res) {
+    try {
+        const { name, settings } = req.body || {};
+        const named = validateName(name);
+        if (named.error) return res.status(400).json({ error: named.error });
+        // A saved theme may well be the default look
+        const { clean, themeErrors } = validateTheme(settings ?? {});
+        if (themeErrors.length > 0) {
+            return res.status(400).json({ error: 'Theme validation failed', details: themeErrors });
+        }
+        if (await isThemeNameTaken(named.name)) {
+            return res.status(409).json({ error: 'Theme name already exists' });
+        }
+
+        const id = await generateThemeId();
+        if (!id) return res.status(500).json({ error: 'Could not generate unique theme id' });
+        const reqUser = req.session?.user || req.user || null;
+        const theme = await Theme.create({
+            id,
+            name: named.name,
+            settings: clean || normalizeTheme(null),
+            createdBy: process.env.AUTH_ENABLED === '1' ? (reqUser?.id || null) : null
+        });
+
+        await logAudit(req, {
+            entity: 'theme',
+            action: 'create',
+            entityId: theme.id,
+            meta: { name: theme.name }
+        });
+
+        res.json({ ok: true, theme: toThemeOut(theme) });
+    } catch (err) {
+        logger.error('Create theme error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+export async function updateTheme(req, res) {
+    try {
+        const theme = await Theme.findByPk(req.params.id);
+        if (!theme) return res.status(404).json({ error: 'Theme not found' });
+
+        const { name, settings } = req.body || {};
+        const changes = {};
+        if (name !== undefined) {
+            const named = validateName(name);
+            if (named.error) return res.status(400).json({ error: named.error });
+            if (await isThemeNameTaken(named.name, theme.id)) {
+                return res.status(409).json({ error: 'Theme name already exists' });
+            }
+            if (named.name !== theme.name) changes.name = { from: theme.name, to: named.name };
+            theme.name = named.name;
+        }
+        if (settings !== undefined) {
+            const { clean, themeErrors } = validateTheme(settings ?? {});
+            if (themeErrors.length > 0) {
+                return res.status(400).json({ error: 'Theme validation failed', details: themeErrors });
+            }
+            const before = normalizeTheme(theme.settings);
+            theme.settings = clean || normalizeTheme(null);
+            if (JSON.stringify(before) !== JSON.stringify(normalizeTheme(theme.settings))) {
+                changes.settings = { from: before, to: normalizeTheme(theme.settings) };
+            }
+        }
+        if (theme.changed()) await theme.save();
+
+        if (Object.keys(changes).length > 0) {
+            await logAudit(req, {
+                entity: 'theme',
+                action: 'update',
+                entityId: theme.id,
+                meta: { name: theme.name, changes }
+            });
+        }
+
+        res.json({ ok: true, theme: toThemeOut(theme) });
+    } catch (err) {
+        logger.error('Update theme error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+// Forms keep their copy of a deleted theme
+export async function deleteTheme(req, res) {
+    try {
+        const theme = await Theme.findByPk(req.params.id);
+        if (!theme) return res.status(404).json({ error: 'Theme not found' });
+        const { name } = theme;
+        await theme.destroy();
+
+        await logAudit(req, {
+            entity: 'theme',
+            action: 'delete',
+            entityId: req.params.id,
+            meta: { name }
+        });
+
+        res.json({ ok: true });
+    } catch (err) {
+        logger.error('Delete theme error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+// Copy a saved theme into many forms at once: { formIds: [...] }
+export async function applyTheme(req, res) {
+    try {
+        const theme = await Theme.findByPk(req.params.id);
+        if (!theme) return res.status(404).json({ error: 'Theme not found' });
+
+        const { formIds } = req.body || {};
+        if (!Array.isArray(formIds) || formIds.length === 0) {
+            return res.status(400).json({ error: 'formIds must be a non-empty array' });
+        }
+        if (formIds.length > 500) {
+            return res.status(400).json({ error: 'Too many forms', details: `Maximum 500 forms per request, received ${formIds.length}` });
+        }
+
+        const { applied, missing } = await applyThemeToForms(theme, formIds);
+        await logAudit(req, {
+            entity: 'theme',
+            action: 'apply',
+            entityId: theme.id,
+            meta: { name: theme.name, forms: applied }
+        });
+
+        res.json({ ok: true, applied, missing });
+    } catch (err) {
+        logger.error('Apply theme error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
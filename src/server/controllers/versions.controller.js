@@ -0,0 +1,183 @@
+// src/server/controllers/versions.controller.js
+import { Form } from '../models/Form.js';
+import { Category } from '../models/Category.js';
+import { logAudit } from '../services/audit.service.js';
+import { isTitleTaken, updateFormWithFields, setFormLanguages, setFormSettings } from '../services/forms.service.js';
+import {
+  recordFormVersion,
+  listFormVersions,
+  getFormVersion,
+  diffSnapshots
+} from '../services/versions.service.js';
+import { validateFields, ensureUniqueFieldNames } from '../utils/field-validation.js';
+import { validateRules } from '../utils/rule-validation.js';
+import { validateLanguages } from '../utils/language-validation.js';
+import { validateSettings } from '../utils/settings-validation.js';
+import { toFieldOut } from '../utils/field-rows.js';
+import { logger } from '../utils/logger.js';
+
+const parseVersion = (raw) => {
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+const toVersionOut = (row) => ({
+  version: row.version,
+  title: row.title,
+  note: row.note,
+  createdBy: row.createdBy,
+  createdAt: row.createdAt,
+  snapshot: row.snapshotJson
+});
+
+/**
+ * List a form's versions (newest first)
+ */
+export async function listVersions(req, res) {
+  try {
+    const form = await Form.findByPk(req.params.id);
+    if (!form) return res.status(404).json({ error: 'Not found' });
+    const versions = await listFormVersions(form.id);
+    res.json({ ok: true, currentVersion: form.currentVersion, versions });
+  } catch (err) {
+    logger.error('List versions error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * Read one version with its full snapshot
+ */
+export async function readVersion(req, res) {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) return res.status(400).json({ error: 'Invalid version' });
+    const row = await getFormVersion(req.params.id, version);
+    if (!row) return res.status(404).json({ error: 'Version not found' });
+    res.json({ ok: true, version: toVersionOut(row) });
+  } catch (err) {
+    logger.error('Read version error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * Diff two versions: GET /api/forms/:id/versions/diff?from=1&to=3
+ * `to` defaults to the form's current version.
+ */
+export async function diffVersions(req, res) {
+  try {
+    const form = await Form.findByPk(req.params.id);
+    if (!form) return res.status(404).json({ error: 'Not found' });
+
+    const from = parseVersion(req.query.from);
+    const to = req.query.to === undefined ? form.currentVersion : parseVersion(req.query.to);
+    if (!from || !to) return res.status(400).json({ error: 'from and to must be version numbers' });
+
+    const [a, b] = await Promise.all([getFormVersion(form.id, from), getFormVersion(form.id, to)]);
+    if (!a || !b) return res.status(404).json({ error: 'Version not found' });
+
+    res.json({ ok: true, from, to, diff: diffSnapshots(a.snapshotJson, b.snapshotJson) });
+  } catch (err) {
+    logger.error('Diff versions error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * Restore a version: its snapshot becomes the form's content and is saved as
+ * a new version, so the restore itself can be undone.
+ */
+export async function restoreVersion(req, res) {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) return res.status(400).json({ error: 'Invalid version' });
+
+    const form = await Form.findByPk(req.params.id);
+    if (!form) return res.status(404).json({ error: 'Not found' });
+    const row = await getFormVersion(form.id, version);
+    if (!row) return res.status(404).json({ error: 'Version not found' });
+
+    const snap = row.snapshotJson;
+
+    // Another form may have taken the old title since
+    if (await isTitleTaken(snap.title, form.id)) {
+      return res.status(409).json({ error: `Cannot restore: another form is already titled "${snap.title}".` });
+    }
+
+    // Snapshots were valid when written; re-check in case validation rules have tightened
+    const { clean, fieldErrors } = validateFields(snap.fields || []);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ error: 'Field validation failed', details: fieldErrors });
+    }
+    try {
+      ensureUniqueFieldNames(clean);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { clean: cleanRules, ruleErrors } = validateRules(snap.rules || [], clean);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ error: 'Rule validation failed', details: ruleErrors });
+    }
+    // Snapshots written before translations existed restore as untranslated
+    const { clean: cleanLanguages, languageErrors } = validateLanguages({ defaultLocale: snap.defaultLocale, translations: snap.translations });
+    if (languageErrors.length > 0) {
+      return res.status(400).json({ error: 'Language validation failed', details: languageErrors });
+    }
+    // Snapshots written before the thank-you message was versioned leave the current one
+    const { clean: cleanMessage, settingsErrors } = validateSettings(
+      snap.thankYouMessage !== undefined ? { thankYouMessage: snap.thankYouMessage } : {}
+    );
+    if (settingsErrors.length > 0) {
+      return res.status(400).json({ error: 'Settings validation failed', details: settingsErrors });
+    }
+
+    // The category may have been deleted since
+    const categoryId = snap.categoryId && await Category.findByPk(snap.categoryId) ? snap.categoryId : null;
+
+    const fromVersion = form.currentVersion;
+    await updateFormWithFields(form.id, snap.title, clean, categoryId, cleanRules);
+    await setFormLanguages(form.id, cleanLanguages);
+    await setFormSettings(form.id, cleanMessage);
+    const reqUser = req.session?.user || req.user || null;
+    const created = await recordFormVersion(form.id, {
+      createdBy: process.env.AUTH_ENABLED === '1' ? (reqUser?.id || null) : null,
+      note: `Restored from version ${version}`
+    });
+
+    await logAudit(req, {
+      entity: 'form',
+      action: 'restore',
+      entityId: form.id,
+      meta: { title: snap.title, restoredVersion: version, fromVersion, newVersion: created?.version }
+    });
+
+    res.json({
+      ok: true,
+      form: {
+        id: form.id,
+        title: snap.title,
+        categoryId,
+        languages: cleanLanguages,
+        status: form.status,
+        currentVersion: created?.version,
+        publishedVersion: form.publishedVersion ?? null,
+        fields: clean.map((f, idx) => ({ ...toFieldOut(f), order: idx + 1 })),
+        rules: cleanRules.map(r => ({
+          id: r.id,
+          sourceField: r.sourceField,
+          operator: r.operator,
+          value: r.value,
+          action: r.action,
+          targetField: r.targetField
+        }))
+      }
+    });
+  } catch (err) {
+    if (err?.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'Uniqueness constraint failed.' });
+    }
+    logger.error('Restore version error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
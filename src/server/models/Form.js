@@ -2,6 +2,7 @@
 import { DataTypes } from 'sequelize';
 import { sequelize } from '../db.js';
 import { Category } from './Category.js';
+import { DEFAULT_LOCALE } from '../../shared/locales.js';
 
 export const Form = sequelize.define('Form', {
   id: {
@@ -24,6 +25,123 @@ export const Form = sequelize.define('Form', {
       model: Category,
       key: 'id'
     }
+  },
+  // Latest FormVersion number (0 = no snapshot written yet)
+  currentVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Lifecycle: only published forms are served at /f/:id and accept submissions
+  status: {
+    type: DataTypes.ENUM('draft', 'published', 'closed', 'archived'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  // FormVersion respondents see; edits after publishing stay in the working copy until re-published
+  publishedVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Scheduling and response cap (operational settings: apply immediately, not versioned)
+  opensAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  closesAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  maxResponses: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Accepted submissions, stored or not; maxResponses is checked against this
+  responseCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Shown instead of the default text once the form has closed or is full
+  closedMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Store utm_* parameters of the form link with each submission
+  captureUtm: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Quiz: percentage of the points needed to pass (null = no pass mark)
+  passMark: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Quiz: show the respondent their score, and which answers were right, after submitting
+  showScore: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  showFeedback: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // After submitting: a rich-text thank-you message (null = default text), where to send
+  // the respondent instead (see redirect.service.js), a read-only summary of
+  // the answers, and a button to submit another response
+  thankYouMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  redirectUrl: {
+    type: DataTypes.STRING(2048),
+    allowNull: true
+  },
+  showSummary: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  allowAnotherResponse: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Language the form is written in, and its translations as JSON { <locale>: { title } }
+  // (the form is also offered in every locale listed; see src/shared/locales.js)
+  defaultLocale: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    defaultValue: DEFAULT_LOCALE
+  },
+  translations: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const raw = this.getDataValue('translations');
+      if (!raw) return {};
+      try { return JSON.parse(raw); } catch { return {}; }
+    },
+    set(val) {
+      this.setDataValue('translations', val && typeof val === 'object' && Object.keys(val).length ? JSON.stringify(val) : null);
+    }
+  },
+  // Look of the hosted form as JSON (logo, colours, font, button style, custom CSS);
+  // null keeps the default look. See src/shared/themes.js
+  theme: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const raw = this.getDataValue('theme');
+      if (!raw) return null;
+      try { return JSON.parse(raw); } catch { return null; }
+    },
+    set(val) {
+      this.setDataValue('theme', val && typeof val === 'object' ? JSON.stringify(val) : null);
+    }
   }
 }, {
   tableName: 'forms',
@@ -2,6 +2,8 @@
 import { DataTypes } from 'sequelize';
 import { sequelize } from '../db.js';
 import { Form } from './Form.js';
+import { FIELD_TYPES } from '../../shared/field-types.js';
+import { normalizeOptions, normalizeMatrixRows } from '../../shared/options.js';
 
 
 export const FormField = sequelize.define('FormField', {
@@ -15,11 +17,8 @@ export const FormField = sequelize.define('FormField', {
   },
   // Core field definition
   type: {
-    type: DataTypes.ENUM(
-      'singleLine', 'paragraph', 'dropdown', 'multipleChoice',
-      'checkboxes', 'number', 'name', 'email', 'phone', 'password',
-      'date', 'time', 'datetime', 'url', 'file', 'richText'
-    ),
+    // Stored as TEXT in SQLite, so new types need no column migration
+    type: DataTypes.ENUM(...FIELD_TYPES),
     allowNull: false
   },
   label: { type: DataTypes.STRING(255), allowNull: false, defaultValue: '' },
@@ -32,12 +31,99 @@ export const FormField = sequelize.define('FormField', {
   doNotStore: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
 
 
-  // Options (for dropdown/multipleChoice/checkboxes)
-  options: { type: DataTypes.TEXT, allowNull: false, defaultValue: '' }, // comma-separated
+  // Options of choice fields as JSON [{ label, value, description?, selected? }] (see src/shared/options.js);
+  // rows saved before options had values hold comma-separated labels until ensureSchema converts them
+  options: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: '',
+    get() {
+      return normalizeOptions(this.getDataValue('options'));
+    },
+    set(val) {
+      const list = normalizeOptions(val);
+      this.setDataValue('options', list.length ? JSON.stringify(list) : '');
+    }
+  },
+
+  // Dropdowns, radios and checkboxes: offer "Other" with a text box, and shuffle the options per respondent
+  allowOther: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  shuffleOptions: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
 
   // Content for rich text fields
   content: { type: DataTypes.TEXT, allowNull: true },
 
+  // Translated texts as JSON { <locale>: { label, placeholder, options: { <value>: label }, content } }
+  translations: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const raw = this.getDataValue('translations');
+      if (!raw) return {};
+      try { return JSON.parse(raw); } catch { return {}; }
+    },
+    set(val) {
+      this.setDataValue('translations', val && typeof val === 'object' && Object.keys(val).length ? JSON.stringify(val) : null);
+    }
+  },
+
+  // Validation constraints (min/max length, pattern, ranges, selections, custom message) as JSON
+  validation: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const raw = this.getDataValue('validation');
+      if (!raw) return null;
+      try { return JSON.parse(raw); } catch { return null; }
+    },
+    set(val) {
+      this.setDataValue('validation', val && typeof val === 'object' && Object.keys(val).length ? JSON.stringify(val) : null);
+    }
+  },
+
+  // Initial answer on the hosted form, and whether a matching query parameter may replace it
+  defaultValue: { type: DataTypes.TEXT, allowNull: true },
+  allowPrefill: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+
+  // Hidden fields: link parameter, fixed value or referrer (see HIDDEN_VALUE_SOURCES)
+  valueSource: { type: DataTypes.STRING(16), allowNull: true },
+
+  // Matrix questions: row statements as JSON [{ label, value }], like options (which are the columns);
+  // rows saved as comma-separated labels until ensureSchema converts them
+  matrixRows: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const list = normalizeMatrixRows(this.getDataValue('matrixRows'));
+      return list.length ? list : null;
+    },
+    set(val) {
+      const list = normalizeMatrixRows(val);
+      this.setDataValue('matrixRows', list.length ? JSON.stringify(list) : null);
+    }
+  },
+
+  // Rating fields: number of stars
+  scaleMax: { type: DataTypes.INTEGER, allowNull: true },
+
+  // Address fields: parts needed whenever an address is given (comma-separated, see src/shared/address.js)
+  requiredParts: { type: DataTypes.STRING(255), allowNull: true },
+
+  // Quiz questions: value(s) of the correct option(s) (comma-separated for checkboxes) and their worth
+  correctAnswer: { type: DataTypes.TEXT, allowNull: true },
+  points: { type: DataTypes.INTEGER, allowNull: true },
+
+  // Calculated fields: formula over other fields (src/shared/formula.js)
+  formula: { type: DataTypes.TEXT, allowNull: true },
+
+  // Layout: share of the row on wider screens (full, half, third, quarter)
+  width: { type: DataTypes.STRING(16), allowNull: false, defaultValue: 'full' },
+
+  // Repeatable groups: children name their group; the group holds the repeat bounds
+  parentName: { type: DataTypes.STRING(128), allowNull: true },
+  minRepeat: { type: DataTypes.INTEGER, allowNull: true },
+  maxRepeat: { type: DataTypes.INTEGER, allowNull: true },
+
   // Ordering within form
   position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
 }, {
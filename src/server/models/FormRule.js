@@ -0,0 +1,47 @@
+// /src/server/models/FormRule.js (ESM)
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../db.js';
+
+/**
+ * FormRule = one conditional logic rule attached to a form:
+ * "if <sourceField> <operator> <value> then <action> <targetField>".
+ * Fields are referenced by their internal `name`, which is unique per form.
+ */
+export const FormRule = sequelize.define('FormRule', {
+  id: {
+    type: DataTypes.STRING(40),
+    primaryKey: true
+  },
+  formId: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  // Condition
+  sourceField: { type: DataTypes.STRING(128), allowNull: false },
+  operator: {
+    type: DataTypes.ENUM(
+      'equals', 'notEquals', 'contains', 'notContains',
+      'isEmpty', 'isNotEmpty', 'greaterThan', 'lessThan'
+    ),
+    allowNull: false
+  },
+  value: { type: DataTypes.STRING(255), allowNull: false, defaultValue: '' },
+
+  // Action
+  action: {
+    type: DataTypes.ENUM('show', 'hide', 'require'),
+    allowNull: false
+  },
+  targetField: { type: DataTypes.STRING(128), allowNull: false },
+
+  // Ordering within form
+  position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }
+}, {
+  tableName: 'form_rules',
+  timestamps: false,
+  indexes: [
+    { name: 'idx_form_rules_formId', fields: ['formId'] }
+  ]
+});
+
+// Associations will be defined in app.js after all models are loaded
@@ -16,6 +16,29 @@ export const FormSubmission = submissionsSequelize.define('FormSubmission', {
     type: DataTypes.STRING(64),
     allowNull: false
   },
+  // FormVersion the respondent saw when submitting (null for older rows)
+  formVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Language the respondent saw the form in
+  locale: {
+    type: DataTypes.STRING(16),
+    allowNull: true
+  },
+  // Quiz result, computed on the server when the form has scored questions
+  score: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  maxScore: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  passed: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true
+  },
   payloadJson: {
     type: DataTypes.TEXT,
     allowNull: false,
@@ -0,0 +1,51 @@
+// /src/server/models/FormVersion.js (ESM)
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../db.js';
+
+/**
+ * FormVersion = immutable snapshot of a form written on every save
+ * (title, category, fields and rules), so old structures can be inspected,
+ * compared and restored, and submissions can be read against the version
+ * they were made with.
+ */
+export const FormVersion = sequelize.define('FormVersion', {
+  id: {
+    type: DataTypes.STRING(40),
+    primaryKey: true
+  },
+  formId: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  // 1-based, increasing per form
+  version: { type: DataTypes.INTEGER, allowNull: false },
+  title: { type: DataTypes.STRING(255), allowNull: false, defaultValue: '' },
+  createdBy: { type: DataTypes.STRING(64), allowNull: true },
+  // Optional short description, e.g. "Restored from version 3"
+  note: { type: DataTypes.STRING(255), allowNull: true },
+  snapshotJson: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: '{}',
+    get() {
+      const raw = this.getDataValue('snapshotJson');
+      try { return JSON.parse(raw ?? '{}'); } catch { return {}; }
+    },
+    set(val) {
+      try {
+        this.setDataValue('snapshotJson', JSON.stringify(val ?? {}));
+      } catch {
+        this.setDataValue('snapshotJson', '{}');
+      }
+    }
+  }
+}, {
+  tableName: 'form_versions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { name: 'uq_form_versions_formId_version', unique: true, fields: ['formId', 'version'] }
+  ]
+});
+
+// Associations will be defined in app.js after all models are loaded
@@ -0,0 +1,50 @@
+// /src/server/models/SubmissionAttachment.js (ESM)
+import { DataTypes } from 'sequelize';
+import { submissionsSequelize } from '../db.js';
+
+/**
+ * SubmissionAttachment = a binary answer (e.g. a drawn signature) stored next
+ * to its submission instead of inline in payloadJson, which only keeps a
+ * reference ({ attachmentId, mimeType, size }).
+ * Lives in the submissions database with the submissions themselves.
+ */
+export const SubmissionAttachment = submissionsSequelize.define('SubmissionAttachment', {
+  id: {
+    type: DataTypes.STRING(40),
+    primaryKey: true
+  },
+  submissionId: {
+    type: DataTypes.STRING(40),
+    allowNull: false
+  },
+  // Kept for bulk deletion with the form's submissions
+  formId: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  // Payload key the attachment answers
+  fieldName: {
+    type: DataTypes.STRING(128),
+    allowNull: false
+  },
+  mimeType: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.BLOB,
+    allowNull: false
+  }
+}, {
+  tableName: 'submission_attachments',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { name: 'idx_submission_attachments_submissionId', fields: ['submissionId'] },
+    { name: 'idx_submission_attachments_formId', fields: ['formId'] }
+  ]
+});
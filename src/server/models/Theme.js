@@ -0,0 +1,36 @@
+// /src/server/models/Theme.js (ESM)
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../db.js';
+
+// Saved themes admins apply to forms; applying copies the settings into Form.theme
+export const Theme = sequelize.define('Theme', {
+    id: {
+        type: DataTypes.STRING(64),
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        unique: true
+    },
+    // Theme settings as JSON (see src/shared/themes.js)
+    settings: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        get() {
+            const raw = this.getDataValue('settings');
+            if (!raw) return null;
+            try { return JSON.parse(raw); } catch { return null; }
+        },
+        set(val) {
+            this.setDataValue('settings', val && typeof val === 'object' ? JSON.stringify(val) : null);
+        }
+    },
+    createdBy: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    }
+}, {
+    tableName: 'themes',
+    timestamps: true
+});
@@ -9,6 +9,7 @@ import { logger } from '../utils/logger.js';
 import {
   health,
   createOrUpdateForm,
+  duplicateForm,
   listForms,
   readForm,
   updateForm,
@@ -20,8 +21,18 @@ import {
   checkTitleUnique,
   publicSubmit,
   deleteForm,
-  uploadFile
+  uploadFile,
+  publishForm,
+  updateFormStatus,
+  readSubmissionAttachment,
+  exportSubmissions
 } from '../controllers/forms.controller.js';
+import {
+  listVersions,
+  readVersion,
+  diffVersions,
+  restoreVersion
+} from '../controllers/versions.controller.js';
 
 const router = express.Router();
 
@@ -67,6 +78,21 @@ router.get('/api/forms/check-title', checkTitleUnique);
 router.put('/api/forms/:id', ensureAuth, requireRole('admin', 'editor'), updateForm);
 router.delete('/api/forms/:id', ensureAuth, requireRole('admin', 'editor'), deleteForm);
 router.get('/api/forms/:id', ensureAuth, requireRole('admin', 'editor', 'viewer'), readForm);
+router.post('/api/forms/:id/duplicate', ensureAuth, requireRole('admin', 'editor'), duplicateForm);
+
+// Lifecycle (draft / published / closed / archived)
+router.post('/api/forms/:id/publish', ensureAuth, requireRole('admin', 'editor'), publishForm);
+router.put('/api/forms/:id/status', ensureAuth, requireRole('admin', 'editor'), updateFormStatus);
+
+// Version history (diff must come before :version)
+router.get('/api/forms/:id/versions', ensureAuth, requireRole('admin', 'editor', 'viewer'), listVersions);
+router.get('/api/forms/:id/versions/diff', ensureAuth, requireRole('admin', 'editor', 'viewer'), diffVersions);
+router.get('/api/forms/:id/versions/:version', ensureAuth, requireRole('admin', 'editor', 'viewer'), readVersion);
+router.post('/api/forms/:id/versions/:version/restore', ensureAuth, requireRole('admin', 'editor'), restoreVersion);
+
+// Submission export (before :submissionId) and attachments (e.g. signatures)
+router.get('/api/forms/:id/submissions/export', ensureAuth, requireRole('admin', 'editor', 'viewer'), exportSubmissions);
+router.get('/api/forms/:id/submissions/:submissionId/attachments/:attachmentId', ensureAuth, requireRole('admin', 'editor', 'viewer'), readSubmissionAttachment);
 
 // File upload
 router.post('/api/upload', ensureAuth, requireRole('admin', 'editor'), upload.array('files', 5), uploadFile, handleUploadError);
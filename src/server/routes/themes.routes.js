@@ -0,0 +1,52 @@
+// src/server/routes/themes.routes.js
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import {
+    listThemes,
+    createTheme,
+    updateTheme,
+    deleteTheme,
+    applyTheme
+} from '../controllers/themes.controller.js';
+
+const router = express.Router();
+
+
+// --- Auth guards ---
+function ensureAuth(req, res, next) {
+    if (process.env.AUTH_ENABLED !== '1') return next();
+    if (req.session?.user) return next();
+    const auth = req.headers['authorization'] || '';
+    const m = auth.match(/^Bearer\s+(.+)$/i);
+    if (m) {
+        try {
+            const payload = jwt.verify(m[1], process.env.JWT_SECRET || 'dev_jwt_secret_change_me');
+            req.user = { id: payload.sub, role: payload.role, email: payload.email };
+            return next();
+        } catch (e) { }
+    }
+    if (req.path.startsWith('/api/')) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (req.accepts('html')) return res.redirect('/login');
+    return res.status(401).json({ error: 'Unauthorized' });
+}
+
+// --- RBAC ---
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (process.env.AUTH_ENABLED !== '1') return next();
+        const role = (req.session?.user && req.session.user.role) || (req.user && req.user.role) || null;
+        if (role && roles.includes(role)) return next();
+        return res.status(403).json({ error: 'Forbidden' });
+    };
+}
+
+// Saved themes: everyone who edits forms can list and apply them, admins manage them
+router.get('/api/themes', ensureAuth, requireRole('admin', 'editor', 'viewer'), listThemes);
+router.post('/api/themes', ensureAuth, requireRole('admin'), createTheme);
+router.put('/api/themes/:id', ensureAuth, requireRole('admin'), updateTheme);
+router.delete('/api/themes/:id', ensureAuth, requireRole('admin'), deleteTheme);
+router.post('/api/themes/:id/apply', ensureAuth, requireRole('admin'), applyTheme);
+
+export default router;
@@ -0,0 +1,122 @@
+// src/server/services/availability.service.js
+import { Op } from 'sequelize';
+import { Form } from '../models/Form.js';
+import { sequelize } from '../db.js';
+import { getPublishedDefinition } from './versions.service.js';
+
+/**
+ * Whether a form is open to respondents (hosted page and public submissions).
+ * Returns null when open, otherwise the reason shown on the friendly page and
+ * in the JSON error of a rejected submission. Besides the lifecycle status a
+ * published form may be outside its opensAt/closesAt window or have reached
+ * maxResponses. Responses are counted in Form.responseCount as they are
+ * accepted, so submissions made without storage consent count too; the slot
+ * is reserved before the submission is stored, so parallel submissions cannot
+ * overrun the limit.
+ */
+
+const UNAVAILABLE = {
+  draft: {
+    httpStatus: 404,
+    heading: 'Form not available',
+    message: "This form hasn't been published yet."
+  },
+  closed: {
+    httpStatus: 403,
+    heading: 'Form closed',
+    message: 'This form is closed and is no longer accepting responses.'
+  },
+  scheduled: {
+    httpStatus: 403,
+    heading: 'Form not open yet',
+    message: 'This form is not accepting responses yet.'
+  },
+  expired: {
+    httpStatus: 403,
+    heading: 'Form closed',
+    message: 'The deadline for this form has passed and it is no longer accepting responses.'
+  },
+  full: {
+    httpStatus: 403,
+    heading: 'Form closed',
+    message: 'This form has reached its response limit and is no longer accepting responses.'
+  },
+  archived: {
+    httpStatus: 410,
+    heading: 'Form no longer available',
+    message: 'This form has been archived and is no longer available.'
+  }
+};
+
+// Reasons where the form's own closed message replaces the default text
+const USES_CLOSED_MESSAGE = new Set(['closed', 'expired', 'full']);
+
+/**
+ * @param {Object} form - Form row (status, publishedVersion, opensAt, closesAt, maxResponses, responseCount, closedMessage)
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{ reason: string, httpStatus: number, heading: string, message: string, opensAt?: string }|null>}
+ */
+export async function checkFormAvailability(form, now = new Date()) {
+  const status = form?.status || 'draft';
+  if (status !== 'published' || !form.publishedVersion) return unavailableFor(status, form);
+
+  if (form.opensAt && now < new Date(form.opensAt)) {
+    return { ...unavailableFor('scheduled', form), opensAt: new Date(form.opensAt).toISOString() };
+  }
+  if (form.closesAt && now >= new Date(form.closesAt)) return unavailableFor('expired', form);
+  if (form.maxResponses && (form.responseCount || 0) >= form.maxResponses) {
+    return unavailableFor('full', form);
+  }
+  return null;
+}
+
+const unavailableFor = (status, form = null) => {
+  const reason = UNAVAILABLE[status] ? status : 'draft';
+  const out = { reason, ...UNAVAILABLE[reason] };
+  if (USES_CLOSED_MESSAGE.has(reason) && form?.closedMessage) out.message = form.closedMessage;
+  return out;
+};
+
+/**
+ * Take one of the form's remaining responses. The check and the count are a
+ * single UPDATE, so submissions arriving together cannot both take the last one.
+ * Not a change to the form itself, so updatedAt is left alone.
+ * @param {Object} form - Form row
+ * @returns {Promise<Object|null>} null when reserved, otherwise the 'full' reason (as checkFormAvailability)
+ */
+export async function reserveResponse(form) {
+  const [reserved] = await Form.update(
+    { responseCount: sequelize.literal('responseCount + 1') },
+    {
+      where: {
+        id: form.id,
+        [Op.or]: [{ maxResponses: null }, { responseCount: { [Op.lt]: sequelize.col('maxResponses') } }]
+      },
+      silent: true
+    }
+  );
+  return reserved ? null : unavailableFor('full', form);
+}
+
+/**
+ * Give back a reserved response whose submission could not be stored
+ * @param {string} formId - The form ID
+ * @returns {Promise<void>}
+ */
+export async function releaseResponse(formId) {
+  await Form.decrement('responseCount', { where: { id: formId }, silent: true });
+}
+
+/**
+ * Resolve what respondents get for a form: its published definition, or the
+ * reason it is unavailable.
+ * @param {Object} form - Form row
+ * @returns {Promise<{ live?: Object, unavailable?: Object }>}
+ */
+export async function loadLiveForm(form) {
+  const unavailable = await checkFormAvailability(form);
+  if (unavailable) return { unavailable };
+  const live = await getPublishedDefinition(form);
+  // A published pointer without its snapshot behaves like an unpublished form
+  return live ? { live } : { unavailable: unavailableFor('draft') };
+}
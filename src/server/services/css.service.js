@@ -0,0 +1,158 @@
+// src/server/services/css.service.js
+
+/**
+ * Custom CSS of form themes. It is written unescaped into a <style> element of
+ * the hosted form, so instead of removing known-bad snippets the text is read
+ * rule by rule and rebuilt from what is known to be harmless:
+ *
+ *   - style rules whose selector uses only selector characters, and which do
+ *     not match on input values (input[value^="a"] would leak answers)
+ *   - declarations of a plain property whose value calls only the functions
+ *     listed below, with url() limited to files uploaded here (/uploads/...)
+ *   - @media blocks holding such rules; every other at-rule (@import,
+ *     @font-face, @namespace, ...) is dropped
+ *
+ * Anything holding a backslash (CSS escapes such as @\69mport), "<" or a
+ * control character is dropped too, as are comments. Dropped parts vanish
+ * silently; the builder shows the CSS as it was kept.
+ */
+
+const MAX_DEPTH = 1;
+// Functions a value may call; url() is checked separately
+const ALLOWED_FUNCTIONS = new Set([
+    'rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'color-mix',
+    'var', 'calc', 'min', 'max', 'clamp',
+    'linear-gradient', 'radial-gradient', 'conic-gradient',
+    'repeating-linear-gradient', 'repeating-radial-gradient', 'repeating-conic-gradient',
+    'translate', 'translatex', 'translatey', 'rotate', 'scale', 'scalex', 'scaley', 'skew', 'skewx', 'skewy', 'matrix',
+    'cubic-bezier', 'steps', 'repeat', 'minmax', 'fit-content', 'drop-shadow', 'blur', 'brightness',
+    'contrast', 'grayscale', 'opacity', 'saturate', 'sepia', 'counter', 'counters', 'url'
+]);
+const UPLOAD_URL = /^\/uploads\/[\w.-]+$/;
+const PROPERTY = /^(?:--[A-Za-z0-9_-]+|-?[a-z][a-z0-9-]*)$/;
+const SELECTOR = /^[A-Za-z0-9_\-.#:,>+~*()[\]="'^$|\s]+$/;
+const MEDIA_QUERY = /^[A-Za-z0-9_\-\s(),:.]+$/;
+const UNSAFE_TEXT = /[\\<\u0000-\u0008\u000b\u000e-\u001f\u007f]/;
+
+// Split text on a separator outside strings and parentheses
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '(') depth += 1;
+        else if (ch === ')') depth = Math.max(0, depth - 1);
+        else if (ch === separator && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts;
+}
+
+// Read the CSS into { prelude, body } blocks and bodiless statements ({ prelude, body: null })
+function readBlocks(text) {
+    const blocks = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    let open = -1;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '{') {
+            if (depth === 0) open = i;
+            depth += 1;
+        } else if (ch === '}') {
+            if (depth === 0) {
+                start = i + 1;
+                continue;
+            }
+            depth -= 1;
+            if (depth === 0) {
+                blocks.push({ prelude: text.slice(start, open).trim(), body: text.slice(open + 1, i) });
+                start = i + 1;
+            }
+        } else if (ch === ';' && depth === 0) {
+            blocks.push({ prelude: text.slice(start, i).trim(), body: null });
+            start = i + 1;
+        }
+    }
+    // An unclosed block is dropped
+    if (depth === 0 && text.slice(start).trim()) blocks.push({ prelude: text.slice(start).trim(), body: null });
+    return blocks;
+}
+
+// Every string closed on its own line
+const hasClosedStrings = (text) => !/["']/.test(text.replace(/"[^"\n]*"|'[^'\n]*'/g, ''));
+
+function isSafeValue(value) {
+    if (!value || UNSAFE_TEXT.test(value) || !hasClosedStrings(value)) return false;
+    for (const call of value.matchAll(/([A-Za-z-]*)\(/g)) {
+        const name = call[1].toLowerCase();
+        // A bare parenthesis only groups, e.g. inside calc()
+        if (!name) continue;
+        if (!ALLOWED_FUNCTIONS.has(name)) return false;
+        if (name === 'url') {
+            const arg = value.slice(call.index + call[0].length).split(')')[0].trim().replace(/^(["'])(.*)\1$/, '$2');
+            if (!UPLOAD_URL.test(arg)) return false;
+        }
+    }
+    return true;
+}
+
+function sanitizeDeclarations(body) {
+    return splitTopLevel(body, ';')
+        .map(part => {
+            const colon = part.indexOf(':');
+            if (colon < 0) return null;
+            const property = part.slice(0, colon).trim();
+            const value = part.slice(colon + 1).trim();
+            if (!PROPERTY.test(property) || !isSafeValue(value)) return null;
+            return `  ${property}: ${value};`;
+        })
+        .filter(Boolean);
+}
+
+function isSafeSelector(selector) {
+    return SELECTOR.test(selector) && hasClosedStrings(selector) && !/\[\s*value\b/i.test(selector)
+        && splitTopLevel(selector, ',').every(s => s.trim());
+}
+
+function sanitizeBlocks(text, depth) {
+    const out = [];
+    for (const { prelude, body } of readBlocks(text)) {
+        if (body === null || !prelude || UNSAFE_TEXT.test(prelude)) continue;
+        if (prelude.startsWith('@')) {
+            const media = /^@media\s+(.+)$/i.exec(prelude);
+            if (!media || depth >= MAX_DEPTH || !MEDIA_QUERY.test(media[1])) continue;
+            const inner = sanitizeBlocks(body, depth + 1);
+            if (inner.length) out.push(`@media ${media[1].trim()} {\n${inner.join('\n').replace(/^/gm, '  ')}\n}`);
+            continue;
+        }
+        // Nested rules (CSS nesting) are not supported
+        if (!isSafeSelector(prelude) || body.includes('{')) continue;
+        const declarations = sanitizeDeclarations(body);
+        if (declarations.length) out.push(`${prelude.replace(/\s+/g, ' ')} {\n${declarations.join('\n')}\n}`);
+    }
+    return out;
+}
+
+/**
+ * Keep only the harmless part of a theme's custom CSS
+ * @param {string} input - CSS as typed in the builder
+ * @returns {string} The CSS rebuilt from the rules and declarations that were kept
+ */
+export function sanitizeCss(input) {
+    if (typeof input !== 'string') return '';
+    const withoutComments = input.replace(/\/\*[\s\S]*?(?:\*\/|$)/g, ' ');
+    return sanitizeBlocks(withoutComments, 0).join('\n');
+}
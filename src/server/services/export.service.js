@@ -0,0 +1,156 @@
+// src/server/services/export.service.js
+import { answerKeysFor } from './rules.service.js';
+import { UTM_PARAMS } from './tracking.service.js';
+import { ADDRESS_PARTS, ADDRESS_PART_LABELS } from '../../shared/address.js';
+import { normalizeMatrixRows } from '../../shared/options.js';
+
+/**
+ * Submission exports: one row per stored submission, one column per answer.
+ * Structured answers are spread over several columns (an address gets one
+ * column per part, a matrix one per row); groups, whose number of entries
+ * varies, are kept as JSON in a single column. Signatures, stored as
+ * attachments, export as the link to the image. Keys stored by older versions
+ * of the form that no field answers any more are appended as they are.
+ */
+
+// Fields that never hold an answer
+const NO_ANSWER_TYPES = new Set(['pageBreak', 'richText']);
+
+/**
+ * Key an answer is stored under in the submission payload (see publicSubmit)
+ * @param {string} key - Answer key as submitted
+ * @returns {string}
+ */
+export function storageKeyOf(key) {
+    return String(key || '').replace(/[^a-zA-Z0-9_]/g, '_');
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const partOf = (key, part) => (payload) => {
+    const value = payload[key];
+    return isPlainObject(value) ? value[part] : undefined;
+};
+
+// Link to a stored signature image (see readSubmissionAttachment)
+const attachmentUrl = (baseUrl, submission, ref) => (isPlainObject(ref) && ref.attachmentId
+    ? `${baseUrl}/api/forms/${submission.formId}/submissions/${submission.id}/attachments/${ref.attachmentId}`
+    : undefined);
+
+// Columns one top-level field contributes; valueOf(payload, submission)
+function fieldColumns(field, baseUrl) {
+    const label = field.label || field.name;
+    const key = storageKeyOf(field.name);
+    switch (field.type) {
+        case 'signature':
+            return [{ key: field.name, header: label, valueOf: (p, s) => attachmentUrl(baseUrl, s, p[key]) }];
+        case 'address':
+            return ADDRESS_PARTS.map(part => ({
+                key: `${field.name}.${part}`, header: `${label} – ${ADDRESS_PART_LABELS[part]}`, valueOf: partOf(key, part)
+            }));
+        case 'matrix':
+            return normalizeMatrixRows(field.matrixRows).map(row => ({
+                key: `${field.name}.${row.value}`, header: `${label} – ${row.label}`, valueOf: partOf(key, row.value)
+            }));
+        case 'name':
+            return answerKeysFor(field).map((k, i) => ({
+                key: k, header: `${label} – ${i ? 'Last name' : 'First name'}`, valueOf: (p) => p[storageKeyOf(k)]
+            }));
+        default:
+            return answerKeysFor(field).map((k, i) => ({
+                key: k, header: i ? `${label} – Other` : label, valueOf: (p) => p[storageKeyOf(k)]
+            }));
+    }
+}
+
+/**
+ * Columns of an export: submission details, the form's fields in order,
+ * captured UTM parameters, then any other stored keys
+ * @param {Array} fields - Fields of the form (plain objects, in form order)
+ * @param {Array<Object>} payloads - Stored payloads of the exported submissions
+ * @param {string} [baseUrl] - Origin prefixed to attachment links
+ * @returns {Array<{ key: string, header: string, valueOf: Function }>}
+ */
+export function exportColumns(fields, payloads = [], baseUrl = '') {
+    const columns = fields
+        .filter(f => !f.parentName && !f.doNotStore && !NO_ANSWER_TYPES.has(f.type))
+        .flatMap(f => fieldColumns(f, baseUrl));
+    const known = new Set(fields.filter(f => !f.parentName).flatMap(f => answerKeysFor(f).map(storageKeyOf)));
+
+    const stored = new Set(payloads.flatMap(p => Object.keys(p)));
+    for (const param of UTM_PARAMS) {
+        if (known.has(param) || !stored.has(param)) continue;
+        columns.push({ key: param, header: param, valueOf: (p) => p[param] });
+        known.add(param);
+    }
+    for (const key of stored) {
+        if (!known.has(key)) columns.push({ key, header: key, valueOf: (p) => p[key] });
+    }
+    return columns;
+}
+
+/**
+ * Text of one exported cell: lists are joined, other structured values written as JSON
+ * @param {*} value - Stored answer
+ * @returns {string}
+ */
+export function cellText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value) && value.every(v => typeof v !== 'object' || v === null)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Flatten stored submissions into export rows
+ * @param {Array} fields - Fields of the form (plain objects, in form order)
+ * @param {Array<Object>} submissions - FormSubmission rows (raw or model instances)
+ * @param {{ baseUrl?: string }} [options] - baseUrl: origin prefixed to attachment links
+ * @returns {{ headers: string[], keys: string[], rows: string[][] }}
+ */
+export function buildExport(fields, submissions, { baseUrl = '' } = {}) {
+    const payloads = submissions.map(s => {
+        const payload = s.payloadJson;
+        if (typeof payload !== 'string') return payload || {};
+        try {
+            return JSON.parse(payload) || {};
+        } catch {
+            return {};
+        }
+    });
+    const columns = exportColumns(fields, payloads, baseUrl);
+    const details = [
+        ['id', 'Submission ID', s => s.id],
+        ['submittedAt', 'Submitted at', s => new Date(s.createdAt).toISOString()],
+        ['formVersion', 'Form version', s => s.formVersion],
+        ['locale', 'Language', s => s.locale],
+        ['score', 'Score', s => s.score],
+        ['maxScore', 'Max score', s => s.maxScore],
+        ['passed', 'Passed', s => (s.passed === null || s.passed === undefined ? null : (s.passed ? 'yes' : 'no'))]
+    ];
+    return {
+        keys: [...details.map(([key]) => key), ...columns.map(c => c.key)],
+        headers: [...details.map(([, header]) => header), ...columns.map(c => c.header)],
+        rows: submissions.map((s, i) => [
+            ...details.map(([, , valueOf]) => cellText(valueOf(s))),
+            ...columns.map(c => cellText(c.valueOf(payloads[i], s)))
+        ])
+    };
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas (plain numbers aside)
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+const csvCell = (text) => {
+    const safe = FORMULA_START.test(text) && !NUMBER.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * Write an export as CSV (RFC 4180, CRLF line endings)
+ * @param {{ headers: string[], rows: string[][] }} table - Result of buildExport
+ * @returns {string}
+ */
+export function toCsv({ headers, rows }) {
+    return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
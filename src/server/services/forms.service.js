@@ -3,6 +3,9 @@ import { sequelize } from '../db.js';
 import crypto from 'crypto';
 import { Form } from '../models/Form.js';
 import { FormField } from '../models/FormField.js';
+import { FormRule } from '../models/FormRule.js';
+import { recordFormVersion } from './versions.service.js';
+import { toFieldRow } from '../utils/field-rows.js';
 
 export const normalizeTitle = (t) => String(t || '').normalize('NFKC').trim();
 
@@ -18,13 +21,40 @@ export async function isTitleTaken(title, excludeId = null) {
   return Array.isArray(rows) && rows.length > 0;
 }
 
+// A free title for a copy of a form: "Survey (copy)", then "Survey (copy 2)" and so on.
+// Copying a copy numbers on from the original title instead of stacking suffixes.
+const MAX_TITLE_LENGTH = 255;
+const COPY_SUFFIX = / \(copy(?: \d+)?\)$/i;
+export async function copyTitleFor(title) {
+  const base = normalizeTitle(title).replace(COPY_SUFFIX, '') || 'Untitled Form';
+  for (let n = 1; n <= 100; n++) {
+    const suffix = n === 1 ? ' (copy)' : ` (copy ${n})`;
+    const candidate = `${base.slice(0, MAX_TITLE_LENGTH - suffix.length).trim()}${suffix}`;
+    if (!(await isTitleTaken(candidate))) return candidate;
+  }
+  return null;
+}
+
 // Helpers for ID generation: form-XXXXXXXX (8 random base62, non-colliding)
 const B62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
 const shortRand = (n = 8) => Array.from(crypto.randomBytes(n)).map(b => B62[b % 62]).join('');
 export const makeReadableId = () => `form-${shortRand(8)}`;
 
-// Create a form and its fields inside a transaction
-export async function createFormWithFields(title, cleanFields, categoryId = null, createdBy = null) {
+const toRuleRows = (formId, cleanRules) => cleanRules.map((r, idx) => ({
+  id: r.id && String(r.id).trim() ? r.id : crypto.randomBytes(9).toString('base64url'),
+  formId,
+  sourceField: r.sourceField,
+  operator: r.operator,
+  value: r.value || '',
+  action: r.action,
+  targetField: r.targetField,
+  position: r.position !== undefined ? r.position : idx
+}));
+
+// Create a form with its fields and rules (and version 1) inside a transaction.
+// `languages` ({ defaultLocale, translations }, see validateLanguages) is versioned like the title;
+// so is the thank-you message among the `settings` (see validateSettings).
+export async function createFormWithFields(title, cleanFields, categoryId = null, createdBy = null, cleanRules = [], languages = null, settings = null) {
   return sequelize.transaction(async (t) => {
     // Generate unique id: form-XXXXXXXX (retry on collision)
     let newId;
@@ -35,30 +65,22 @@ export async function createFormWithFields(title, cleanFields, categoryId = null
     }
     if (!newId) throw new Error('Could not generate unique form id');
 
-    const form = await Form.create({ id: newId, title, categoryId, createdBy }, { transaction: t });
+    const form = await Form.create({ id: newId, title, categoryId, createdBy, ...(languages || {}), ...(settings || {}) }, { transaction: t });
 
-    const rows = cleanFields.map((f, idx) => ({
-      id: f.id && String(f.id).trim() ? f.id : crypto.randomBytes(9).toString('base64url'),
-      formId: form.id,
-      type: f.type,
-      label: f.label,
-      name: f.name,
-      placeholder: f.placeholder || '',
-      required: !!f.required,
-      doNotStore: !!f.doNotStore,
-      options: f.options || '',
-      content: f.content || null,
-      position: f.position !== undefined ? f.position : idx
-    }));
+    const rows = cleanFields.map((f, idx) => toFieldRow(f, form.id, idx));
 
 
     await FormField.bulkCreate(rows, { transaction: t });
-    return { form, rows };
+    const ruleRows = toRuleRows(form.id, cleanRules);
+    if (ruleRows.length) await FormRule.bulkCreate(ruleRows, { transaction: t });
+    const version = await recordFormVersion(form.id, { createdBy, transaction: t });
+    return { form, rows, ruleRows, version };
   });
 }
 
-// Update a form title and replace its fields
-export async function updateFormWithFields(id, titleOrNull, cleanFieldsOrNull, categoryIdOrNull) {
+// Update a form title and replace its fields (and rules, when given).
+// Callers snapshot the result with recordFormVersion once all changes are saved.
+export async function updateFormWithFields(id, titleOrNull, cleanFieldsOrNull, categoryIdOrNull, cleanRulesOrNull) {
   return sequelize.transaction(async (t) => {
     const form = await Form.findByPk(id, { transaction: t });
     if (!form) return { notFound: true };
@@ -75,19 +97,7 @@ export async function updateFormWithFields(id, titleOrNull, cleanFieldsOrNull, c
 
     if (cleanFieldsOrNull !== undefined) {
       await FormField.destroy({ where: { formId: form.id }, transaction: t });
-      const rows = cleanFieldsOrNull.map((f, idx) => ({
-        id: f.id && String(f.id).trim() ? f.id : crypto.randomBytes(9).toString('base64url'),
-        formId: form.id,
-        type: f.type,
-        label: f.label,
-        name: f.name,
-        placeholder: f.placeholder || '',
-        required: !!f.required,
-        doNotStore: !!f.doNotStore,
-        options: f.options || '',
-        content: f.content || null,
-        position: f.position !== undefined ? f.position : idx
-      }));
+      const rows = cleanFieldsOrNull.map((f, idx) => toFieldRow(f, form.id, idx));
       await FormField.bulkCreate(rows, { transaction: t });
       // Update the form's updated_at timestamp when fields change
       // Force update by marking the form as changed
@@ -95,6 +105,80 @@ export async function updateFormWithFields(id, titleOrNull, cleanFieldsOrNull, c
       await form.save({ transaction: t });
     }
 
+    if (cleanRulesOrNull !== undefined) {
+      await FormRule.destroy({ where: { formId: form.id }, transaction: t });
+      const ruleRows = toRuleRows(form.id, cleanRulesOrNull || []);
+      if (ruleRows.length) await FormRule.bulkCreate(ruleRows, { transaction: t });
+      form.changed('updatedAt', true);
+      await form.save({ transaction: t });
+    }
+
     return { form };
   });
 }
+
+// Publish the working copy: snapshot it and make that version the live one
+export async function publishWorkingCopy(id, publishedBy = null) {
+  return sequelize.transaction(async (t) => {
+    const form = await Form.findByPk(id, { transaction: t });
+    if (!form) return { notFound: true };
+    const version = await recordFormVersion(form.id, { createdBy: publishedBy, transaction: t });
+    const fresh = await Form.findByPk(id, { transaction: t });
+    fresh.status = 'published';
+    fresh.publishedVersion = version.version;
+    await fresh.save({ transaction: t });
+    return { form: fresh };
+  });
+}
+
+// Move a form to another lifecycle status (publishing content goes through publishWorkingCopy)
+export async function setFormStatus(id, status) {
+  const form = await Form.findByPk(id);
+  if (!form) return { notFound: true };
+  if (status === 'published' && !form.publishedVersion) {
+    return { error: 'This form has never been published. Publish it first.' };
+  }
+  form.status = status;
+  await form.save();
+  return { form };
+}
+
+// Default language and translated titles (already validated by validateLanguages).
+// Unlike the schedule they are form content: callers snapshot the result with recordFormVersion.
+export async function setFormLanguages(id, languages) {
+  const form = await Form.findByPk(id);
+  if (!form) return { notFound: true };
+  form.set(languages);
+  if (form.changed()) await form.save();
+  return { form };
+}
+
+// Look of the hosted form (already validated by validateTheme; null restores the default look).
+// Like the schedule it is not form content, so it takes effect without publishing.
+export async function setFormTheme(id, theme) {
+  const form = await Form.findByPk(id);
+  if (!form) return { notFound: true };
+  form.theme = theme;
+  if (form.changed()) await form.save();
+  return { form };
+}
+
+// Scheduling and response cap settings (already validated by validateSchedule); keys left out keep their value
+export async function setFormSchedule(id, schedule) {
+  const form = await Form.findByPk(id);
+  if (!form) return { notFound: true };
+  form.set(schedule);
+  if (form.changed()) await form.save();
+  return { form };
+}
+
+// Form settings (already validated by validateSettings); keys left out keep their value.
+// Like the schedule they take effect without publishing, except the thank-you message:
+// it is snapshotted with its translations, so callers record a version after changing it.
+export async function setFormSettings(id, settings) {
+  const form = await Form.findByPk(id);
+  if (!form) return { notFound: true };
+  form.set(settings);
+  if (form.changed()) await form.save();
+  return { form };
+}
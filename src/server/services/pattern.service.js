@@ -0,0 +1,231 @@
+// src/server/services/pattern.service.js
+
+/**
+ * Backtracking check for the custom patterns of text fields (validation.pattern).
+ * Answers are matched with the platform's backtracking RegExp engine, so a
+ * pattern that can match the same text in very many ways would let one
+ * submission tie up the server. Three shapes cause that, and all are rejected:
+ *
+ *   - a repeated group holding anything of variable length, e.g. (a+)+,
+ *     (\w+\s?)+ or (a?a)* (star height above one)
+ *   - a repeated group whose alternatives can start with the same character,
+ *     or can match nothing, e.g. (a|aa)+, (\d|1)* or (a|)+
+ *   - more than two parts of unbounded length in a row that can match the same
+ *     characters, e.g. a*a*a*a*b, \w*\w*\w*x or .*a.*a.*b (each one multiplies
+ *     the ways to split the answer); a long run of optional parts such as
+ *     a?a?a?...a counts the same way
+ *
+ * The check is deliberately cautious: some harmless patterns are refused too
+ * (e.g. ([a-z]+\.)+), and can usually be written without the repeated group.
+ * Answers tested against a pattern are capped at MAX_PATTERN_ANSWER_LENGTH,
+ * which bounds the cases still allowed, such as [^@]+@[^@]+\.[^@]+.
+ */
+
+// Characters the alternatives of a group are compared on: printable ASCII,
+// whitespace, Latin-1 and Latin Extended, and a few from other scripts
+const SAMPLE_CHARS = [
+    '\t', '\n', '\r',
+    ...Array.from({ length: 0x7f - 0x20 }, (_, i) => String.fromCodePoint(0x20 + i)),
+    ...Array.from({ length: 0x250 - 0xa0 }, (_, i) => String.fromCodePoint(0xa0 + i)),
+    'Ω', 'ж', 'א', 'ع', 'अ', 'あ', '中', '한', '😀'
+];
+const ANY_CHAR = { kind: 'char', source: '[^]' };
+
+/** Longest answer tested against a pattern; bounds the ways an unbounded part can match */
+export const MAX_PATTERN_ANSWER_LENGTH = 500;
+// Ways a row of overlapping parts may split an answer: two unbounded parts
+const MAX_SPLITS = (MAX_PATTERN_ANSWER_LENGTH + 1) ** 2;
+
+// Read one quantifier at `pos`, or null
+function readQuantifier(pattern, pos) {
+    const ch = pattern[pos];
+    let min;
+    let max;
+    let end = pos + 1;
+    if (ch === '*') [min, max] = [0, Infinity];
+    else if (ch === '+') [min, max] = [1, Infinity];
+    else if (ch === '?') [min, max] = [0, 1];
+    else if (ch === '{') {
+        const m = /^\{(\d+)(?:(,)(\d*))?\}/.exec(pattern.slice(pos));
+        if (!m) return null;
+        min = Number(m[1]);
+        max = m[2] ? (m[3] === '' ? Infinity : Number(m[3])) : min;
+        end = pos + m[0].length;
+    } else return null;
+    // Lazy quantifiers match the same texts
+    if (pattern[end] === '?') end += 1;
+    return { min, max, end };
+}
+
+// Read one escape sequence at `pos` (the backslash); returns the atom and where it ends
+function readEscape(pattern, pos) {
+    const next = pattern[pos + 1];
+    if (/[1-9]/.test(next) || (next === 'k' && pattern[pos + 2] === '<')) {
+        return { atom: { kind: 'backreference' }, end: pos + 2 };
+    }
+    if (next === 'b' || next === 'B') return { atom: { kind: 'assert' }, end: pos + 2 };
+    const m = /^\\(?:[pP]\{[^}]*\}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|[\s\S])/.exec(pattern.slice(pos));
+    return { atom: { kind: 'char', source: m[0] }, end: pos + m[0].length };
+}
+
+// Parse the alternatives starting at `pos` up to the closing parenthesis (or the end)
+function parseAlternatives(pattern, pos) {
+    const alternatives = [[]];
+    while (pos < pattern.length && pattern[pos] !== ')') {
+        const ch = pattern[pos];
+        if (ch === '|') {
+            alternatives.push([]);
+            pos += 1;
+            continue;
+        }
+        let atom;
+        if (ch === '\\') {
+            ({ atom, end: pos } = readEscape(pattern, pos));
+        } else if (ch === '[') {
+            const m = /^\[\^?(?:[^\]\\]|\\[\s\S])*\]/.exec(pattern.slice(pos));
+            atom = { kind: 'char', source: m[0] };
+            pos += m[0].length;
+        } else if (ch === '(') {
+            const prefix = /^\((?:\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>))?/.exec(pattern.slice(pos))[0];
+            const inner = parseAlternatives(pattern, pos + prefix.length);
+            const lookaround = /^\(\?(?:=|!|<=|<!)/.test(prefix);
+            atom = lookaround ? { kind: 'assert', group: inner.alternatives } : { kind: 'group', group: inner.alternatives };
+            pos = inner.end + 1;
+        } else if (ch === '^' || ch === '$') {
+            atom = { kind: 'assert' };
+            pos += 1;
+        } else {
+            atom = ch === '.' ? ANY_CHAR : { kind: 'char', source: ch };
+            pos += 1;
+        }
+        const quantifier = readQuantifier(pattern, pos);
+        if (quantifier) pos = quantifier.end;
+        alternatives[alternatives.length - 1].push({
+            atom,
+            min: quantifier ? quantifier.min : 1,
+            max: quantifier ? quantifier.max : 1
+        });
+    }
+    return { alternatives, end: pos };
+}
+
+const canBeEmpty = (item) => item.min === 0 || item.atom.kind === 'assert'
+    || (item.atom.kind === 'group' && item.atom.group.some(seq => seq.every(canBeEmpty)));
+
+// Length every match of a sequence / of a list of alternatives has, or null when it varies
+const seqLength = (seq) => seq.reduce((total, item) => {
+    if (total === null || item.atom.kind === 'assert') return total;
+    if (item.min !== item.max) return null;
+    const length = item.atom.kind === 'group' ? fixedLength(item.atom.group) : 1;
+    return length === null ? null : total + item.min * length;
+}, 0);
+const fixedLength = (alternatives) => {
+    const lengths = new Set(alternatives.map(seqLength));
+    return lengths.size === 1 && !lengths.has(null) ? [...lengths][0] : null;
+};
+const isVariable = (item) => item.atom.kind !== 'assert' && seqLength([item]) === null;
+
+// Characters (as single-character atoms) a sequence can start with
+function firstChars(seq) {
+    const out = [];
+    for (const item of seq) {
+        if (item.atom.kind === 'char') out.push(item.atom);
+        else if (item.atom.kind === 'group') item.atom.group.forEach(inner => out.push(...firstChars(inner)));
+        if (!canBeEmpty(item)) break;
+    }
+    return out;
+}
+
+// Sample characters an atom matches, worked out once per atom
+const samplesMatched = new WeakMap();
+const samplesOf = (atom) => {
+    if (!samplesMatched.has(atom)) {
+        const re = new RegExp(`^(?:${atom.source})$`, 'u');
+        samplesMatched.set(atom, SAMPLE_CHARS.filter(ch => re.test(ch)));
+    }
+    return samplesMatched.get(atom);
+};
+const sharesChar = (a, b) => {
+    const matched = new Set(a.flatMap(samplesOf));
+    return b.some(atom => samplesOf(atom).some(ch => matched.has(ch)));
+};
+
+// Every single-character atom an item can match
+const charsOf = (item) => (item.atom.kind === 'char' ? [item.atom]
+    : (item.atom.group || []).flatMap(seq => seq.flatMap(charsOf)));
+
+// Number of lengths an item can match, taking unbounded as the longest answer
+function spreadOf(item) {
+    const lengths = Math.min(item.max, MAX_PATTERN_ANSWER_LENGTH) - item.min + 1;
+    if (item.atom.kind !== 'group' || fixedLength(item.atom.group) !== null) return lengths;
+    const inner = item.atom.group.reduce((total, seq) => total + seq.reduce((ways, i) => ways * spreadOf(i), 1), 0);
+    return lengths * inner;
+}
+
+// Ways the parts of a sequence that follow each other and share characters can split an answer
+function splitRisk(seq) {
+    let chains = [];
+    for (const item of seq) {
+        if (item.atom.kind === 'assert') continue;
+        const chars = charsOf(item);
+        const spread = spreadOf(item);
+        const next = [];
+        for (const chain of chains) {
+            if (sharesChar(chain.chars, chars)) next.push({ chars, ways: chain.ways * spread });
+            // An optional part that cannot match the same text leaves the row unbroken
+            else if (canBeEmpty(item)) next.push(chain);
+        }
+        next.push({ chars, ways: spread });
+        if (next.some(chain => chain.ways > MAX_SPLITS)) {
+            return 'Pattern is too complex (too many parts of varying length match the same text, e.g. a*a*a*b)';
+        }
+        chains = next;
+    }
+    return null;
+}
+
+// First problem found in a list of alternatives, or null
+function riskIn(alternatives) {
+    for (const seq of alternatives) {
+        for (const item of seq) {
+            const { atom } = item;
+            // What a back-reference matches depends on earlier matches, which this check cannot follow
+            if (atom.kind === 'backreference') return 'Pattern cannot refer back to a group';
+            if (!atom.group) continue;
+            if (item.max > 1 && atom.kind === 'group') {
+                if (atom.group.some(inner => inner.some(isVariable))) {
+                    return 'Pattern is too complex (a repeated group holds a part of varying length, e.g. (a+)+)';
+                }
+                if (atom.group.some(inner => inner.every(canBeEmpty))) {
+                    return 'Pattern is too complex (a repeated group can match nothing)';
+                }
+                const starts = atom.group.map(firstChars);
+                for (let i = 0; i < starts.length; i++) {
+                    for (let j = i + 1; j < starts.length; j++) {
+                        if (sharesChar(starts[i], starts[j])) {
+                            return 'Pattern is too complex (alternatives of a repeated group overlap, e.g. (a|aa)+)';
+                        }
+                    }
+                }
+            }
+            const inner = riskIn(atom.group);
+            if (inner) return inner;
+        }
+        const split = splitRisk(seq);
+        if (split) return split;
+    }
+    return null;
+}
+
+/**
+ * Why a pattern could backtrack catastrophically
+ * @param {string} pattern - A pattern that compiles (see compileFieldPattern)
+ * @returns {string|null} Error message, or null when the pattern is safe to run
+ */
+export function patternRisk(pattern) {
+    try {
+        return riskIn(parseAlternatives(String(pattern), 0).alternatives);
+    } catch {
+        return 'Pattern is too complex';
+    }
+}
@@ -0,0 +1,47 @@
+// src/server/services/redirect.service.js
+
+/**
+ * Where a form may send respondents after they submit (Form.redirectUrl): a
+ * path on this site, or an http(s) URL on a host listed in
+ * REDIRECT_ALLOWED_HOSTS (comma-separated; "*.example.com" also allows every
+ * subdomain of example.com). Nothing else, so a form cannot be turned into an
+ * open redirect. The list is read on every check, so removing a host also
+ * stops the forms that already redirect there.
+ */
+
+export const MAX_REDIRECT_URL_LENGTH = 2048;
+
+/**
+ * Hosts from REDIRECT_ALLOWED_HOSTS, lower-cased
+ * @returns {string[]}
+ */
+export function allowedRedirectHosts() {
+    return String(process.env.REDIRECT_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(s => s.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+const hostAllowed = (host, allowed) => allowed.some(entry => (
+    entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry
+));
+
+/**
+ * Whether respondents may be sent to a URL
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isAllowedRedirect(url) {
+    if (typeof url !== 'string' || !url || url.length > MAX_REDIRECT_URL_LENGTH) return false;
+    // Same site: "/thanks", but not "//evil.example" (protocol-relative) or "/\evil.example"
+    if (url.startsWith('/')) return !/^\/[\/\\]/.test(url) && !/[\s\x00-\x1F]/.test(url);
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+    if (parsed.username || parsed.password) return false;
+    return hostAllowed(parsed.hostname.toLowerCase(), allowedRedirectHosts());
+}
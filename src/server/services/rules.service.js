@@ -0,0 +1,72 @@
+// src/server/services/rules.service.js
+import { otherKeyOf } from '../../shared/options.js';
+import { evaluateRules, isEmptyAnswer } from '../../shared/rules.js';
+
+/**
+ * Server-side use of conditional logic rules (FormRule). Rules are evaluated
+ * by src/shared/rules.js, the same code the hosted form runs, so the server
+ * never trusts the browser's idea of which fields were visible or required.
+ */
+
+export { answerOf, isEmptyAnswer, ruleMatches, evaluateRules } from '../../shared/rules.js';
+
+// Composite partials submit several keys for one field (see views/partials/fields/name.hbs)
+const COMPOSITE_KEYS = {
+    name: (n) => [`${n}_first`, `${n}_last`]
+};
+
+/**
+ * Keys a field contributes to the submitted `data` object
+ * @param {Object} field - FormField (or plain object with name/type)
+ * @returns {string[]} Keys in the submission payload
+ */
+export function answerKeysFor(field) {
+    // Page breaks only split the form into steps
+    if (field?.type === 'pageBreak') return [];
+    const toKeys = COMPOSITE_KEYS[field?.type];
+    if (toKeys) return toKeys(field.name);
+    // Choice fields offering "Other" also submit the respondent's own words
+    return field?.allowOther ? [field.name, otherKeyOf(field.name)] : [field?.name];
+}
+
+/**
+ * Child fields of a repeatable group, in form order
+ * @param {Array} fields - FormField rows of the form
+ * @param {string} groupName - Name of the group field
+ * @returns {Array} Fields whose parentName is the group
+ */
+export function groupChildren(fields = [], groupName) {
+    return fields.filter(f => f.parentName === groupName);
+}
+
+// A group entry with no answered child counts as not given (e.g. a blank row the respondent left)
+export function isEmptyEntry(entry, children = []) {
+    return children.every(c => answerKeysFor(c).every(k => isEmptyAnswer(entry?.[k])));
+}
+
+/**
+ * Apply rules to a submission: drop answers of hidden fields and work out which
+ * visible fields must be answered (statically or because a rule requires them).
+ * Answer checks themselves live in utils/answer-validation.js.
+ * @param {Array} fields - FormField rows of the form
+ * @param {Array} rules - FormRule rows of the form
+ * @param {Object} data - Submitted answers
+ * @returns {{ data: Object, hidden: Set<string>, required: Set<string> }}
+ */
+export function applyRulesToSubmission(fields = [], rules = [], data = {}) {
+    const { hidden, required: ruleRequired } = evaluateRules(rules, data);
+    const out = { ...data };
+    const required = new Set();
+
+    for (const field of fields) {
+        // Group children are answered per entry and cannot be targeted by rules
+        if (field.parentName) continue;
+        if (hidden.has(field.name)) {
+            answerKeysFor(field).forEach(k => delete out[k]);
+            continue;
+        }
+        if (field.required || ruleRequired.has(field.name)) required.add(field.name);
+    }
+
+    return { data: out, hidden, required };
+}
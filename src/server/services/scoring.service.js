@@ -0,0 +1,54 @@
+// src/server/services/scoring.service.js
+import { optionLabelOf } from '../../shared/options.js';
+
+/**
+ * Quiz scoring: dropdown, multiple choice and checkbox fields with a correct
+ * answer are questions worth `points`. Submissions are scored on the server
+ * against the published fields; a checkbox question counts as right only when
+ * exactly the correct options are ticked. Answers and correct answers are
+ * option values; the labels are kept for showing respondents their result.
+ */
+
+const splitList = (text) => String(text || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Score submitted answers
+ * @param {Array} fields - FormField rows of the published form
+ * @param {Object} data - Answers left after conditional rules were applied
+ * @param {Object} [opts]
+ * @param {Set<string>} [opts.hidden] - Field names hidden by rules (not asked, so not scored)
+ * @param {number|null} [opts.passMark] - Percentage of the points needed to pass
+ * @returns {{ score: number, maxScore: number, percent: number, passed: boolean|null, questions: Array }|null}
+ *   null when the form has no scored questions
+ */
+export function scoreAnswers(fields = [], data = {}, { hidden = new Set(), passMark = null } = {}) {
+    const questions = fields
+        .filter(f => f.correctAnswer && !f.parentName && !hidden.has(f.name))
+        .map(f => {
+            const expected = splitList(f.correctAnswer);
+            const given = [].concat(data[f.name] ?? []).map(v => String(v).trim()).filter(Boolean);
+            const correct = given.length === expected.length && expected.every(v => given.includes(v));
+            const points = f.points ?? 1;
+            return {
+                name: f.name,
+                label: f.label || f.name,
+                correct,
+                points,
+                earned: correct ? points : 0,
+                correctAnswer: expected,
+                correctLabels: expected.map(value => optionLabelOf(f.options, value))
+            };
+        });
+    if (!questions.length) return null;
+
+    const score = questions.reduce((total, q) => total + q.earned, 0);
+    const maxScore = questions.reduce((total, q) => total + q.points, 0);
+    return {
+        score,
+        maxScore,
+        percent: maxScore ? Math.round((score / maxScore) * 100) : 0,
+        // Compared on whole points so rounding the percentage cannot tip the result
+        passed: passMark === null || passMark === undefined ? null : score * 100 >= passMark * maxScore,
+        questions
+    };
+}
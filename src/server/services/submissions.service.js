@@ -1,25 +1,64 @@
 // src/server/services/submissions.service.js
 import crypto from 'crypto';
 import { FormSubmission } from '../models/FormSubmission.js';
+import { SubmissionAttachment } from '../models/SubmissionAttachment.js';
 
 /**
  * Service for handling form submissions in the separate submissions database
  * This ensures data isolation between application data and client form submissions
  */
 
+const newId = () => crypto.randomBytes(9).toString('base64url');
+
 /**
  * Create a new form submission in the submissions database
  * @param {string} formId - The form ID
  * @param {Object} payload - The submission data
+ * @param {number|null} formVersion - FormVersion the submission was made against
+ * @param {{ score: number, maxScore: number, passed: boolean|null }|null} result - Quiz result, if scored
+ * @param {Object<string, { mimeType: string, data: Buffer }>} attachments - Binary answers by payload key;
+ *   stored as attachments, with a reference ({ attachmentId, mimeType, size }) in the payload
+ * @param {string|null} locale - Language the form was shown in
  * @returns {Promise<Object>} The created submission
  */
-export async function createSubmission(formId, payload) {
-    const submission = await FormSubmission.create({
-        id: crypto.randomBytes(9).toString('base64url'),
+export async function createSubmission(formId, payload, formVersion = null, result = null, attachments = {}, locale = null) {
+    const id = newId();
+    const rows = Object.entries(attachments).map(([fieldName, file]) => ({
+        id: newId(),
+        submissionId: id,
         formId,
-        payloadJson: payload
+        fieldName,
+        mimeType: file.mimeType,
+        size: file.data.length,
+        data: file.data
+    }));
+    const stored = { ...payload };
+    rows.forEach(row => { stored[row.fieldName] = { attachmentId: row.id, mimeType: row.mimeType, size: row.size }; });
+
+    return await FormSubmission.sequelize.transaction(async (transaction) => {
+        const submission = await FormSubmission.create({
+            id,
+            formId,
+            formVersion,
+            locale,
+            score: result?.score ?? null,
+            maxScore: result?.maxScore ?? null,
+            passed: result?.passed ?? null,
+            payloadJson: stored
+        }, { transaction });
+        if (rows.length) await SubmissionAttachment.bulkCreate(rows, { transaction });
+        return submission;
     });
-    return submission;
+}
+
+/**
+ * Get one attachment of a submission
+ * @param {string} submissionId - The submission ID
+ * @param {string} attachmentId - The attachment ID
+ * @returns {Promise<Object|null>} The attachment (with its data) or null if not found
+ */
+export async function getSubmissionAttachment(submissionId, attachmentId) {
+    return await SubmissionAttachment.findOne({ where: { id: attachmentId, submissionId } });
 }
 
 /**
@@ -42,6 +81,19 @@ export async function getSubmissionsByFormId(formId, options = {}) {
     return submissions;
 }
 
+/**
+ * Get every submission of a form, oldest first (for exports)
+ * @param {string} formId - The form ID
+ * @returns {Promise<Array>} Array of submissions
+ */
+export async function getAllSubmissionsByFormId(formId) {
+    return await FormSubmission.findAll({
+        where: { formId },
+        order: [['createdAt', 'ASC']],
+        raw: true
+    });
+}
+
 /**
  * Count submissions for a specific form
  * @param {string} formId - The form ID
@@ -58,6 +110,7 @@ export async function countSubmissionsByFormId(formId) {
  */
 export async function deleteSubmissionsByFormId(formId) {
     const count = await FormSubmission.count({ where: { formId } });
+    await SubmissionAttachment.destroy({ where: { formId } });
 
     if (count > 1000) {
         // Use raw SQL for better performance on large datasets
@@ -86,6 +139,7 @@ export async function getSubmissionById(submissionId) {
  * @returns {Promise<boolean>} True if deleted, false if not found
  */
 export async function deleteSubmissionById(submissionId) {
+    await SubmissionAttachment.destroy({ where: { submissionId } });
     const deleted = await FormSubmission.destroy({ where: { id: submissionId } });
     return deleted > 0;
 }
@@ -0,0 +1,56 @@
+// src/server/services/themes.service.js
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { Theme } from '../models/Theme.js';
+import { Form } from '../models/Form.js';
+import { sequelize } from '../db.js';
+
+/**
+ * Saved themes (see src/shared/themes.js)
+ */
+
+const B62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const shortRand = (n = 8) => Array.from(crypto.randomBytes(n)).map(b => B62[b % 62]).join('');
+
+/**
+ * Generate a unique theme ID (theme-XXXXXXXX format)
+ * @returns {Promise<string|null>} null when no free ID was found
+ */
+export async function generateThemeId() {
+    for (let tries = 0; tries < 5; tries++) {
+        const candidate = `theme-${shortRand(8)}`;
+        if (!(await Theme.findByPk(candidate))) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Check if a theme name is already taken (case-insensitive)
+ * @param {string} name
+ * @param {string|null} [excludeId] - The theme being renamed
+ * @returns {Promise<boolean>}
+ */
+export async function isThemeNameTaken(name, excludeId = null) {
+    const where = [sequelize.where(sequelize.fn('lower', sequelize.col('name')), String(name || '').trim().toLowerCase())];
+    if (excludeId) where.push({ id: { [Op.ne]: String(excludeId) } });
+    return (await Theme.count({ where: { [Op.and]: where } })) > 0;
+}
+
+/**
+ * Copy a saved theme into forms
+ * @param {Object} theme - Theme instance
+ * @param {string[]} formIds
+ * @returns {Promise<{ applied: string[], missing: string[] }>} Form IDs updated, and IDs with no form
+ */
+export async function applyThemeToForms(theme, formIds) {
+    const ids = [...new Set(formIds.map(String))];
+    return sequelize.transaction(async (t) => {
+        const forms = await Form.findAll({ where: { id: { [Op.in]: ids } }, transaction: t });
+        for (const form of forms) {
+            form.theme = theme.settings;
+            if (form.changed()) await form.save({ transaction: t });
+        }
+        const found = new Set(forms.map(f => f.id));
+        return { applied: ids.filter(id => found.has(id)), missing: ids.filter(id => !found.has(id)) };
+    });
+}
@@ -0,0 +1,57 @@
+// src/server/services/tracking.service.js
+import { validate } from './validation.service.js';
+import { answerKeysFor } from './rules.service.js';
+
+/**
+ * Campaign tracking: when a form opts in (Form.captureUtm), the utm_* parameters
+ * of the form link travel with the submission and are stored next to the
+ * answers. A field named like a parameter (e.g. a hidden "utm_source" field)
+ * takes precedence and is handled as an ordinary answer.
+ */
+
+export const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const MAX_UTM_LENGTH = 255;
+
+// Parameters not already answered by a field of the form
+const freeParams = (fields) => {
+    const taken = new Set(fields.filter(f => !f.parentName).flatMap(answerKeysFor));
+    return UTM_PARAMS.filter(p => !taken.has(p));
+};
+
+/**
+ * UTM values to carry in the hosted form (invalid or missing parameters are left out)
+ * @param {Object} query - Query string of the form link
+ * @param {Array} fields - Fields of the rendered form
+ * @returns {Object<string, string>}
+ */
+export function utmFromQuery(query = {}, fields = []) {
+    const out = {};
+    for (const param of freeParams(fields)) {
+        const value = query[param];
+        if (typeof value === 'string' && value.trim() && !validate.length(value, 1, MAX_UTM_LENGTH)) {
+            out[param] = value.trim();
+        }
+    }
+    return out;
+}
+
+/**
+ * Separate submitted UTM values from the answers
+ * @param {Object} data - Submitted data
+ * @param {Array} fields - Fields of the published form
+ * @returns {{ data: Object, utm: Object<string, string>, errors: Object<string, string> }}
+ */
+export function takeUtm(data = {}, fields = []) {
+    const rest = { ...data };
+    const utm = {};
+    const errors = {};
+    for (const param of freeParams(fields)) {
+        if (!(param in rest)) continue;
+        const value = rest[param];
+        delete rest[param];
+        const error = validate.length(value, 0, MAX_UTM_LENGTH, param);
+        if (error) errors[param] = error;
+        else if (value.trim()) utm[param] = value.trim();
+    }
+    return { data: rest, utm, errors };
+}
@@ -1,10 +1,44 @@
 // src/server/services/validation.service.js
 import validator from 'validator';
+import sanitizeHtml from 'sanitize-html';
+import { parseFormula, formulaReferences } from '../../shared/formula.js';
+import { FIELD_TYPES } from '../../shared/field-types.js';
+import { ADDRESS_PARTS, COUNTRY_CODES, MAX_ADDRESS_PART_LENGTH, postalCodeFormat } from '../../shared/address.js';
+import { MAX_OPTIONS, MAX_OPTION_LENGTH, MAX_OPTION_DESCRIPTION_LENGTH, OTHER_OPTION_VALUE } from '../../shared/options.js';
+import { isLocaleCode, MAX_LOCALES } from '../../shared/locales.js';
+import { isAllowedRedirect, MAX_REDIRECT_URL_LENGTH } from './redirect.service.js';
+import { patternRisk } from './pattern.service.js';
+import { sanitizeCss } from './css.service.js';
+import { THEME_FONTS, BUTTON_STYLES, MAX_CUSTOM_CSS_LENGTH, isThemeColor } from '../../shared/themes.js';
 
 /**
  * Enhanced input validation service
  */
 
+// Rich text (help text of rich-text fields, thank-you messages) is written unescaped into
+// the hosted form, so it is rebuilt by an HTML parser from the markup the editors produce.
+// Anything else (scripts, SVG, event attributes, javascript: and data: links) is dropped.
+const CSS_COLOR = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i;
+const RICH_TEXT_OPTIONS = {
+    allowedTags: [
+        'p', 'br', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'span',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code', 'ol', 'ul', 'li', 'a'
+    ],
+    allowedAttributes: { a: ['href', 'target', 'rel'], '*': ['class', 'style'] },
+    // Quill marks alignment, indentation, fonts and sizes with ql-* classes
+    allowedClasses: { '*': [/^ql-[a-z0-9-]+$/] },
+    allowedStyles: { '*': { color: [CSS_COLOR], 'background-color': [CSS_COLOR] } },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowProtocolRelative: false,
+    // Links opening a new tab get no handle on the form's window
+    transformTags: {
+        a: (tagName, attribs) => ({
+            tagName,
+            attribs: attribs.target ? { ...attribs, target: '_blank', rel: 'noopener noreferrer' } : attribs
+        })
+    }
+};
+
 // Sanitization functions
 export const sanitize = {
     // Remove HTML tags and dangerous characters
@@ -17,24 +51,10 @@ export const sanitize = {
             .replace(/on\w+\s*=/gi, '');
     },
 
-    // Sanitize rich text content - allow safe HTML tags but remove dangerous ones
+    // Sanitize rich text content - only the formatting tags of RICH_TEXT_OPTIONS are kept
     richText: (input) => {
         if (typeof input !== 'string') return input;
-
-        // Remove dangerous script tags and event handlers
-        let sanitized = input
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/javascript:/gi, '')
-            .replace(/on\w+\s*=/gi, '');
-
-        // Remove dangerous tags but keep safe formatting tags
-        const dangerousTags = ['script', 'object', 'embed', 'applet', 'form', 'input', 'button', 'iframe'];
-        for (const tag of dangerousTags) {
-            const regex = new RegExp(`<\\/?${tag}\\b[^>]*>`, 'gi');
-            sanitized = sanitized.replace(regex, '');
-        }
-
-        return sanitized;
+        return sanitizeHtml(input, RICH_TEXT_OPTIONS);
     },
 
     // Sanitize for database storage
@@ -68,6 +88,13 @@ export const sanitize = {
     phone: (input) => {
         if (typeof input !== 'string') return '';
         return input.replace(/[^\d+\-\(\)\s]/g, '').trim();
+    },
+
+    // Custom CSS of a form theme, which ends up inside a <style> element: rebuilt from
+    // an allowlist of rules and declarations (see css.service.js)
+    css: (input) => {
+        if (typeof input !== 'string') return input;
+        return sanitizeCss(input);
     }
 };
 
@@ -208,6 +235,93 @@ export const validate = {
     }
 };
 
+// Field types that only structure the form: they collect no answer and cannot take part in rules
+export const LAYOUT_FIELD_TYPES = ['pageBreak'];
+
+// Share of the row a field takes on wider screens (one column on mobile)
+export const FIELD_WIDTHS = ['full', 'half', 'third', 'quarter'];
+
+// Per-field validation constraints (FormField.validation), by the kind of answer a type collects
+export const CONSTRAINT_KEYS = {
+    text: ['minLength', 'maxLength', 'pattern'],
+    number: ['min', 'max', 'step'],
+    date: ['minDate', 'maxDate'],
+    selections: ['minSelections', 'maxSelections']
+};
+export const CONSTRAINT_KIND_FOR = {
+    singleLine: 'text', paragraph: 'text', password: 'text', email: 'text', url: 'text',
+    number: 'number',
+    date: 'date', datetime: 'date', datePicker: 'date', datetimePicker: 'date',
+    checkboxes: 'selections', multipleSelect: 'selections'
+};
+const MAX_PATTERN_LENGTH = 200;
+const MAX_CONSTRAINT_MESSAGE_LENGTH = 255;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Patterns follow the HTML pattern attribute: the whole answer must match
+export function compileFieldPattern(pattern) {
+    return new RegExp(`^(?:${pattern})$`, 'u');
+}
+
+// Default values: types whose answer the hosted form can render from a plain string
+// (checkbox defaults list option values separated by commas; option fields keep
+// their default in sync with the options marked selected)
+export const DEFAULT_VALUE_TYPES = [
+    'singleLine', 'paragraph', 'dropdown', 'multipleChoice', 'checkboxes',
+    'number', 'email', 'phone', 'date', 'time', 'datetime', 'url', 'hidden',
+    'rating', 'nps', 'likert'
+];
+// URL prefill also fills name fields, from their "<name>_first" / "<name>_last" parameters
+export const PREFILL_FIELD_TYPES = [...DEFAULT_VALUE_TYPES, 'name'];
+const MAX_DEFAULT_VALUE_LENGTH = 1000;
+// The formats date and time inputs accept as their value
+const DEFAULT_VALUE_FORMAT = {
+    date: [DATE_ONLY_PATTERN, 'YYYY-MM-DD'],
+    datetime: [/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/, 'YYYY-MM-DDTHH:MM'],
+    time: [/^\d{2}:\d{2}$/, 'HH:MM']
+};
+
+// Hidden fields: where the value comes from. The default value is the fixed value,
+// and the fallback when the link parameter or referrer is missing.
+export const HIDDEN_VALUE_SOURCES = ['query', 'fixed', 'referrer'];
+
+// Choice fields and where their choices come from: the options list, or a numeric scale
+// (rating: 1 to scaleMax stars; NPS: 0 to 10). Matrix options are its columns.
+export const OPTION_FIELD_TYPES = ['dropdown', 'multipleSelect', 'multipleChoice', 'checkboxes', 'likert', 'matrix'];
+// Choice fields that can offer "Other" and shuffle their options
+export const CHOICE_FIELD_TYPES = ['dropdown', 'multipleChoice', 'checkboxes'];
+export const RATING_SCALE = { min: 3, max: 10, default: 5 };
+const NPS_MAX = 10;
+const MAX_MATRIX_ROWS = 50;
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => String(from + i));
+
+/**
+ * The answers a rating or NPS field accepts, lowest first
+ * @param {{ type: string, scaleMax?: number }} field
+ * @returns {string[]} Empty for other types
+ */
+export function scaleOf(field) {
+    if (field.type === 'rating') return range(1, Math.min(field.scaleMax || RATING_SCALE.default, RATING_SCALE.max));
+    if (field.type === 'nps') return range(0, NPS_MAX);
+    return [];
+}
+
+// Quiz questions: choice fields with a correct answer (checkboxes list the value
+// of every correct option, separated by commas) worth a number of points
+export const QUIZ_FIELD_TYPES = ['dropdown', 'multipleChoice', 'checkboxes'];
+const MAX_QUIZ_POINTS = 1000;
+
+// Repeatable groups: answers are an array of objects keyed by child field name
+export const MAX_GROUP_REPEAT = 50;
+// Uploads are stored outside the payload, so they cannot repeat
+// and hidden and calculated fields are filled once per form, not per entry
+// and matrix and address answers are themselves objects; signatures are stored as submission attachments
+const NOT_GROUPABLE = ['group', 'pageBreak', 'file', 'hidden', 'calculated', 'matrix', 'address', 'signature'];
+
+// Calculated fields: formulas may use top-level fields with a single answer
+const NOT_FORMULA_INPUTS = ['pageBreak', 'group', 'file', 'richText', 'name', 'address', 'matrix', 'signature'];
+
 // Form field validation rules
 export const formFieldValidation = {
     label: (value) => {
@@ -228,14 +342,8 @@ export const formFieldValidation = {
         const required = validate.required(value, 'Field type');
         if (required) return required;
 
-        const validTypes = [
-            'singleLine', 'paragraph', 'dropdown', 'multipleChoice',
-            'checkboxes', 'number', 'name', 'email', 'phone', 'password',
-            'date', 'time', 'datetime', 'url', 'file', 'richText'
-        ];
-
-        if (!validTypes.includes(value)) {
-            return `Field type must be one of: ${validTypes.join(', ')}`;
+        if (!FIELD_TYPES.includes(value)) {
+            return `Field type must be one of: ${FIELD_TYPES.join(', ')}`;
         }
 
         return null;
@@ -246,30 +354,416 @@ export const formFieldValidation = {
         return validate.length(value, 0, 255, 'Placeholder');
     },
 
+    // Translated texts as sanitizeFields leaves them (see src/shared/locales.js)
+    translations: (value) => {
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'object' || Array.isArray(value)) return 'Translations must be an object';
+        if (Object.keys(value).length > MAX_LOCALES) return `Translations cover at most ${MAX_LOCALES} languages`;
+        for (const [locale, entry] of Object.entries(value)) {
+            const error = formLanguageValidation.locale(locale)
+                || (entry.label === undefined ? null : validate.length(entry.label, 1, 255, `Field label (${locale})`))
+                || (entry.placeholder === undefined ? null : validate.length(entry.placeholder, 1, 255, `Placeholder (${locale})`))
+                || Object.values(entry.options || {}).map(label => validate.length(label, 1, MAX_OPTION_LENGTH, `Option label (${locale})`)).find(Boolean)
+                || Object.values(entry.rows || {}).map(label => validate.length(label, 1, MAX_OPTION_LENGTH, `Row label (${locale})`)).find(Boolean);
+            if (error) return error;
+        }
+        return null;
+    },
+
+    // Option lists as sanitizeFields leaves them (see src/shared/options.js)
     options: (value, fieldType) => {
         // Only validate options for fields that need them
-        const needsOptions = ['dropdown', 'multipleChoice', 'checkboxes'];
-        if (!needsOptions.includes(fieldType)) return null;
+        if (!OPTION_FIELD_TYPES.includes(fieldType)) return null;
 
-        if (!value || !value.trim()) {
+        if (!Array.isArray(value) || value.length === 0) {
             return 'Options are required for this field type';
         }
 
-        const options = value.split(',').map(opt => opt.trim()).filter(opt => opt);
-        if (options.length === 0) {
-            return 'At least one option is required';
+        if (value.length > MAX_OPTIONS) {
+            return `Maximum ${MAX_OPTIONS} options allowed`;
+        }
+
+        for (const [i, opt] of value.entries()) {
+            const name = `Option ${i + 1}`;
+            const error = validate.length(opt.label, 1, MAX_OPTION_LENGTH, `${name} label`)
+                || validate.length(opt.value, 1, MAX_OPTION_LENGTH, `${name} value`)
+                || (opt.description === undefined ? null : validate.length(opt.description, 1, MAX_OPTION_DESCRIPTION_LENGTH, `${name} description`));
+            if (error) return error;
+            // Checkbox defaults and correct answers list values separated by commas
+            if (opt.value.includes(',')) return `${name} value cannot contain commas`;
+            if (opt.value === OTHER_OPTION_VALUE) return `${name} value "${OTHER_OPTION_VALUE}" is reserved for "Other" answers`;
+        }
+
+        // Answers store the value, so values must tell the options apart
+        const values = value.map(opt => opt.value);
+        if (new Set(values).size !== values.length) {
+            return 'Duplicate option values are not allowed';
+        }
+
+        if (fieldType !== 'checkboxes' && value.filter(opt => opt.selected).length > 1) {
+            return 'Only one option can be selected by default';
+        }
+
+        return null;
+    },
+
+    // Matrix questions: one row per statement, answered with one of the columns (options).
+    // Rows are listed like options ({ label, value }, as sanitizeFields leaves them); answers are keyed by the value
+    matrixRows: (value, fieldType) => {
+        if (fieldType !== 'matrix') return null;
+        if (!Array.isArray(value) || !value.length) return 'Rows are required for matrix questions';
+        if (value.length > MAX_MATRIX_ROWS) return `Maximum ${MAX_MATRIX_ROWS} rows allowed`;
+        for (const [i, row] of value.entries()) {
+            const error = validate.length(row.label, 1, MAX_OPTION_LENGTH, `Row ${i + 1} label`)
+                || validate.length(row.value, 1, MAX_OPTION_LENGTH, `Row ${i + 1} value`);
+            if (error) return error;
+        }
+        const values = value.map(row => row.value);
+        if (new Set(values).size !== values.length) return 'Duplicate row values are not allowed';
+        return null;
+    },
+
+    scaleMax: (value, fieldType) => {
+        if (fieldType !== 'rating') return null;
+        if (!Number.isInteger(value)) return 'Number of stars must be a whole number';
+        return validate.number(value, RATING_SCALE.min, RATING_SCALE.max, 'Number of stars');
+    },
+
+    // Address fields: parts needed whenever an address is given
+    requiredParts: (value, fieldType) => {
+        if (fieldType !== 'address' || value === null || value === undefined || value === '') return null;
+        const unknown = String(value).split(',').map(p => p.trim()).find(p => !ADDRESS_PARTS.includes(p));
+        if (unknown !== undefined) return `Required address parts must be among: ${ADDRESS_PARTS.join(', ')}`;
+        return null;
+    },
+
+    width: (value) => {
+        if (!FIELD_WIDTHS.includes(value)) {
+            return `Field width must be one of: ${FIELD_WIDTHS.join(', ')}`;
+        }
+        return null;
+    },
+
+    validation: (config, fieldType, optionCount = 0) => {
+        if (config === null || config === undefined) return null;
+        if (typeof config !== 'object' || Array.isArray(config)) return 'Validation settings must be an object';
+        const kind = CONSTRAINT_KIND_FOR[fieldType];
+        const allowed = new Set([...(CONSTRAINT_KEYS[kind] || []), 'message']);
+        const unknown = Object.keys(config).find(k => !allowed.has(k));
+        if (unknown) return `Validation setting "${unknown}" does not apply to ${fieldType} fields`;
+
+        const whole = (key, label, min, max) => {
+            if (config[key] === undefined) return null;
+            if (!Number.isInteger(config[key])) return `${label} must be a whole number`;
+            return validate.number(config[key], min, max, label);
+        };
+        const finite = (key, label) => {
+            if (config[key] === undefined) return null;
+            return Number.isFinite(config[key]) ? null : `${label} must be a valid number`;
+        };
+        const ordered = (lo, hi, label) => (config[lo] !== undefined && config[hi] !== undefined && config[lo] > config[hi]
+            ? `Minimum ${label} cannot be greater than maximum ${label}` : null);
+
+        const errors = [
+            whole('minLength', 'Minimum length', 0, MAX_ANSWER_LENGTH),
+            whole('maxLength', 'Maximum length', 1, MAX_ANSWER_LENGTH),
+            ordered('minLength', 'maxLength', 'length'),
+            finite('min', 'Minimum value'),
+            finite('max', 'Maximum value'),
+            ordered('min', 'max', 'value'),
+            finite('step', 'Step') || (config.step !== undefined && config.step <= 0 ? 'Step must be greater than 0' : null),
+            ...['minDate', 'maxDate'].map(key => (config[key] !== undefined && (!DATE_ONLY_PATTERN.test(config[key]) || validate.date(config[key]))
+                ? `${key === 'minDate' ? 'Earliest' : 'Latest'} date must be a date (YYYY-MM-DD)` : null)),
+            ordered('minDate', 'maxDate', 'date'),
+            whole('minSelections', 'Minimum selections', 0, optionCount),
+            whole('maxSelections', 'Maximum selections', 1, optionCount),
+            ordered('minSelections', 'maxSelections', 'selections')
+        ];
+        if (config.pattern !== undefined) {
+            errors.push(validate.length(config.pattern, 1, MAX_PATTERN_LENGTH, 'Pattern'));
+            try {
+                compileFieldPattern(config.pattern);
+                errors.push(patternRisk(config.pattern));
+            } catch {
+                errors.push('Pattern must be a valid regular expression');
+            }
+        }
+        if (config.message !== undefined) {
+            errors.push(validate.length(config.message, 1, MAX_CONSTRAINT_MESSAGE_LENGTH, 'Error message'));
+        }
+        return errors.find(Boolean) || null;
+    },
+
+    // Shape only; whether the value is a valid answer is checked against the field (answer-validation)
+    defaultValue: (value, fieldType) => {
+        if (value === null || value === undefined) return null;
+        if (!DEFAULT_VALUE_TYPES.includes(fieldType)) return `${fieldType} fields cannot have a default value`;
+        const length = validate.length(value, 1, MAX_DEFAULT_VALUE_LENGTH, 'Default value');
+        if (length) return length;
+        const [format, hint] = DEFAULT_VALUE_FORMAT[fieldType] || [];
+        if (format && !format.test(value)) return `Default value must be in the format ${hint}`;
+        return null;
+    },
+
+    valueSource: (value, fieldType) => {
+        if (fieldType !== 'hidden') return null;
+        if (!HIDDEN_VALUE_SOURCES.includes(value)) {
+            return `Hidden field source must be one of: ${HIDDEN_VALUE_SOURCES.join(', ')}`;
+        }
+        return null;
+    },
+
+    // Shape only; the answer must also be one of the field's options (answer-validation)
+    correctAnswer: (value, fieldType, inGroup) => {
+        if (value === null || value === undefined) return null;
+        if (!QUIZ_FIELD_TYPES.includes(fieldType)) return `${fieldType} fields cannot have a correct answer`;
+        if (inGroup) return 'Questions inside a repeatable group cannot be scored';
+        return validate.length(value, 1, MAX_DEFAULT_VALUE_LENGTH, 'Correct answer');
+    },
+
+    points: (value) => {
+        if (value === null || value === undefined) return null;
+        if (!Number.isInteger(value)) return 'Points must be a whole number';
+        return validate.number(value, 0, MAX_QUIZ_POINTS, 'Points');
+    },
+
+    formula: (value, fieldType) => {
+        if (fieldType !== 'calculated') return null;
+        if (!value) return 'Formula is required for calculated fields';
+        try {
+            parseFormula(value);
+        } catch (err) {
+            return `Formula: ${err.message}`;
+        }
+        return null;
+    },
+
+    // Every reference must be a usable field; calculated fields may use each other but not in a cycle
+    formulaReferences: (field, fieldsByName) => {
+        if (field.type !== 'calculated' || !field.formula) return null;
+        let names;
+        try { names = formulaReferences(parseFormula(field.formula)); } catch { return null; }
+        for (const name of names) {
+            const ref = fieldsByName.get(name);
+            if (!ref) return `Formula refers to "${name}", which is not a field of this form`;
+            if (ref.parentName || NOT_FORMULA_INPUTS.includes(ref.type)) {
+                return `Formula cannot use "${name}" (${ref.parentName ? 'inside a repeatable group' : `${ref.type} field`})`;
+            }
+        }
+        const seen = new Set();
+        const leadsBack = (name) => {
+            if (name === field.name) return true;
+            if (seen.has(name)) return false;
+            seen.add(name);
+            const ref = fieldsByName.get(name);
+            if (ref?.type !== 'calculated' || !ref.formula) return false;
+            try { return formulaReferences(parseFormula(ref.formula)).some(leadsBack); } catch { return false; }
+        };
+        if (names.some(leadsBack)) return 'Formula refers back to itself';
+        return null;
+    },
+
+    repeat: (min, max) => {
+        const minError = validate.number(min, 0, MAX_GROUP_REPEAT, 'Minimum repeats');
+        if (minError) return minError;
+        const maxError = validate.number(max, 1, MAX_GROUP_REPEAT, 'Maximum repeats');
+        if (maxError) return maxError;
+        if (!Number.isInteger(Number(min)) || !Number.isInteger(Number(max))) return 'Repeat counts must be whole numbers';
+        if (Number(min) > Number(max)) return 'Minimum repeats cannot be greater than maximum repeats';
+        return null;
+    },
+
+    parent: (field, groupNames) => {
+        if (!field.parentName) return null;
+        if (!groupNames.has(field.parentName)) {
+            return `Group "${field.parentName}" does not exist in this form`;
+        }
+        if (NOT_GROUPABLE.includes(field.type)) {
+            return `${field.type} fields cannot be placed inside a group`;
+        }
+        return null;
+    }
+};
+
+// Conditional logic rule validation
+export const RULE_OPERATORS = [
+    'equals', 'notEquals', 'contains', 'notContains',
+    'isEmpty', 'isNotEmpty', 'greaterThan', 'lessThan'
+];
+export const RULE_ACTIONS = ['show', 'hide', 'require'];
+
+export const formRuleValidation = {
+    operator: (value) => {
+        const required = validate.required(value, 'Rule operator');
+        if (required) return required;
+        if (!RULE_OPERATORS.includes(value)) {
+            return `Rule operator must be one of: ${RULE_OPERATORS.join(', ')}`;
+        }
+        return null;
+    },
+
+    action: (value) => {
+        const required = validate.required(value, 'Rule action');
+        if (required) return required;
+        if (!RULE_ACTIONS.includes(value)) {
+            return `Rule action must be one of: ${RULE_ACTIONS.join(', ')}`;
+        }
+        return null;
+    },
+
+    value: (value, operator) => {
+        // Emptiness checks do not compare against a value
+        if (operator === 'isEmpty' || operator === 'isNotEmpty') return null;
+        const length = validate.length(String(value ?? ''), 0, 255, 'Rule value');
+        if (length) return length;
+        if (operator === 'greaterThan' || operator === 'lessThan') {
+            if (value === '' || value === null || value === undefined) return 'Rule value is required for numeric comparisons';
+            return validate.number(value, -Infinity, Infinity, 'Rule value');
+        }
+        return null;
+    },
+
+    fields: (rule, fieldNames, layoutNames = new Set(), groupNames = new Set(), childNames = new Set(), matrixNames = new Set(), addressNames = new Set()) => {
+        if (!fieldNames.has(rule.sourceField)) {
+            return `Rule source field "${rule.sourceField || ''}" does not exist in this form`;
+        }
+        if (!fieldNames.has(rule.targetField)) {
+            return `Rule target field "${rule.targetField || ''}" does not exist in this form`;
+        }
+        if (layoutNames.has(rule.sourceField) || layoutNames.has(rule.targetField)) {
+            return 'Page breaks cannot be used in rules';
+        }
+        if (childNames.has(rule.sourceField) || childNames.has(rule.targetField)) {
+            return 'Fields inside a repeatable group cannot be used in rules';
+        }
+        if (groupNames.has(rule.sourceField)) {
+            return 'A repeatable group cannot be a rule source';
+        }
+        if (matrixNames.has(rule.sourceField)) {
+            return 'A matrix question cannot be a rule source';
+        }
+        if (addressNames.has(rule.sourceField)) {
+            return 'An address cannot be a rule source';
+        }
+        if (rule.sourceField === rule.targetField) {
+            return 'Rule source and target must be different fields';
+        }
+        return null;
+    }
+};
+
+// Submitted answer validation (one non-empty answer against its FormField)
+const MAX_ANSWER_LENGTH = 10000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+// Color pickers answer #RRGGBB, or #RRGGBBAA with opacity
+const COLOR_PATTERN = /^#[0-9a-f]{6}([0-9a-f]{2})?$/i;
+// Range pickers answer "YYYY-MM-DD to YYYY-MM-DD" (flatpickr's range separator)
+const DATE_RANGE_SEPARATOR = ' to ';
+
+// Signatures arrive as a PNG data URL drawn on a canvas
+export const SIGNATURE_DATA_URL_PREFIX = 'data:image/png;base64,';
+const MAX_SIGNATURE_BYTES = 256 * 1024;
+const MAX_SIGNATURE_SIDE = 4000;
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Decode a signature answer
+ * @param {*} value - Submitted answer, expected to be a PNG data URL
+ * @returns {Buffer|null} The PNG bytes, or null when the answer is not a PNG data URL
+ */
+export function decodeSignature(value) {
+    if (typeof value !== 'string' || !value.startsWith(SIGNATURE_DATA_URL_PREFIX)) return null;
+    return Buffer.from(value.slice(SIGNATURE_DATA_URL_PREFIX.length), 'base64');
+}
+
+export const formAnswerValidation = {
+    text: (value, label) => {
+        if (typeof value !== 'string') return `${label} must be a string`;
+        return validate.length(value, 0, MAX_ANSWER_LENGTH, label);
+    },
+
+    choice: (value, options, label) => {
+        if (typeof value !== 'string') return `${label} must be a single choice`;
+        if (!options.includes(value.trim())) return `${label} must be one of the listed options`;
+        return null;
+    },
+
+    // The respondent's own words with an "Other" choice
+    otherText: (value, label) => {
+        if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+            return `Please specify your other answer for ${label}`;
         }
+        return formAnswerValidation.text(value, `${label} (other)`);
+    },
 
-        if (options.length > 50) {
-            return 'Maximum 50 options allowed';
+    choices: (values, options, label) => {
+        const arrayError = validate.array(values, 0, options.length, label);
+        if (arrayError) return arrayError;
+        const invalid = values.find(v => typeof v !== 'string' || !options.includes(v.trim()));
+        if (invalid !== undefined) return `${label} contains an option that is not listed`;
+        return null;
+    },
+
+    time: (value, label) => {
+        if (typeof value !== 'string') return `${label} must be a string`;
+        return validate.pattern(value, TIME_PATTERN, label, 'must be a valid time (HH:MM)');
+    },
+
+    color: (value, label) => {
+        if (typeof value !== 'string') return `${label} must be a string`;
+        return validate.pattern(value, COLOR_PATTERN, label, 'must be a color (#RRGGBB)');
+    },
+
+    // A single day counts as a range that starts and ends on it
+    dateRange: (value, label) => {
+        if (typeof value !== 'string') return `${label} must be a string`;
+        const days = value.split(DATE_RANGE_SEPARATOR).map(s => s.trim());
+        if (days.length > 2 || !days.every(d => DATE_ONLY_PATTERN.test(d) && !validate.date(d, label))) {
+            return `${label} must be a date range (YYYY-MM-DD to YYYY-MM-DD)`;
         }
+        if (days.length === 2 && days[0] > days[1]) return `${label} must end on or after its start date`;
+        return null;
+    },
 
-        // Check for duplicate options
-        const uniqueOptions = new Set(options);
-        if (uniqueOptions.size !== options.length) {
-            return 'Duplicate options are not allowed';
+    // Parts are checked on their own (required parts are up to the caller); the
+    // postal code must match the format of the chosen country
+    address: (value, label) => {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) return `${label} must be an address`;
+        for (const [part, text] of Object.entries(value)) {
+            if (!ADDRESS_PARTS.includes(part)) return `${label} has no part "${part}"`;
+            if (typeof text !== 'string') return `${label} must contain text only`;
+            if (text.length > MAX_ADDRESS_PART_LENGTH) return `${label} parts must be no more than ${MAX_ADDRESS_PART_LENGTH} characters long`;
+        }
+        const country = (value.country || '').trim();
+        if (country && !COUNTRY_CODES.includes(country)) return `${label} has an unknown country`;
+        const postalCode = (value.postalCode || '').trim();
+        if (postalCode) {
+            const { pattern, example } = postalCodeFormat(country);
+            if (!new RegExp(`^(?:${pattern})$`).test(postalCode)) {
+                return example ? `${label} postal code must look like ${example}` : `${label} postal code is not valid`;
+            }
         }
+        return null;
+    },
 
+    // A PNG data URL of bounded size whose header is a real PNG image header
+    signature: (value, label) => {
+        if (typeof value !== 'string' || !value.startsWith(SIGNATURE_DATA_URL_PREFIX)) {
+            return `${label} must be a PNG image`;
+        }
+        const base64 = value.slice(SIGNATURE_DATA_URL_PREFIX.length);
+        if (base64.length > Math.ceil(MAX_SIGNATURE_BYTES / 3) * 4) return `${label} is too large`;
+        if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64) || base64.length % 4 !== 0) return `${label} is not a valid image`;
+        const png = decodeSignature(value);
+        // Signature, then the IHDR chunk with the image width and height
+        if (!png || png.length < 24 || !png.subarray(0, 8).equals(PNG_MAGIC) || png.toString('latin1', 12, 16) !== 'IHDR') {
+            return `${label} is not a valid image`;
+        }
+        const width = png.readUInt32BE(16);
+        const height = png.readUInt32BE(20);
+        if (!width || !height || width > MAX_SIGNATURE_SIDE || height > MAX_SIGNATURE_SIDE) {
+            return `${label} has invalid image dimensions`;
+        }
         return null;
     }
 };
@@ -301,6 +795,9 @@ export const userValidation = {
     }
 };
 
+// Form lifecycle
+export const FORM_STATUSES = ['draft', 'published', 'closed', 'archived'];
+
 // Form validation rules
 export const formValidation = {
     title: (value) => {
@@ -323,6 +820,147 @@ export const formValidation = {
         const required = validate.required(value, 'Form fields');
         if (required) return required;
         return validate.array(value, 0, 100, 'Form fields');
+    },
+
+    status: (value) => {
+        const required = validate.required(value, 'Form status');
+        if (required) return required;
+        if (!FORM_STATUSES.includes(value)) {
+            return 'Status must be one of: ' + FORM_STATUSES.join(', ');
+        }
+        return null;
+    }
+};
+
+// Multi-language forms: the default locale, the translated titles and thank-you messages (see src/shared/locales.js)
+export const formLanguageValidation = {
+    locale: (value, label = 'Language') => {
+        if (isLocaleCode(value)) return null;
+        return `${label} "${value}" must be a language code such as "en" or "id-ID"`;
+    },
+
+    translations: (value, defaultLocale) => {
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'object' || Array.isArray(value)) return 'Translations must be an object';
+        if (Object.keys(value).length >= MAX_LOCALES) return `A form can be offered in at most ${MAX_LOCALES} languages`;
+        for (const [locale, entry] of Object.entries(value)) {
+            const localeError = formLanguageValidation.locale(locale);
+            if (localeError) return localeError;
+            if (locale === defaultLocale) return `"${locale}" is the language the form is written in, so it takes no translation`;
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return `Translations for "${locale}" must be an object`;
+            if (entry.title !== undefined && entry.title !== null && entry.title !== '') {
+                const titleError = validate.length(entry.title, 1, 255, `Form title (${locale})`);
+                if (titleError) return titleError;
+            }
+            if (entry.thankYouMessage !== undefined && entry.thankYouMessage !== null) {
+                if (typeof entry.thankYouMessage !== 'string') return `Thank-you message (${locale}) must be a string`;
+                const messageError = validate.length(entry.thankYouMessage, 0, MAX_THANK_YOU_LENGTH, `Thank-you message (${locale})`);
+                if (messageError) return messageError;
+            }
+        }
+        return null;
+    }
+};
+
+// Scheduling and response caps; empty values clear a setting
+const MAX_CLOSED_MESSAGE_LENGTH = 1000;
+const MAX_RESPONSES_LIMIT = 1000000;
+
+export const formScheduleValidation = {
+    date: (value, label) => {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value !== 'string') return `${label} must be a date string`;
+        return validate.date(value, label);
+    },
+
+    maxResponses: (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        const num = Number(value);
+        if (!Number.isInteger(num)) return 'Response limit must be a whole number';
+        return validate.number(num, 1, MAX_RESPONSES_LIMIT, 'Response limit');
+    },
+
+    closedMessage: (value) => {
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'string') return 'Closed message must be a string';
+        return validate.length(value, 0, MAX_CLOSED_MESSAGE_LENGTH, 'Closed message');
+    },
+
+    window: (opensAt, closesAt) => {
+        if (!opensAt || !closesAt) return null;
+        return new Date(closesAt) <= new Date(opensAt) ? 'Closing time must be after the opening time' : null;
+    }
+};
+
+// Form settings: UTM capture, quiz results and what respondents see after submitting
+export const MAX_THANK_YOU_LENGTH = 5000;
+
+export const formSettingsValidation = {
+    flag: (value, label) => {
+        if (value === null || value === undefined) return null;
+        return typeof value === 'boolean' ? null : `${label} must be true or false`;
+    },
+
+    // Share of the available points needed to pass a quiz, in percent
+    passMark: (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        const num = Number(value);
+        if (!Number.isInteger(num)) return 'Pass mark must be a whole number';
+        return validate.number(num, 0, 100, 'Pass mark');
+    },
+
+    thankYouMessage: (value) => {
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'string') return 'Thank-you message must be a string';
+        return validate.length(value, 0, MAX_THANK_YOU_LENGTH, 'Thank-you message');
+    },
+
+    redirectUrl: (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value !== 'string') return 'Redirect URL must be a string';
+        const lengthError = validate.length(value, 1, MAX_REDIRECT_URL_LENGTH, 'Redirect URL');
+        if (lengthError) return lengthError;
+        if (isAllowedRedirect(value)) return null;
+        return value.startsWith('/')
+            ? 'Redirect URL must be a path on this site such as /thanks'
+            : 'Redirect URL must be a path on this site or an http(s) URL on a host allowed by REDIRECT_ALLOWED_HOSTS';
+    }
+};
+
+// Hosted form themes (see src/shared/themes.js); empty values fall back to the defaults
+const MAX_LOGO_URL_LENGTH = 500;
+
+export const formThemeValidation = {
+    // An uploaded file (/uploads/...) or an image elsewhere over https
+    logoUrl: (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value !== 'string') return 'Logo must be a URL';
+        const lengthError = validate.length(value, 1, MAX_LOGO_URL_LENGTH, 'Logo URL');
+        if (lengthError) return lengthError;
+        if (/^\/uploads\/[\w.\-]+$/.test(value)) return null;
+        if (validator.isURL(value, { protocols: ['https'], require_protocol: true })) return null;
+        return 'Logo must be an uploaded image or an https:// URL';
+    },
+
+    color: (value, label) => {
+        if (value === null || value === undefined || value === '') return null;
+        return isThemeColor(value) ? null : `${label} must be a colour such as #1a2b3c`;
+    },
+
+    font: (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        return Object.hasOwn(THEME_FONTS, value) ? null : `Font must be one of: ${Object.keys(THEME_FONTS).join(', ')}`;
+    },
+
+    buttonStyle: (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        return Object.hasOwn(BUTTON_STYLES, value) ? null : `Button style must be one of: ${Object.keys(BUTTON_STYLES).join(', ')}`;
+    },
+
+    customCss: (value) => {
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'string') return 'Custom CSS must be a string';
+        return validate.length(value, 0, MAX_CUSTOM_CSS_LENGTH, 'Custom CSS');
     }
 };
 
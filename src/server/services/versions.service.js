@@ -0,0 +1,236 @@
+// src/server/services/versions.service.js
+import crypto from 'crypto';
+import { Form } from '../models/Form.js';
+import { FormField } from '../models/FormField.js';
+import { FormRule } from '../models/FormRule.js';
+import { FormVersion } from '../models/FormVersion.js';
+import { normalizeOptions, normalizeMatrixRows } from '../../shared/options.js';
+import { DEFAULT_LOCALE } from '../../shared/locales.js';
+import { toFieldOut, FIELD_PROPS } from '../utils/field-rows.js';
+
+/**
+ * Form version history: an immutable snapshot is written after every save so
+ * earlier structures survive updateFormWithFields replacing the field rows.
+ */
+
+/**
+ * Build a plain snapshot from a form and its field/rule rows
+ * @param {Object} form - Form row (title, categoryId, defaultLocale, translations, thankYouMessage)
+ * @param {Array} fields - FormField rows
+ * @param {Array} rules - FormRule rows
+ * @returns {{ title: string, categoryId: string|null, defaultLocale: string, translations: Object, thankYouMessage: string|null, fields: Array, rules: Array }}
+ */
+export function snapshotOf(form, fields = [], rules = []) {
+  return {
+    title: form.title,
+    categoryId: form.categoryId || null,
+    defaultLocale: form.defaultLocale || DEFAULT_LOCALE,
+    translations: form.translations || {},
+    // Versioned with its translations, so every language's message changes on publish
+    thankYouMessage: form.thankYouMessage || null,
+    fields: fields.slice().sort((a, b) => a.position - b.position).map(toFieldOut),
+    rules: rules.slice().sort((a, b) => a.position - b.position).map(r => ({
+      id: r.id,
+      sourceField: r.sourceField,
+      operator: r.operator,
+      value: r.value,
+      action: r.action,
+      targetField: r.targetField
+    }))
+  };
+}
+
+// Fields as snapshots record them today: older snapshots list options and matrix rows as
+// comma-separated labels and predate the "Other" and shuffle settings and translations
+const asCurrentField = (f) => ({
+  ...f,
+  options: normalizeOptions(f.options),
+  matrixRows: f.matrixRows ? normalizeMatrixRows(f.matrixRows) : null,
+  allowOther: !!f.allowOther,
+  shuffleOptions: !!f.shuffleOptions,
+  translations: f.translations || {}
+});
+
+// Languages of a snapshot; older ones predate translations
+const languagesOf = (snap) => ({
+  defaultLocale: snap.defaultLocale || DEFAULT_LOCALE,
+  translations: snap.translations || {}
+});
+
+// Row ids are regenerated on most saves, so they do not count as a change. Field props
+// are compared in a fixed order, as older snapshots may lack some of them.
+const contentOf = (snap) => JSON.stringify({
+  title: snap.title,
+  categoryId: snap.categoryId || null,
+  ...languagesOf(snap),
+  thankYouMessage: snap.thankYouMessage || null,
+  fields: (snap.fields || []).map(asCurrentField).map(f => Object.fromEntries(['name', ...FIELD_PROPS].map(k => [k, f[k] ?? null]))),
+  rules: (snap.rules || []).map(({ id, ...r }) => r)
+});
+const sameContent = (a, b) => contentOf(a) === contentOf(b);
+
+/**
+ * Snapshot the current state of a form as a new version. Saves that did not
+ * change anything reuse the latest version instead of writing a duplicate.
+ * @param {string} formId - The form ID
+ * @param {Object} [opts]
+ * @param {string|null} [opts.createdBy] - User who saved
+ * @param {string|null} [opts.note] - Short description of the save
+ * @param {Object} [opts.transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} The FormVersion row (null if the form is gone)
+ */
+export async function recordFormVersion(formId, { createdBy = null, note = null, transaction } = {}) {
+  const form = await Form.findByPk(formId, { transaction });
+  if (!form) return null;
+  const [fields, rules] = await Promise.all([
+    FormField.findAll({ where: { formId }, transaction }),
+    FormRule.findAll({ where: { formId }, transaction })
+  ]);
+  const snapshot = snapshotOf(form, fields, rules);
+
+  const latest = await FormVersion.findOne({ where: { formId }, order: [['version', 'DESC']], transaction });
+  if (latest && !note && sameContent(latest.snapshotJson, snapshot)) {
+    return latest;
+  }
+
+  const version = (latest?.version || 0) + 1;
+  const row = await FormVersion.create({
+    id: crypto.randomBytes(9).toString('base64url'),
+    formId,
+    version,
+    title: snapshot.title,
+    createdBy,
+    note,
+    snapshotJson: snapshot
+  }, { transaction });
+
+  form.currentVersion = version;
+  // Bookkeeping only: do not bump the form's updatedAt
+  await form.save({ transaction, silent: true });
+  return row;
+}
+
+/**
+ * List versions of a form, newest first (without full snapshots)
+ * @param {string} formId - The form ID
+ * @returns {Promise<Array>} Version summaries
+ */
+export async function listFormVersions(formId) {
+  const rows = await FormVersion.findAll({ where: { formId }, order: [['version', 'DESC']] });
+  return rows.map(r => {
+    const snap = r.snapshotJson;
+    return {
+      version: r.version,
+      title: r.title,
+      note: r.note,
+      createdBy: r.createdBy,
+      createdAt: r.createdAt,
+      fieldCount: Array.isArray(snap.fields) ? snap.fields.length : 0,
+      ruleCount: Array.isArray(snap.rules) ? snap.rules.length : 0
+    };
+  });
+}
+
+/**
+ * Get one version of a form
+ * @param {string} formId - The form ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} The FormVersion row or null
+ */
+export async function getFormVersion(formId, version) {
+  return await FormVersion.findOne({ where: { formId, version } });
+}
+
+/**
+ * The definition respondents see: the published snapshot of a form
+ * @param {Object} form - Form row (publishedVersion)
+ * @returns {Promise<Object|null>} { version, title, defaultLocale, translations, thankYouMessage, fields, rules } or null if never published
+ */
+export async function getPublishedDefinition(form) {
+  if (!form?.publishedVersion) return null;
+  const row = await getFormVersion(form.id, form.publishedVersion);
+  if (!row) return null;
+  const snap = row.snapshotJson;
+  return {
+    version: row.version,
+    title: snap.title,
+    ...languagesOf(snap),
+    // Undefined in snapshots written before the message was versioned
+    thankYouMessage: snap.thankYouMessage,
+    fields: Array.isArray(snap.fields) ? snap.fields.map(asCurrentField) : [],
+    rules: Array.isArray(snap.rules) ? snap.rules : []
+  };
+}
+
+/**
+ * Delete all versions of a form
+ * @param {string} formId - The form ID
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+export async function deleteFormVersions(formId, transaction) {
+  await FormVersion.destroy({ where: { formId }, transaction });
+}
+
+const ruleKeyOf = (r) => `${r.sourceField}|${r.operator}|${r.value}|${r.action}|${r.targetField}`;
+
+/**
+ * Compare two snapshots. Fields are matched by their internal name.
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} { title, categoryId, languages, thankYouMessage, fields: { added, removed, changed, moved }, rules: { added, removed } }
+ */
+export function diffSnapshots(from = {}, to = {}) {
+  const fromFields = (from.fields || []).map(asCurrentField);
+  const toFields = (to.fields || []).map(asCurrentField);
+  const fromByName = new Map(fromFields.map((f, idx) => [f.name, { f, idx }]));
+  const toByName = new Map(toFields.map((f, idx) => [f.name, { f, idx }]));
+  const brief = (f) => ({ name: f.name, label: f.label, type: f.type });
+
+  const fields = { added: [], removed: [], changed: [], moved: [] };
+  toFields.forEach(f => { if (!fromByName.has(f.name)) fields.added.push(brief(f)); });
+  fromFields.forEach(f => { if (!toByName.has(f.name)) fields.removed.push(brief(f)); });
+
+  // Positions are compared among the fields both versions share
+  const sharedFrom = fromFields.filter(f => toByName.has(f.name)).map(f => f.name);
+  const sharedTo = toFields.filter(f => fromByName.has(f.name)).map(f => f.name);
+
+  for (const { f: before } of fromByName.values()) {
+    const hit = toByName.get(before.name);
+    if (!hit) continue;
+    const after = hit.f;
+    const changes = {};
+    for (const prop of FIELD_PROPS) {
+      const a = before[prop] ?? null;
+      const b = after[prop] ?? null;
+      // Validation settings are objects
+      if (JSON.stringify(a) !== JSON.stringify(b)) changes[prop] = { from: a, to: b };
+    }
+    if (Object.keys(changes).length) fields.changed.push({ ...brief(after), changes });
+    const fromPos = sharedFrom.indexOf(before.name);
+    const toPos = sharedTo.indexOf(before.name);
+    if (fromPos !== toPos) fields.moved.push({ ...brief(after), from: fromPos + 1, to: toPos + 1 });
+  }
+
+  const fromRules = new Map((from.rules || []).map(r => [ruleKeyOf(r), r]));
+  const toRules = new Map((to.rules || []).map(r => [ruleKeyOf(r), r]));
+  const rules = {
+    added: [...toRules].filter(([k]) => !fromRules.has(k)).map(([, r]) => r),
+    removed: [...fromRules].filter(([k]) => !toRules.has(k)).map(([, r]) => r)
+  };
+
+  return {
+    title: from.title !== to.title ? { from: from.title, to: to.title } : null,
+    categoryId: (from.categoryId || null) !== (to.categoryId || null)
+      ? { from: from.categoryId || null, to: to.categoryId || null }
+      : null,
+    // Form-level languages: the default locale and the translated titles
+    languages: JSON.stringify(languagesOf(from)) !== JSON.stringify(languagesOf(to))
+      ? { from: languagesOf(from), to: languagesOf(to) }
+      : null,
+    thankYouMessage: (from.thankYouMessage || null) !== (to.thankYouMessage || null)
+      ? { from: from.thankYouMessage || null, to: to.thankYouMessage || null }
+      : null,
+    fields,
+    rules
+  };
+}
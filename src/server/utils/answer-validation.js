@@ -0,0 +1,277 @@
+// src/server/utils/answer-validation.js
+import { validate, formAnswerValidation, MAX_GROUP_REPEAT, CONSTRAINT_KIND_FOR, compileFieldPattern, scaleOf } from '../services/validation.service.js';
+import { answerKeysFor, isEmptyAnswer, isEmptyEntry, groupChildren } from '../services/rules.service.js';
+import { patternRisk, MAX_PATTERN_ANSWER_LENGTH } from '../services/pattern.service.js';
+import { ADDRESS_PART_LABELS, requiredPartsOf } from '../../shared/address.js';
+import { optionValues, normalizeMatrixRows, OTHER_OPTION_VALUE } from '../../shared/options.js';
+
+/**
+ * Public submission answer validation against the stored FormField rows
+ * (mirrors field-validation.js). Errors are keyed by field name so the hosted
+ * form can show each message next to its input.
+ */
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const entries = (n) => `${n} ${n === 1 ? 'entry' : 'entries'}`;
+
+const splitList = (text) => String(text || '').split(',').map(s => s.trim()).filter(Boolean);
+// Answers hold option values (published snapshots may still list labels, which are their values),
+// or "Other" where the field offers it
+const optionsOf = (field) => [...optionValues(field.options), ...(field.allowOther ? [OTHER_OPTION_VALUE] : [])];
+
+// Check one non-empty answer against its field type; returns an error message or null
+function checkAnswer(field, value) {
+    const label = field.label || field.name;
+    switch (field.type) {
+        case 'dropdown':
+        case 'multipleChoice':
+        case 'likert':
+            return formAnswerValidation.choice(value, optionsOf(field), label);
+        case 'rating':
+        case 'nps':
+            return formAnswerValidation.choice(typeof value === 'number' ? String(value) : value, scaleOf(field), label);
+        case 'checkboxes':
+        case 'multipleSelect':
+            // A single ticked box (or selected option) arrives as a plain string
+            return formAnswerValidation.choices([].concat(value), optionsOf(field), label);
+        case 'email':
+            return formAnswerValidation.text(value, label) || validate.email(value, label);
+        case 'url':
+            return formAnswerValidation.text(value, label) || validate.url(value, label);
+        case 'phone':
+            return formAnswerValidation.text(value, label) || validate.phone(value, label);
+        case 'number':
+            if (typeof value !== 'string' && typeof value !== 'number') return `${label} must be a valid number`;
+            return validate.number(value, -Infinity, Infinity, label);
+        case 'date':
+        case 'datetime':
+        case 'datePicker':
+        case 'datetimePicker':
+            return formAnswerValidation.text(value, label) || validate.date(value, label);
+        case 'time':
+        case 'timePicker':
+            return formAnswerValidation.time(value, label);
+        case 'rangePicker':
+            return formAnswerValidation.dateRange(value, label);
+        case 'colorPicker':
+            return formAnswerValidation.color(value, label);
+        case 'signature':
+            return formAnswerValidation.signature(value, label);
+        default:
+            return formAnswerValidation.text(value, label);
+    }
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+// Check a valid, non-empty answer against the field's validation constraints.
+// A custom message, when set, replaces the generic one.
+function checkConstraints(field, value) {
+    const c = field.validation;
+    if (!c) return null;
+    const label = field.label || field.name;
+    let error = null;
+    switch (CONSTRAINT_KIND_FOR[field.type]) {
+        case 'text': {
+            if (c.minLength !== undefined && value.length < c.minLength) error = `${label} must be at least ${plural(c.minLength, 'character')}`;
+            else if (c.maxLength !== undefined && value.length > c.maxLength) error = `${label} must be no more than ${plural(c.maxLength, 'character')}`;
+            else if (c.pattern !== undefined && value.length > MAX_PATTERN_ANSWER_LENGTH) {
+                error = `${label} must be no more than ${plural(MAX_PATTERN_ANSWER_LENGTH, 'character')}`;
+            } else if (c.pattern !== undefined) {
+                let re = null;
+                // Patterns saved before the complexity check existed are not run when they could backtrack badly
+                try { re = patternRisk(c.pattern) ? null : compileFieldPattern(c.pattern); } catch { /* rejected when the form was saved */ }
+                if (re && !re.test(value)) error = `${label} is not in the expected format`;
+            }
+            break;
+        }
+        case 'number': {
+            const n = Number(value);
+            // Step counts from the minimum, like the HTML step attribute
+            const steps = c.step !== undefined ? (n - (c.min ?? 0)) / c.step : 0;
+            if (c.min !== undefined && n < c.min) error = `${label} must be at least ${c.min}`;
+            else if (c.max !== undefined && n > c.max) error = `${label} must be no more than ${c.max}`;
+            else if (Math.abs(steps - Math.round(steps)) > 1e-9) error = `${label} must be in steps of ${c.step}`;
+            break;
+        }
+        case 'date': {
+            const day = String(value).slice(0, 10);
+            if (c.minDate !== undefined && day < c.minDate) error = `${label} must be on or after ${c.minDate}`;
+            else if (c.maxDate !== undefined && day > c.maxDate) error = `${label} must be on or before ${c.maxDate}`;
+            break;
+        }
+        case 'selections': {
+            const count = [].concat(value).length;
+            if (c.minSelections !== undefined && count < c.minSelections) error = `Select at least ${plural(c.minSelections, 'option')} for ${label}`;
+            else if (c.maxSelections !== undefined && count > c.maxSelections) error = `Select no more than ${plural(c.maxSelections, 'option')} for ${label}`;
+            break;
+        }
+    }
+    return error && (c.message || error);
+}
+
+// Matrix: an object of row value -> column value; a required matrix needs every row answered
+function checkMatrix(field, value, isRequired) {
+    const label = field.label || field.name;
+    if (!isPlainObject(value)) return `${label} must have one answer per row`;
+    const rows = normalizeMatrixRows(field.matrixRows);
+    const columns = optionsOf(field);
+    for (const [key, answer] of Object.entries(value)) {
+        const row = rows.find(r => r.value === key);
+        if (!row) return `${label} has no row "${key}"`;
+        if (isEmptyAnswer(answer)) continue;
+        const error = formAnswerValidation.choice(answer, columns, `${label} (${row.label})`);
+        if (error) return error;
+    }
+    const missing = isRequired ? rows.find(row => isEmptyAnswer(value[row.value])) : undefined;
+    return missing === undefined ? null : `${label} needs an answer for "${missing.label}"`;
+}
+
+// Address: an object of parts; once any part is given (or when the field is required)
+// every required part must be
+function checkAddress(field, value) {
+    const label = field.label || field.name;
+    const error = formAnswerValidation.address(value, label);
+    if (error) return error;
+    const missing = requiredPartsOf(field.requiredParts).find(part => isEmptyAnswer(value[part]));
+    return missing === undefined ? null : `${label} needs ${ADDRESS_PART_LABELS[missing].toLowerCase()}`;
+}
+
+// Choice with "Other": its text is needed exactly when "Other" is chosen
+function checkOtherChoice(field, value, text) {
+    const label = field.label || field.name;
+    const choseOther = [].concat(value ?? []).includes(OTHER_OPTION_VALUE);
+    if (choseOther) {
+        const error = formAnswerValidation.otherText(text, label);
+        if (error) return error;
+    } else if (!isEmptyAnswer(text)) {
+        return `Choose "Other" to give your own answer for ${label}`;
+    }
+    return isEmptyAnswer(value) ? null : checkAnswer(field, value) || checkConstraints(field, value);
+}
+
+const isText = (v) => typeof v === 'string';
+const NUMERIC_ANSWER_TYPES = new Set(['number', 'rating', 'nps', 'calculated']);
+const LIST_ANSWER_TYPES = new Set(['checkboxes', 'multipleSelect']);
+const OBJECT_ANSWER_TYPES = new Set(['matrix', 'address']);
+
+// The JSON shape an answer must have, checked before anything else so that values such as
+// {} or [null] never count as "unanswered" for a field that takes text. Missing and null
+// values are unanswered. `key` is the field name, or one of its extra keys (name parts, "Other" text).
+function shapeError(field, key, value) {
+    if (value === undefined || value === null) return null;
+    const label = field.label || field.name;
+    let ok;
+    if (key !== field.name) ok = isText(value);
+    else if (OBJECT_ANSWER_TYPES.has(field.type)) ok = isPlainObject(value) && Object.values(value).every(v => v === null || isText(v));
+    else if (LIST_ANSWER_TYPES.has(field.type)) ok = isText(value) || (Array.isArray(value) && value.every(isText));
+    else if (NUMERIC_ANSWER_TYPES.has(field.type)) ok = isText(value) || (typeof value === 'number' && Number.isFinite(value));
+    else ok = isText(value);
+    return ok ? null : `${label} has an answer of the wrong type`;
+}
+
+// Check one field's answer(s) read from `data`; returns an error message or null.
+// Also used for default values and URL prefill, which must be valid answers.
+export function checkField(field, data, isRequired) {
+    const label = field.label || field.name;
+    const keys = answerKeysFor(field);
+    const answers = keys.map(k => data[k]);
+
+    const typeError = keys.map((k, i) => shapeError(field, k, answers[i])).find(Boolean);
+    if (typeError) return typeError;
+
+    if (answers.every(isEmptyAnswer)) {
+        if (!isRequired) return null;
+        return validate.required(answers.length > 1 ? '' : answers[0], label) || `${label} is required`;
+    }
+
+    if (field.type === 'matrix') return checkMatrix(field, answers[0], isRequired);
+    if (field.type === 'address') return checkAddress(field, answers[0]);
+    if (field.allowOther) return checkOtherChoice(field, answers[0], answers[1]);
+
+    if (keys.length > 1) {
+        // Composite fields (name): every part must be a string, and all parts are needed if required
+        const partError = answers
+            .map(v => (v === undefined ? null : formAnswerValidation.text(v, label)))
+            .find(Boolean);
+        if (partError) return partError;
+        return isRequired && answers.some(isEmptyAnswer) ? `${label} is required` : null;
+    }
+
+    return checkAnswer(field, answers[0]) || checkConstraints(field, answers[0]);
+}
+
+// A field's default value as an answer (checkbox defaults list option values separated by commas)
+export function defaultAnswerOf(field) {
+    if (field.defaultValue === null || field.defaultValue === undefined) return undefined;
+    if (field.type === 'checkboxes') return splitList(field.defaultValue);
+    return field.defaultValue;
+}
+
+// Repeatable group: an array of entries, each checked against the group's children.
+// Entry errors are keyed "group.index.child" (index into the submitted array).
+function checkGroup(group, children, value, isRequired, errors) {
+    const label = group.label || group.name;
+    const list = value === undefined || value === null ? [] : value;
+    if (!Array.isArray(list) || !list.every(isPlainObject)) {
+        errors[group.name] = `${label} must be a list of entries`;
+        return;
+    }
+
+    const childKeys = new Set(children.flatMap(answerKeysFor));
+    let count = 0;
+    list.forEach((entry, i) => {
+        if (isEmptyEntry(entry, children)) return;
+        count++;
+        for (const key of Object.keys(entry)) {
+            if (!childKeys.has(key)) errors[`${group.name}.${i}.${key}`] = `Unknown field "${key}"`;
+        }
+        for (const child of children) {
+            const error = checkField(child, entry, !!child.required);
+            if (error) errors[`${group.name}.${i}.${child.name}`] = error;
+        }
+    });
+
+    const min = Math.max(Number(group.minRepeat) || 0, isRequired ? 1 : 0);
+    const max = Number(group.maxRepeat) || MAX_GROUP_REPEAT;
+    if (count < min) errors[group.name] = `${label} needs at least ${entries(min)}`;
+    else if (count > max) errors[group.name] = `${label} allows at most ${entries(max)}`;
+}
+
+/**
+ * Validate submitted answers.
+ * @param {Array} fields - FormField rows of the form
+ * @param {Object} data - Answers left after conditional rules were applied
+ * @param {Object} [opts]
+ * @param {Set<string>} [opts.hidden] - Field names hidden by rules (skipped)
+ * @param {Set<string>} [opts.required] - Visible field names that must be answered
+ * @returns {{ valid: boolean, errors: Object<string, string> }}
+ */
+export function validateAnswers(fields = [], data = {}, { hidden = new Set(), required = new Set() } = {}) {
+    const errors = {};
+    // Group children answer inside their group's entries, not at the top level
+    const topLevel = fields.filter(f => !f.parentName);
+    const knownKeys = new Set(topLevel.flatMap(answerKeysFor));
+
+    for (const key of Object.keys(data)) {
+        if (!knownKeys.has(key)) errors[key] = `Unknown field "${key}"`;
+    }
+
+    for (const field of topLevel) {
+        if (hidden.has(field.name)) continue;
+        // File answers are uploaded separately and never arrive in the JSON payload
+        if (field.type === 'file') continue;
+        // Page breaks collect no answer
+        if (!answerKeysFor(field).length) continue;
+
+        if (field.type === 'group') {
+            checkGroup(field, groupChildren(fields, field.name), data[field.name], required.has(field.name), errors);
+            continue;
+        }
+
+        const error = checkField(field, data, required.has(field.name));
+        if (error) errors[field.name] = error;
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
@@ -0,0 +1,59 @@
+// src/server/utils/field-rows.js
+import crypto from 'crypto';
+
+/**
+ * The one place that lists a field's settings: API responses, the builder
+ * preload, version snapshots and the FormField rows written on save, publish,
+ * restore and duplicate all go through toFieldOut, so a new setting is added here once
+ */
+
+// Every setting of a field besides its id and name, in the order snapshots compare them
+export const FIELD_PROPS = ['type', 'label', 'placeholder', 'required', 'doNotStore', 'options', 'matrixRows', 'scaleMax', 'requiredParts', 'allowOther', 'shuffleOptions', 'translations', 'content',
+    'validation', 'defaultValue', 'allowPrefill', 'valueSource', 'formula', 'correctAnswer', 'points', 'width', 'parentName', 'minRepeat', 'maxRepeat'];
+
+/**
+ * A field as a plain object, unset settings filled with their defaults
+ * @param {Object} f - FormField row, snapshot field or cleaned builder field
+ * @returns {Object}
+ */
+export function toFieldOut(f) {
+    return {
+        id: f.id, type: f.type, label: f.label, name: f.name,
+        placeholder: f.placeholder || '',
+        required: !!f.required, doNotStore: !!f.doNotStore,
+        options: f.options || [],
+        matrixRows: f.matrixRows || null,
+        scaleMax: f.scaleMax ?? null,
+        requiredParts: f.requiredParts || null,
+        allowOther: !!f.allowOther,
+        shuffleOptions: !!f.shuffleOptions,
+        translations: f.translations || {},
+        content: f.content || null,
+        validation: f.validation || null,
+        defaultValue: f.defaultValue ?? null,
+        allowPrefill: !!f.allowPrefill,
+        valueSource: f.valueSource || null,
+        formula: f.formula || null,
+        correctAnswer: f.correctAnswer ?? null,
+        points: f.points ?? null,
+        width: f.width || 'full',
+        parentName: f.parentName || null,
+        minRepeat: f.minRepeat ?? null, maxRepeat: f.maxRepeat ?? null
+    };
+}
+
+/**
+ * A FormField row to insert; fields without an id get a new one
+ * @param {Object} f - Cleaned field
+ * @param {string} formId
+ * @param {number} idx - Position used when the field has none
+ * @returns {Object}
+ */
+export function toFieldRow(f, formId, idx) {
+    return {
+        ...toFieldOut(f),
+        id: f.id && String(f.id).trim() ? f.id : crypto.randomBytes(9).toString('base64url'),
+        formId,
+        position: f.position !== undefined ? f.position : idx
+    };
+}
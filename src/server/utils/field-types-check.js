@@ -0,0 +1,53 @@
+// src/server/utils/field-types-check.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FIELD_TYPES, compareFieldTypes } from '../../shared/field-types.js';
+import { FormField } from '../models/FormField.js';
+import { PARTIAL_FOR } from '../controllers/forms.controller.js';
+import { PARTIAL_FOR as BUILDER_PARTIAL_FOR } from '../../client/builder/constants.js';
+
+/**
+ * Startup check that the server and the builder agree on the field types
+ * (mirrors the "must match the server" notes in the builder's constants.js,
+ * for the one list where a mismatch loses data).
+ */
+
+const FIELDS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', '..', 'views', 'partials', 'fields');
+
+/**
+ * Find every place whose field types differ from FIELD_TYPES
+ * @returns {string[]} One message per problem; empty when everything matches
+ */
+export function fieldTypeProblems() {
+    const problems = [];
+    const report = (where, { missing, unknown }) => {
+        if (missing.length) problems.push(`${where} is missing: ${missing.join(', ')}`);
+        if (unknown.length) problems.push(`${where} has unknown types: ${unknown.join(', ')}`);
+    };
+
+    report('FormField.type', compareFieldTypes(FormField.getAttributes().type.values));
+    report('Hosted form partials (forms.controller PARTIAL_FOR)', compareFieldTypes(Object.keys(PARTIAL_FOR)));
+    report('Builder partials (client constants.js PARTIAL_FOR)', compareFieldTypes(Object.keys(BUILDER_PARTIAL_FOR)));
+
+    // Both sides render from views/partials/fields
+    const partialFiles = new Set([
+        ...Object.values(PARTIAL_FOR).map(p => p.replace(/^fields\//, '')),
+        ...Object.values(BUILDER_PARTIAL_FOR)
+    ]);
+    const absent = [...partialFiles].filter(p => !fs.existsSync(path.join(FIELDS_DIR, `${p}.hbs`)));
+    if (absent.length) problems.push(`Missing partial files: ${absent.map(p => `fields/${p}.hbs`).join(', ')}`);
+
+    return problems;
+}
+
+/**
+ * Throw when the field type lists have drifted apart
+ * @throws {Error} Listing every problem
+ */
+export function checkFieldTypes() {
+    const problems = fieldTypeProblems();
+    if (problems.length) {
+        throw new Error(`Field types are out of sync with src/shared/field-types.js (${FIELD_TYPES.length} types):\n- ${problems.join('\n- ')}`);
+    }
+}
@@ -1,10 +1,59 @@
 // src/server/utils/field-validation.js
-import { formFieldValidation, sanitize } from '../services/validation.service.js';
+import { formFieldValidation, sanitize, LAYOUT_FIELD_TYPES, CONSTRAINT_KEYS, CONSTRAINT_KIND_FOR, DEFAULT_VALUE_TYPES, PREFILL_FIELD_TYPES, QUIZ_FIELD_TYPES, OPTION_FIELD_TYPES, CHOICE_FIELD_TYPES, RATING_SCALE } from '../services/validation.service.js';
+import { checkField, defaultAnswerOf } from './answer-validation.js';
+import { DEFAULT_REQUIRED_PARTS } from '../../shared/address.js';
+import { normalizeOptions, normalizeMatrixRows, otherKeyOf } from '../../shared/options.js';
+import { translatableTexts } from '../../shared/locales.js';
 
 /**
  * Shared field validation utilities to eliminate code duplication
  */
 
+const NUMERIC_CONSTRAINTS = new Set(['minLength', 'maxLength', 'min', 'max', 'step', 'minSelections', 'maxSelections']);
+
+// Keep the translations of texts the field has (option and matrix row labels by value), sanitized like
+// the texts themselves; blank translations are dropped. Odd shapes are kept so validation can report them.
+function sanitizeTranslations(translations, field) {
+    if (translations === null || translations === undefined) return {};
+    if (typeof translations !== 'object' || Array.isArray(translations)) return translations;
+    const texts = translatableTexts(field);
+    const out = {};
+    for (const [locale, entry] of Object.entries(translations)) {
+        if (!entry || typeof entry !== 'object') continue;
+        const clean = {};
+        for (const { key, option } of texts) {
+            const text = option === undefined ? entry[key] : entry[key]?.[option];
+            if (typeof text !== 'string' || !text.trim()) continue;
+            const value = key === 'content' ? sanitize.richText(text) : sanitize.html(text.trim());
+            if (option === undefined) clean[key] = value;
+            else clean[key] = { ...clean[key], [option]: value };
+        }
+        if (Object.keys(clean).length) out[locale] = clean;
+    }
+    return out;
+}
+
+// Keep the constraints that apply to the field type; blank values mean "no constraint".
+// Unknown keys are kept so validation can report them.
+function sanitizeConstraints(config, type) {
+    if (config === null || config === undefined) return null;
+    if (typeof config !== 'object' || Array.isArray(config)) return config;
+    const out = {};
+    for (const [key, raw] of Object.entries(config)) {
+        if (raw === null || raw === undefined || String(raw).trim() === '') continue;
+        if (NUMERIC_CONSTRAINTS.has(key)) out[key] = Number(raw);
+        else if (key === 'message') out[key] = sanitize.html(String(raw)).trim();
+        else out[key] = sanitize.database(String(raw));
+    }
+    // Constraints left over from a previous type are dropped rather than rejected
+    const kind = CONSTRAINT_KIND_FOR[type];
+    if (!kind) return null;
+    for (const key of Object.keys(out)) {
+        if (Object.values(CONSTRAINT_KEYS).flat().includes(key) && !CONSTRAINT_KEYS[kind].includes(key)) delete out[key];
+    }
+    return Object.keys(out).length ? out : null;
+}
+
 export function sanitizeFields(fields = []) {
     if (!Array.isArray(fields)) {
         throw new Error('Fields must be an array');
@@ -23,20 +72,20 @@ export function sanitizeFields(fields = []) {
             }
         }
 
-        // Handle options for dropdown/radio/checkbox fields
-        const needsOptions = ['dropdown', 'multipleChoice', 'checkboxes'];
-        if (needsOptions.includes(cleaned.type)) {
-            if (Array.isArray(cleaned.options)) {
-                cleaned.options = cleaned.options.map(opt => sanitize.html(String(opt))).join(', ');
-            } else {
-                cleaned.options = String(cleaned.options || '').split(',')
-                    .map(opt => sanitize.html(opt.trim()))
-                    .filter(Boolean)
-                    .join(', ');
-            }
+        // Options of choice fields: option objects, labels or a comma-separated list all become option lists
+        if (OPTION_FIELD_TYPES.includes(cleaned.type)) {
+            cleaned.options = normalizeOptions(cleaned.options).map(opt => ({
+                ...opt,
+                label: sanitize.html(opt.label),
+                value: sanitize.html(opt.value),
+                ...(opt.description ? { description: sanitize.html(opt.description) } : {})
+            }));
         } else {
             delete cleaned.options;
         }
+        // "Other" and shuffled options are settings of dropdowns, radios and checkboxes
+        cleaned.allowOther = !!cleaned.allowOther && CHOICE_FIELD_TYPES.includes(cleaned.type);
+        cleaned.shuffleOptions = !!cleaned.shuffleOptions && CHOICE_FIELD_TYPES.includes(cleaned.type);
 
         // Handle content for rich text fields
         if (cleaned.type === 'richText' && cleaned.content) {
@@ -45,6 +94,110 @@ export function sanitizeFields(fields = []) {
             delete cleaned.content;
         }
 
+        // Layout fields (page breaks) take no input
+        if (LAYOUT_FIELD_TYPES.includes(cleaned.type)) {
+            cleaned.placeholder = '';
+            cleaned.required = false;
+            cleaned.doNotStore = false;
+        }
+        cleaned.translations = sanitizeTranslations(cleaned.translations, cleaned);
+
+        cleaned.validation = sanitizeConstraints(cleaned.validation, cleaned.type);
+
+        // Default value and URL prefill; other types drop them. Blank means no default.
+        const rawDefault = cleaned.defaultValue;
+        if (DEFAULT_VALUE_TYPES.includes(cleaned.type) && rawDefault !== null && rawDefault !== undefined && String(rawDefault).trim() !== '') {
+            cleaned.defaultValue = cleaned.type === 'checkboxes'
+                ? String(rawDefault).split(',').map(v => sanitize.html(v.trim())).filter(Boolean).join(', ')
+                : sanitize.database(sanitize.html(String(rawDefault)));
+        } else {
+            cleaned.defaultValue = null;
+        }
+        // Options marked selected are the default answer; a default value sent without them marks them instead
+        if (OPTION_FIELD_TYPES.includes(cleaned.type)) {
+            if (!DEFAULT_VALUE_TYPES.includes(cleaned.type)) {
+                cleaned.options = cleaned.options.map(({ selected, ...opt }) => opt);
+            } else if (cleaned.options.some(opt => opt.selected)) {
+                cleaned.defaultValue = cleaned.options.filter(opt => opt.selected).map(opt => opt.value).join(', ');
+            } else if (cleaned.defaultValue !== null) {
+                const defaults = cleaned.type === 'checkboxes' ? cleaned.defaultValue.split(', ') : [cleaned.defaultValue];
+                cleaned.options = cleaned.options.map(opt => (defaults.includes(opt.value) ? { ...opt, selected: true } : opt));
+            }
+        }
+        // Prefill reads top-level query parameters, so group children cannot take part
+        cleaned.allowPrefill = !!cleaned.allowPrefill && PREFILL_FIELD_TYPES.includes(cleaned.type) && !cleaned.parentName;
+
+        // Matrix rows are listed like options (a comma-separated list of labels still reads); ratings have a number of stars
+        if (cleaned.type === 'matrix') {
+            cleaned.matrixRows = normalizeMatrixRows(cleaned.matrixRows).map(row => ({
+                label: sanitize.html(row.label),
+                value: sanitize.html(row.value)
+            }));
+        } else {
+            cleaned.matrixRows = null;
+        }
+        cleaned.scaleMax = cleaned.type === 'rating'
+            ? (cleaned.scaleMax === undefined || cleaned.scaleMax === null || cleaned.scaleMax === '' ? RATING_SCALE.default : Number(cleaned.scaleMax))
+            : null;
+        // Addresses list the parts they need; fields saved without the setting get the usual ones
+        if (cleaned.type === 'address') {
+            cleaned.requiredParts = cleaned.requiredParts === undefined || cleaned.requiredParts === null
+                ? DEFAULT_REQUIRED_PARTS.join(', ')
+                : String(cleaned.requiredParts).split(',').map(part => part.trim()).filter(Boolean).join(', ');
+        } else {
+            cleaned.requiredParts = null;
+        }
+
+        // Quiz: correct option(s) like a default value; a question is worth 1 point unless set
+        const rawCorrect = cleaned.correctAnswer;
+        if (QUIZ_FIELD_TYPES.includes(cleaned.type) && rawCorrect !== null && rawCorrect !== undefined && String(rawCorrect).trim() !== '') {
+            cleaned.correctAnswer = cleaned.type === 'checkboxes'
+                ? String(rawCorrect).split(',').map(v => sanitize.html(v.trim())).filter(Boolean).join(', ')
+                : sanitize.database(sanitize.html(String(rawCorrect)));
+            cleaned.points = cleaned.points === undefined || cleaned.points === null || cleaned.points === ''
+                ? 1
+                : Number(cleaned.points);
+        } else {
+            cleaned.correctAnswer = null;
+            cleaned.points = null;
+        }
+
+        // Calculated fields are filled in by their formula (kept verbatim: "<" is an operator)
+        if (cleaned.type === 'calculated') {
+            cleaned.formula = typeof cleaned.formula === 'string' ? sanitize.database(cleaned.formula) : '';
+            cleaned.required = false;
+        } else {
+            cleaned.formula = null;
+        }
+
+        // Hidden fields are never shown, so never required; a link-parameter source is a prefill
+        if (cleaned.type === 'hidden') {
+            cleaned.valueSource = cleaned.valueSource || 'query';
+            cleaned.allowPrefill = cleaned.valueSource === 'query';
+            cleaned.placeholder = '';
+            cleaned.required = false;
+        } else {
+            cleaned.valueSource = null;
+        }
+
+        // Page breaks and groups always span the whole row; hidden fields take no room
+        cleaned.width = cleaned.width || 'full';
+        if (LAYOUT_FIELD_TYPES.includes(cleaned.type) || ['group', 'hidden'].includes(cleaned.type)) cleaned.width = 'full';
+
+        // Repeatable groups: bounds live on the group, children point at it by name
+        const toCount = (v, fallback) => (v === undefined || v === null || v === '' ? fallback : Number(v));
+        if (cleaned.type === 'group') {
+            cleaned.minRepeat = toCount(cleaned.minRepeat, 0);
+            cleaned.maxRepeat = toCount(cleaned.maxRepeat, 5);
+            cleaned.placeholder = '';
+            cleaned.required = false;
+            cleaned.doNotStore = false;
+        } else {
+            cleaned.minRepeat = null;
+            cleaned.maxRepeat = null;
+        }
+        cleaned.parentName = cleaned.parentName ? sanitize.database(String(cleaned.parentName)) : null;
+
         // Handle order property - convert to position (0-based)
         if (cleaned.order !== undefined) {
             cleaned.position = Math.max(0, parseInt(cleaned.order) - 1);
@@ -81,6 +234,8 @@ export function isValidField(field) {
 export function validateFields(fields) {
     const clean = sanitizeFields(fields);
     const fieldErrors = [];
+    const groupNames = new Set(clean.filter(f => f.type === 'group').map(f => String(f.name || '')));
+    const fieldsByName = new Map(clean.map(f => [String(f.name || ''), f]));
 
     for (let i = 0; i < clean.length; i++) {
         const field = clean[i];
@@ -98,9 +253,68 @@ export function validateFields(fields) {
         const placeholderError = formFieldValidation.placeholder(field.placeholder);
         if (placeholderError) fieldErrors.push(`Field ${i + 1}: ${placeholderError}`);
 
+        const translationsError = formFieldValidation.translations(field.translations);
+        if (translationsError) fieldErrors.push(`Field ${i + 1}: ${translationsError}`);
+
         const optionsError = formFieldValidation.options(field.options, field.type);
         if (optionsError) fieldErrors.push(`Field ${i + 1}: ${optionsError}`);
 
+        const optionCount = Array.isArray(field.options) ? field.options.length : 0;
+        const validationError = formFieldValidation.validation(field.validation, field.type, optionCount);
+        if (validationError) fieldErrors.push(`Field ${i + 1}: ${validationError}`);
+
+        const matrixError = formFieldValidation.matrixRows(field.matrixRows, field.type);
+        if (matrixError) fieldErrors.push(`Field ${i + 1}: ${matrixError}`);
+
+        const scaleError = formFieldValidation.scaleMax(field.scaleMax, field.type);
+        if (scaleError) fieldErrors.push(`Field ${i + 1}: ${scaleError}`);
+
+        const partsError = formFieldValidation.requiredParts(field.requiredParts, field.type);
+        if (partsError) fieldErrors.push(`Field ${i + 1}: ${partsError}`);
+
+        // "Other" answers arrive under "<name>_other", so no field may be named that
+        if (field.allowOther && fieldsByName.has(otherKeyOf(field.name))) {
+            fieldErrors.push(`Field ${i + 1}: "Other" answers are stored as "${otherKeyOf(field.name)}", which another field is named`);
+        }
+
+        const formulaError = formFieldValidation.formula(field.formula, field.type)
+            || formFieldValidation.formulaReferences(field, fieldsByName);
+        if (formulaError) fieldErrors.push(`Field ${i + 1}: ${formulaError}`);
+
+        const sourceError = formFieldValidation.valueSource(field.valueSource, field.type);
+        if (sourceError) fieldErrors.push(`Field ${i + 1}: ${sourceError}`);
+
+        const widthError = formFieldValidation.width(field.width);
+        if (widthError) fieldErrors.push(`Field ${i + 1}: ${widthError}`);
+
+        const defaultError = formFieldValidation.defaultValue(field.defaultValue, field.type);
+        if (defaultError) {
+            fieldErrors.push(`Field ${i + 1}: ${defaultError}`);
+        } else if (field.defaultValue !== null && !optionsError && !validationError && !scaleError) {
+            // The default must be an answer the field itself would accept
+            const answerError = checkField(field, { [field.name]: defaultAnswerOf(field) }, false);
+            if (answerError) fieldErrors.push(`Field ${i + 1}: Invalid default value: ${answerError}`);
+        }
+
+        const correctError = formFieldValidation.correctAnswer(field.correctAnswer, field.type, !!field.parentName)
+            || formFieldValidation.points(field.points);
+        if (correctError) {
+            fieldErrors.push(`Field ${i + 1}: ${correctError}`);
+        } else if (field.correctAnswer !== null && !optionsError) {
+            // Only the option check applies: selection limits are for respondents
+            const answer = field.type === 'checkboxes' ? field.correctAnswer.split(', ') : field.correctAnswer;
+            const answerError = checkField({ ...field, validation: null }, { [field.name]: answer }, false);
+            if (answerError) fieldErrors.push(`Field ${i + 1}: Invalid correct answer: ${answerError}`);
+        }
+
+        if (field.type === 'group') {
+            const repeatError = formFieldValidation.repeat(field.minRepeat, field.maxRepeat);
+            if (repeatError) fieldErrors.push(`Field ${i + 1}: ${repeatError}`);
+        }
+
+        const parentError = formFieldValidation.parent(field, groupNames);
+        if (parentError) fieldErrors.push(`Field ${i + 1}: ${parentError}`);
+
         if (!isValidField(field)) {
             fieldErrors.push(`Field ${i + 1}: Invalid field definition`);
         }
@@ -0,0 +1,35 @@
+// src/server/utils/language-validation.js
+import { formLanguageValidation, sanitize } from '../services/validation.service.js';
+import { DEFAULT_LOCALE } from '../../shared/locales.js';
+
+/**
+ * Form language validation (mirrors schedule-validation.js). Field texts are
+ * translated per field; see sanitizeFields and formFieldValidation.translations.
+ */
+
+// Validate the builder's languages ({ defaultLocale, translations: { <locale>: { title, thankYouMessage } } }); returns the column values
+export function validateLanguages(languages = {}) {
+    if (!languages || typeof languages !== 'object' || Array.isArray(languages)) {
+        return { clean: null, languageErrors: ['Languages must be an object'] };
+    }
+    const defaultLocale = languages.defaultLocale || DEFAULT_LOCALE;
+    const translations = languages.translations ?? {};
+
+    const languageErrors = [
+        formLanguageValidation.locale(defaultLocale, 'Default language'),
+        formLanguageValidation.translations(translations, defaultLocale)
+    ].filter(Boolean);
+    if (languageErrors.length) return { clean: null, languageErrors };
+
+    // Every listed locale is offered, even before its title is translated
+    const clean = {};
+    for (const [locale, entry] of Object.entries(translations)) {
+        const title = typeof entry.title === 'string' ? sanitize.html(entry.title.trim()) : '';
+        const thankYouMessage = typeof entry.thankYouMessage === 'string' ? sanitize.richText(entry.thankYouMessage).trim() : '';
+        clean[locale] = {
+            ...(title ? { title } : {}),
+            ...(thankYouMessage ? { thankYouMessage } : {})
+        };
+    }
+    return { clean: { defaultLocale, translations: clean }, languageErrors };
+}
@@ -0,0 +1,55 @@
+// src/server/utils/rule-validation.js
+import { formRuleValidation, sanitize, LAYOUT_FIELD_TYPES } from '../services/validation.service.js';
+
+/**
+ * Shared conditional logic rule validation utilities (mirrors field-validation.js)
+ */
+
+export function sanitizeRules(rules = []) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Rules must be an array');
+    }
+    return rules.map((rule, idx) => ({
+        id: rule?.id && String(rule.id).trim() ? String(rule.id) : undefined,
+        sourceField: sanitize.database(String(rule?.sourceField || '')),
+        operator: String(rule?.operator || ''),
+        value: sanitize.html(sanitize.database(String(rule?.value ?? ''))),
+        action: String(rule?.action || ''),
+        targetField: sanitize.database(String(rule?.targetField || '')),
+        position: idx
+    }));
+}
+
+// Validate rules against the (already cleaned) field list they refer to
+export function validateRules(rules, cleanFields = []) {
+    const fieldNames = new Set(cleanFields.map(f => String(f.name || '')));
+    const layoutNames = new Set(cleanFields.filter(f => LAYOUT_FIELD_TYPES.includes(f.type)).map(f => String(f.name || '')));
+    const groupNames = new Set(cleanFields.filter(f => f.type === 'group').map(f => String(f.name || '')));
+    const childNames = new Set(cleanFields.filter(f => f.parentName).map(f => String(f.name || '')));
+    const matrixNames = new Set(cleanFields.filter(f => f.type === 'matrix').map(f => String(f.name || '')));
+    const addressNames = new Set(cleanFields.filter(f => f.type === 'address').map(f => String(f.name || '')));
+    const clean = sanitizeRules(rules);
+    const ruleErrors = [];
+
+    for (let i = 0; i < clean.length; i++) {
+        const rule = clean[i];
+
+        const operatorError = formRuleValidation.operator(rule.operator);
+        if (operatorError) ruleErrors.push(`Rule ${i + 1}: ${operatorError}`);
+
+        const actionError = formRuleValidation.action(rule.action);
+        if (actionError) ruleErrors.push(`Rule ${i + 1}: ${actionError}`);
+
+        const valueError = formRuleValidation.value(rule.value, rule.operator);
+        if (valueError) ruleErrors.push(`Rule ${i + 1}: ${valueError}`);
+
+        const fieldsError = formRuleValidation.fields(rule, fieldNames, layoutNames, groupNames, childNames, matrixNames, addressNames);
+        if (fieldsError) ruleErrors.push(`Rule ${i + 1}: ${fieldsError}`);
+    }
+
+    if (clean.length > 200) {
+        ruleErrors.push('Maximum 200 rules allowed');
+    }
+
+    return { clean, ruleErrors };
+}
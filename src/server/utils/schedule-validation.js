@@ -0,0 +1,50 @@
+// src/server/utils/schedule-validation.js
+import { formScheduleValidation, sanitize } from '../services/validation.service.js';
+
+/**
+ * Form scheduling / response cap validation (mirrors rule-validation.js).
+ * Like the settings, a key left out keeps its stored value; the opening window
+ * is checked against the stored time when only one end of it is given.
+ */
+
+const emptyToNull = (v) => (v === undefined || v === null || v === '' ? null : v);
+const SCHEDULE_KEYS = ['opensAt', 'closesAt', 'maxResponses', 'closedMessage'];
+
+// Validate the builder's schedule (opening and closing times, response cap, closed message); returns normalized column values for the keys given
+export function validateSchedule(schedule = {}, stored = {}) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return { clean: null, scheduleErrors: ['Schedule must be an object'] };
+    }
+    const given = (key) => Object.prototype.hasOwnProperty.call(schedule, key);
+    const opensAt = emptyToNull(schedule.opensAt);
+    const closesAt = emptyToNull(schedule.closesAt);
+    const maxResponses = emptyToNull(schedule.maxResponses);
+    const closedMessage = emptyToNull(typeof schedule.closedMessage === 'string' ? schedule.closedMessage.trim() : schedule.closedMessage);
+
+    const scheduleErrors = [
+        formScheduleValidation.date(opensAt, 'Opening time'),
+        formScheduleValidation.date(closesAt, 'Closing time'),
+        formScheduleValidation.maxResponses(maxResponses),
+        formScheduleValidation.closedMessage(closedMessage)
+    ].filter(Boolean);
+    if (!scheduleErrors.length) {
+        const windowError = formScheduleValidation.window(
+            given('opensAt') ? opensAt : emptyToNull(stored?.opensAt),
+            given('closesAt') ? closesAt : emptyToNull(stored?.closesAt)
+        );
+        if (windowError) scheduleErrors.push(windowError);
+    }
+    if (scheduleErrors.length) return { clean: null, scheduleErrors };
+
+    const values = {
+        opensAt: opensAt ? new Date(opensAt) : null,
+        closesAt: closesAt ? new Date(closesAt) : null,
+        maxResponses: maxResponses === null ? null : Number(maxResponses),
+        closedMessage: closedMessage === null ? null : sanitize.html(closedMessage)
+    };
+    const clean = {};
+    for (const key of SCHEDULE_KEYS) {
+        if (given(key)) clean[key] = values[key];
+    }
+    return { clean, scheduleErrors };
+}
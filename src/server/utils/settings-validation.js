@@ -0,0 +1,52 @@
+// src/server/utils/settings-validation.js
+import { formSettingsValidation, sanitize } from '../services/validation.service.js';
+
+/**
+ * Form settings validation (mirrors schedule-validation.js): UTM capture, quiz
+ * results and what respondents see after submitting. Settings are updated one
+ * by one: a key left out keeps its stored value, so a client that knows only
+ * some of them cannot reset the others.
+ */
+
+const emptyToNull = (v) => (v === undefined || v === null || v === '' ? null : v);
+const trimmed = (v) => emptyToNull(typeof v === 'string' ? v.trim() : v);
+
+// On/off settings and their labels in error messages
+const FLAGS = {
+    captureUtm: 'Capture UTM parameters',
+    showScore: 'Show score',
+    showFeedback: 'Show feedback',
+    showSummary: 'Show answer summary',
+    allowAnotherResponse: 'Submit another response'
+};
+export const SETTING_KEYS = [...Object.keys(FLAGS), 'passMark', 'thankYouMessage', 'redirectUrl'];
+
+// Validate the builder's settings; returns normalized column values for the keys given
+export function validateSettings(settings = {}) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { clean: null, settingsErrors: ['Settings must be an object'] };
+    }
+    const given = (key) => Object.prototype.hasOwnProperty.call(settings, key);
+    const unknown = Object.keys(settings).filter(key => !SETTING_KEYS.includes(key));
+    const passMark = emptyToNull(settings.passMark);
+    const thankYouMessage = trimmed(settings.thankYouMessage);
+    const redirectUrl = trimmed(settings.redirectUrl);
+
+    const settingsErrors = [
+        ...unknown.map(key => `Unknown setting "${key}"`),
+        ...Object.entries(FLAGS).map(([key, label]) => formSettingsValidation.flag(settings[key], label)),
+        formSettingsValidation.passMark(passMark),
+        formSettingsValidation.thankYouMessage(thankYouMessage),
+        formSettingsValidation.redirectUrl(redirectUrl)
+    ].filter(Boolean);
+    if (settingsErrors.length) return { clean: null, settingsErrors };
+
+    const clean = {};
+    for (const key of Object.keys(FLAGS)) {
+        if (given(key)) clean[key] = !!settings[key];
+    }
+    if (given('passMark')) clean.passMark = passMark === null ? null : Number(passMark);
+    if (given('thankYouMessage')) clean.thankYouMessage = thankYouMessage === null ? null : emptyToNull(sanitize.richText(thankYouMessage).trim());
+    if (given('redirectUrl')) clean.redirectUrl = redirectUrl;
+    return { clean, settingsErrors };
+}
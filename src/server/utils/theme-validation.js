@@ -0,0 +1,29 @@
+// src/server/utils/theme-validation.js
+import { formThemeValidation, sanitize } from '../services/validation.service.js';
+import { normalizeTheme, isDefaultTheme } from '../../shared/themes.js';
+
+/**
+ * Form theme validation (mirrors schedule-validation.js); used for forms and saved themes
+ */
+
+// Validate a theme from the builder; returns every setting, or null for the default look
+export function validateTheme(theme = {}) {
+    if (theme === null) return { clean: null, themeErrors: [] };
+    if (typeof theme !== 'object' || Array.isArray(theme)) {
+        return { clean: null, themeErrors: ['Theme must be an object'] };
+    }
+    const logoUrl = typeof theme.logoUrl === 'string' ? theme.logoUrl.trim() : theme.logoUrl;
+
+    const themeErrors = [
+        formThemeValidation.logoUrl(logoUrl),
+        formThemeValidation.color(theme.primaryColor, 'Primary colour'),
+        formThemeValidation.color(theme.backgroundColor, 'Background colour'),
+        formThemeValidation.font(theme.font),
+        formThemeValidation.buttonStyle(theme.buttonStyle),
+        formThemeValidation.customCss(theme.customCss)
+    ].filter(Boolean);
+    if (themeErrors.length) return { clean: null, themeErrors };
+
+    const clean = normalizeTheme({ ...theme, logoUrl, customCss: sanitize.css(theme.customCss ?? '') });
+    return { clean: isDefaultTheme(clean) ? null : clean, themeErrors };
+}
@@ -0,0 +1,122 @@
+// src/shared/address.js
+
+/**
+ * Address fields, shared by the server (answer validation, hosted form
+ * rendering) and the browser (hosted form and builder, served at /src/shared).
+ * An address answer is an object of parts, e.g.
+ *
+ *   { line1: '10 Downing St', line2: '', city: 'London', region: '',
+ *     postalCode: 'SW1A 2AA', country: 'GB' }
+ *
+ * Countries are ISO 3166-1 alpha-2 codes; names come from Intl.DisplayNames.
+ */
+
+export const ADDRESS_PARTS = ['line1', 'line2', 'city', 'region', 'postalCode', 'country'];
+export const ADDRESS_PART_LABELS = {
+    line1: 'Address line 1',
+    line2: 'Address line 2',
+    city: 'City',
+    region: 'State / region',
+    postalCode: 'Postal code',
+    country: 'Country'
+};
+// Parts a new address field requires (line 2 and the region are often blank)
+export const DEFAULT_REQUIRED_PARTS = ['line1', 'city', 'postalCode', 'country'];
+export const MAX_ADDRESS_PART_LENGTH = 200;
+
+/**
+ * Parts an address field requires, in form order
+ * @param {string|null} text - FormField.requiredParts (comma-separated part keys)
+ * @returns {string[]}
+ */
+export function requiredPartsOf(text) {
+    const listed = String(text || '').split(',').map(s => s.trim());
+    return ADDRESS_PARTS.filter(part => listed.includes(part));
+}
+
+export const COUNTRY_CODES = [
+    'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AO', 'AQ', 'AR', 'AS', 'AT', 'AU', 'AW', 'AX', 'AZ',
+    'BA', 'BB', 'BD', 'BE', 'BF', 'BG', 'BH', 'BI', 'BJ', 'BL', 'BM', 'BN', 'BO', 'BQ', 'BR', 'BS',
+    'BT', 'BV', 'BW', 'BY', 'BZ', 'CA', 'CC', 'CD', 'CF', 'CG', 'CH', 'CI', 'CK', 'CL', 'CM', 'CN',
+    'CO', 'CR', 'CU', 'CV', 'CW', 'CX', 'CY', 'CZ', 'DE', 'DJ', 'DK', 'DM', 'DO', 'DZ', 'EC', 'EE',
+    'EG', 'EH', 'ER', 'ES', 'ET', 'FI', 'FJ', 'FK', 'FM', 'FO', 'FR', 'GA', 'GB', 'GD', 'GE', 'GF',
+    'GG', 'GH', 'GI', 'GL', 'GM', 'GN', 'GP', 'GQ', 'GR', 'GS', 'GT', 'GU', 'GW', 'GY', 'HK', 'HM',
+    'HN', 'HR', 'HT', 'HU', 'ID', 'IE', 'IL', 'IM', 'IN', 'IO', 'IQ', 'IR', 'IS', 'IT', 'JE', 'JM',
+    'JO', 'JP', 'KE', 'KG', 'KH', 'KI', 'KM', 'KN', 'KP', 'KR', 'KW', 'KY', 'KZ', 'LA', 'LB', 'LC',
+    'LI', 'LK', 'LR', 'LS', 'LT', 'LU', 'LV', 'LY', 'MA', 'MC', 'MD', 'ME', 'MF', 'MG', 'MH', 'MK',
+    'ML', 'MM', 'MN', 'MO', 'MP', 'MQ', 'MR', 'MS', 'MT', 'MU', 'MV', 'MW', 'MX', 'MY', 'MZ', 'NA',
+    'NC', 'NE', 'NF', 'NG', 'NI', 'NL', 'NO', 'NP', 'NR', 'NU', 'NZ', 'OM', 'PA', 'PE', 'PF', 'PG',
+    'PH', 'PK', 'PL', 'PM', 'PN', 'PR', 'PS', 'PT', 'PW', 'PY', 'QA', 'RE', 'RO', 'RS', 'RU', 'RW',
+    'SA', 'SB', 'SC', 'SD', 'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL', 'SM', 'SN', 'SO', 'SR', 'SS',
+    'ST', 'SV', 'SX', 'SY', 'SZ', 'TC', 'TD', 'TF', 'TG', 'TH', 'TJ', 'TK', 'TL', 'TM', 'TN', 'TO',
+    'TR', 'TT', 'TV', 'TW', 'TZ', 'UA', 'UG', 'UM', 'US', 'UY', 'UZ', 'VA', 'VC', 'VE', 'VG', 'VI',
+    'VN', 'VU', 'WF', 'WS', 'YE', 'YT', 'ZA', 'ZM', 'ZW'
+];
+
+// Postal code formats of countries where the format is well defined: [pattern, example].
+// Patterns are strings so they can also be used as the HTML pattern attribute.
+// Other countries accept 2 to 10 letters, digits, spaces and dashes.
+export const POSTAL_CODE_FORMATS = {
+    AR: ['[A-Za-z]?\\d{4}([A-Za-z]{3})?', '1425 or C1425DKA'],
+    AT: ['\\d{4}', '1010'],
+    AU: ['\\d{4}', '2000'],
+    BE: ['\\d{4}', '1000'],
+    BR: ['\\d{5}-?\\d{3}', '01310-100'],
+    CA: ['[A-Za-z]\\d[A-Za-z] ?\\d[A-Za-z]\\d', 'K1A 0B1'],
+    CH: ['\\d{4}', '8001'],
+    CN: ['\\d{6}', '100000'],
+    CZ: ['\\d{3} ?\\d{2}', '110 00'],
+    DE: ['\\d{5}', '10115'],
+    DK: ['\\d{4}', '1050'],
+    ES: ['\\d{5}', '28001'],
+    FI: ['\\d{5}', '00100'],
+    FR: ['\\d{5}', '75001'],
+    GB: ['[A-Za-z]{1,2}\\d[A-Za-z\\d]? ?\\d[A-Za-z]{2}', 'SW1A 2AA'],
+    ID: ['\\d{5}', '10110'],
+    IE: ['[A-Za-z]\\d[\\dWw] ?[A-Za-z\\d]{4}', 'D02 X285'],
+    IN: ['\\d{3} ?\\d{3}', '110001'],
+    IT: ['\\d{5}', '00118'],
+    JP: ['\\d{3}-?\\d{4}', '100-0001'],
+    KR: ['\\d{5}', '03187'],
+    MX: ['\\d{5}', '06000'],
+    MY: ['\\d{5}', '50000'],
+    NL: ['\\d{4} ?[A-Za-z]{2}', '1012 AB'],
+    NO: ['\\d{4}', '0150'],
+    NZ: ['\\d{4}', '6011'],
+    PH: ['\\d{4}', '1000'],
+    PL: ['\\d{2}-\\d{3}', '00-001'],
+    PT: ['\\d{4}-\\d{3}', '1000-001'],
+    RU: ['\\d{6}', '101000'],
+    SE: ['\\d{3} ?\\d{2}', '111 22'],
+    SG: ['\\d{6}', '018956'],
+    TH: ['\\d{5}', '10200'],
+    US: ['\\d{5}(-\\d{4})?', '12345 or 12345-6789'],
+    VN: ['\\d{6}', '100000'],
+    ZA: ['\\d{4}', '0001']
+};
+const GENERIC_POSTAL_CODE = '[A-Za-z\\d][A-Za-z\\d \\-]{0,8}[A-Za-z\\d]';
+
+/**
+ * The postal code format of a country
+ * @param {string} [country] - ISO country code (the generic format when unknown or blank)
+ * @returns {{ pattern: string, example: string|null }} The whole code must match the pattern
+ */
+export function postalCodeFormat(country) {
+    const [pattern, example] = POSTAL_CODE_FORMATS[country] || [GENERIC_POSTAL_CODE, null];
+    return { pattern, example };
+}
+
+/**
+ * Countries for a country selector, sorted by name
+ * @param {string} [locale] - Language of the names
+ * @returns {Array<{ code: string, name: string }>}
+ */
+export function countryOptions(locale = 'en') {
+    let names = null;
+    try {
+        names = new Intl.DisplayNames([locale], { type: 'region' });
+    } catch (_) { /* no region names in this runtime: fall back to the codes */ }
+    return COUNTRY_CODES
+        .map(code => ({ code, name: names?.of(code) || code }))
+        .sort((a, b) => a.name.localeCompare(b.name, locale));
+}
@@ -0,0 +1,29 @@
+// src/shared/field-types.js
+
+/**
+ * Every field type a form can hold. The FormField model, field validation and
+ * the per-type tables of the builder and hosted form are all checked against
+ * this list when the server starts (see utils/field-types-check.js), so a type
+ * added in one place but not the others stops the boot instead of failing
+ * when a form using it is saved.
+ */
+export const FIELD_TYPES = [
+    'singleLine', 'paragraph', 'dropdown', 'multipleSelect', 'multipleChoice',
+    'checkboxes', 'number', 'name', 'address', 'email', 'phone', 'password',
+    'date', 'time', 'datetime', 'datePicker', 'timePicker', 'datetimePicker', 'rangePicker',
+    'colorPicker', 'url', 'file', 'richText', 'pageBreak',
+    'group', 'hidden', 'calculated', 'rating', 'nps', 'likert', 'matrix', 'signature'
+];
+
+/**
+ * Compare the types a table knows about with FIELD_TYPES
+ * @param {Iterable<string>} types - e.g. the keys of a partial mapping
+ * @returns {{ missing: string[], unknown: string[] }} Types the table lacks, and types it has that do not exist
+ */
+export function compareFieldTypes(types) {
+    const known = new Set(types);
+    return {
+        missing: FIELD_TYPES.filter(t => !known.has(t)),
+        unknown: [...known].filter(t => !FIELD_TYPES.includes(t))
+    };
+}
@@ -0,0 +1,290 @@
+// src/shared/formula.js
+
+/**
+ * Formula language of calculated fields, shared by the server (publicSubmit
+ * recomputes every value) and the browser (hosted form and builder, served at
+ * /src/shared). Formulas are parsed into a small syntax tree and evaluated by
+ * walking it; nothing is ever passed to eval or Function.
+ *
+ *   quantity * price
+ *   round(sum(q1, q2, q3) / 3, 1)
+ *   if(plan == "pro", 49, 0) + age(birthday)
+ *
+ * References name other fields. Empty answers count as 0, checkbox answers as
+ * the sum of their (numeric) options. The result is always a number; anything
+ * else (e.g. division by zero) leaves the field blank.
+ */
+
+export const MAX_FORMULA_LENGTH = 500;
+const MAX_DEPTH = 40;
+
+export class FormulaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FormulaError';
+    }
+}
+
+// ---------------------- Values ----------------------
+
+const toNumber = (v) => {
+    if (Array.isArray(v)) return v.reduce((total, x) => total + toNumber(x), 0);
+    if (typeof v === 'number') return v;
+    if (typeof v === 'boolean') return v ? 1 : 0;
+    const text = String(v ?? '').trim();
+    return text === '' ? 0 : Number(text);
+};
+
+const toText = (v) => (Array.isArray(v) ? v.join(', ') : String(v ?? '')).trim();
+
+// Dates are YYYY-MM-DD (or YYYY-MM-DDTHH:MM) answers; compared in UTC to avoid DST shifts
+const toDate = (v) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(toText(v));
+    return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : NaN;
+};
+const today = () => {
+    const now = new Date();
+    return Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Equal numbers, or the same text ignoring case (like the rule operators)
+const same = (a, b) => {
+    const x = toText(a), y = toText(b);
+    if (x !== '' && y !== '' && !isNaN(Number(x)) && !isNaN(Number(y))) return Number(x) === Number(y);
+    return x.toLowerCase() === y.toLowerCase();
+};
+
+// name -> [min args, max args, implementation]
+const FUNCTIONS = {
+    sum: [1, Infinity, (...xs) => xs.reduce((t, x) => t + toNumber(x), 0)],
+    avg: [1, Infinity, (...xs) => xs.reduce((t, x) => t + toNumber(x), 0) / xs.length],
+    min: [1, Infinity, (...xs) => Math.min(...xs.map(toNumber))],
+    max: [1, Infinity, (...xs) => Math.max(...xs.map(toNumber))],
+    round: [1, 2, (x, digits = 0) => {
+        const f = 10 ** Math.max(0, Math.min(10, Math.trunc(toNumber(digits))));
+        return Math.round(toNumber(x) * f) / f;
+    }],
+    floor: [1, 1, (x) => Math.floor(toNumber(x))],
+    ceil: [1, 1, (x) => Math.ceil(toNumber(x))],
+    abs: [1, 1, (x) => Math.abs(toNumber(x))],
+    if: [3, 3, (cond, yes, no) => (toNumber(cond) ? yes : no)],
+    // Number of ticked options (or 1 for any other non-empty answer)
+    count: [1, 1, (x) => (Array.isArray(x) ? x.filter(v => toText(v) !== '').length : (toText(x) === '' ? 0 : 1))],
+    // Whole years from a date to today
+    age: [1, 1, (date) => {
+        const birth = new Date(toDate(date));
+        const now = new Date(today());
+        if (isNaN(birth.getTime())) return NaN;
+        const years = now.getUTCFullYear() - birth.getUTCFullYear();
+        const beforeBirthday = now.getUTCMonth() < birth.getUTCMonth()
+            || (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() < birth.getUTCDate());
+        return years - (beforeBirthday ? 1 : 0);
+    }],
+    // Days from the first date to the second (today when left out)
+    days: [1, 2, (from, to) => ((to === undefined ? today() : toDate(to)) - toDate(from)) / DAY_MS]
+};
+export const FORMULA_FUNCTIONS = Object.keys(FUNCTIONS);
+
+const BINARY = {
+    '+': (a, b) => toNumber(a) + toNumber(b),
+    '-': (a, b) => toNumber(a) - toNumber(b),
+    '*': (a, b) => toNumber(a) * toNumber(b),
+    '/': (a, b) => toNumber(a) / toNumber(b),
+    '%': (a, b) => toNumber(a) % toNumber(b),
+    '<': (a, b) => (toNumber(a) < toNumber(b) ? 1 : 0),
+    '>': (a, b) => (toNumber(a) > toNumber(b) ? 1 : 0),
+    '<=': (a, b) => (toNumber(a) <= toNumber(b) ? 1 : 0),
+    '>=': (a, b) => (toNumber(a) >= toNumber(b) ? 1 : 0),
+    '==': (a, b) => (same(a, b) ? 1 : 0),
+    '!=': (a, b) => (same(a, b) ? 0 : 1)
+};
+
+// ---------------------- Parser ----------------------
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([a-zA-Z][a-zA-Z0-9_]*)|"([^"]*)"|'([^']*)'|(<=|>=|==|!=|[-+*/%<>(),]))/y;
+
+function tokenize(source) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < source.length) {
+        if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) break;
+        const at = TOKEN.lastIndex;
+        const m = TOKEN.exec(source);
+        if (!m) throw new FormulaError(`Unexpected character "${source.slice(at).trim()[0]}"`);
+        if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+        else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2] });
+        else if (m[3] !== undefined || m[4] !== undefined) tokens.push({ type: 'str', value: m[3] ?? m[4] });
+        else tokens.push({ type: 'op', value: m[5] });
+    }
+    return tokens;
+}
+
+/**
+ * Parse a formula into a syntax tree
+ * @param {string} source - Formula text
+ * @returns {Object} Syntax tree for evaluateFormula / formulaReferences
+ * @throws {FormulaError} When the formula is not valid
+ */
+export function parseFormula(source) {
+    if (typeof source !== 'string' || !source.trim()) throw new FormulaError('Formula is empty');
+    if (source.length > MAX_FORMULA_LENGTH) {
+        throw new FormulaError(`Formula must be no more than ${MAX_FORMULA_LENGTH} characters long`);
+    }
+    const tokens = tokenize(source);
+    let pos = 0;
+    let depth = 0;
+    const peek = () => tokens[pos];
+    const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+    const expect = (op) => {
+        if (!isOp(op)) throw new FormulaError(peek() ? `Expected "${op}" before "${peek().value}"` : `Expected "${op}" at the end`);
+        pos++;
+    };
+    const nested = (parse) => {
+        if (++depth > MAX_DEPTH) throw new FormulaError('Formula is nested too deeply');
+        const node = parse();
+        depth--;
+        return node;
+    };
+
+    // comparison := additive (("<" | ">" | "<=" | ">=" | "==" | "!=") additive)?
+    const comparison = () => {
+        const left = additive();
+        if (!isOp('<', '>', '<=', '>=', '==', '!=')) return left;
+        const op = tokens[pos++].value;
+        return { type: 'binary', op, left, right: additive() };
+    };
+    const additive = () => {
+        let node = term();
+        while (isOp('+', '-')) node = { type: 'binary', op: tokens[pos++].value, left: node, right: term() };
+        return node;
+    };
+    const term = () => {
+        let node = unary();
+        while (isOp('*', '/', '%')) node = { type: 'binary', op: tokens[pos++].value, left: node, right: unary() };
+        return node;
+    };
+    const unary = () => {
+        if (isOp('-', '+')) {
+            const op = tokens[pos++].value;
+            return nested(() => ({ type: 'unary', op, arg: unary() }));
+        }
+        return primary();
+    };
+    const primary = () => {
+        const tok = tokens[pos++];
+        if (!tok) throw new FormulaError('Formula ends unexpectedly');
+        if (tok.type === 'num') return { type: 'num', value: tok.value };
+        if (tok.type === 'str') return { type: 'str', value: tok.value };
+        if (tok.type === 'op' && tok.value === '(') {
+            const node = nested(comparison);
+            expect(')');
+            return node;
+        }
+        if (tok.type === 'name' && isOp('(')) {
+            const name = tok.value.toLowerCase();
+            if (!Object.hasOwn(FUNCTIONS, name)) throw new FormulaError(`Unknown function "${tok.value}"`);
+            pos++;
+            const args = [];
+            if (!isOp(')')) {
+                args.push(nested(comparison));
+                while (isOp(',')) {
+                    pos++;
+                    args.push(nested(comparison));
+                }
+            }
+            expect(')');
+            const [min, max] = FUNCTIONS[name];
+            if (args.length < min || args.length > max) {
+                const wanted = min === max ? `${min}` : (max === Infinity ? `at least ${min}` : `${min} to ${max}`);
+                throw new FormulaError(`${name}() takes ${wanted} argument${min === 1 && max === 1 ? '' : 's'}`);
+            }
+            return { type: 'call', name, args };
+        }
+        if (tok.type === 'name') return { type: 'ref', name: tok.value };
+        throw new FormulaError(`Unexpected "${tok.value}"`);
+    };
+
+    const tree = comparison();
+    if (pos < tokens.length) throw new FormulaError(`Unexpected "${tokens[pos].value}"`);
+    return tree;
+}
+
+/**
+ * Field names a formula refers to
+ * @param {Object} tree - Result of parseFormula
+ * @returns {string[]}
+ */
+export function formulaReferences(tree) {
+    const names = new Set();
+    const walk = (node) => {
+        if (node.type === 'ref') names.add(node.name);
+        if (node.type === 'binary') { walk(node.left); walk(node.right); }
+        if (node.type === 'unary') walk(node.arg);
+        if (node.type === 'call') node.args.forEach(walk);
+    };
+    walk(tree);
+    return [...names];
+}
+
+/**
+ * Evaluate a parsed formula
+ * @param {Object} tree - Result of parseFormula
+ * @param {(name: string) => *} lookup - Answer of a referenced field
+ * @returns {number|null} The result, or null when it is not a finite number
+ */
+export function evaluateFormula(tree, lookup) {
+    const evaluate = (node) => {
+        switch (node.type) {
+            case 'num':
+            case 'str':
+                return node.value;
+            case 'ref':
+                return lookup(node.name);
+            case 'unary':
+                return node.op === '-' ? -toNumber(evaluate(node.arg)) : toNumber(evaluate(node.arg));
+            case 'binary':
+                return BINARY[node.op](evaluate(node.left), evaluate(node.right));
+            case 'call':
+                return FUNCTIONS[node.name][2](...node.args.map(evaluate));
+            default:
+                return NaN;
+        }
+    };
+    const result = toNumber(evaluate(tree));
+    // Trim floating point noise (0.1 + 0.2) without changing real precision
+    return Number.isFinite(result) ? Number(result.toFixed(10)) : null;
+}
+
+/**
+ * Compute every calculated field of a form from the given answers. Calculated
+ * fields may use each other; they are evaluated in dependency order.
+ * @param {Array<{ name: string, type: string, formula?: string }>} fields
+ * @param {Object} data - Answers keyed by field name
+ * @returns {Object<string, string>} Values by field name ('' when blank or invalid)
+ */
+export function computeCalculated(fields, data = {}) {
+    const calcs = new Map(fields.filter(f => f.type === 'calculated' && f.formula).map(f => [f.name, f]));
+    const values = {};
+    const visiting = new Set();
+    const valueOf = (name) => {
+        if (Object.hasOwn(values, name)) return values[name];
+        const field = calcs.get(name);
+        // A cycle is rejected when the form is saved; treat it as blank here
+        if (visiting.has(name)) return '';
+        visiting.add(name);
+        let result = null;
+        try {
+            result = evaluateFormula(parseFormula(field.formula), lookup);
+        } catch (_) { /* invalid formulas are rejected when the form is saved */ }
+        visiting.delete(name);
+        values[name] = result === null ? '' : String(result);
+        return values[name];
+    };
+    const lookup = (name) => {
+        if (calcs.has(name)) return valueOf(name);
+        return Object.hasOwn(data, name) ? data[name] : undefined;
+    };
+    calcs.forEach((_f, name) => valueOf(name));
+    return values;
+}
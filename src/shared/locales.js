@@ -0,0 +1,129 @@
+// src/shared/locales.js
+import { normalizeOptions, normalizeMatrixRows, OTHER_OPTION_VALUE, OTHER_OPTION_LABEL } from './options.js';
+
+/**
+ * Multi-language forms, shared by the server (hosted form, validation) and the
+ * builder's translation editor (served at /src/shared). A form is written in
+ * its default locale; translations add more locales, e.g.
+ *
+ *   Form.translations       { id: { title: 'Survei pelanggan', thankYouMessage: '<p>Terima kasih!</p>' } }
+ *   FormField.translations  { id: { label: 'Kota', placeholder: 'Pilih kota',
+ *                                   options: { paris: 'Paris, Prancis', __other__: 'Lainnya' },
+ *                                   rows: { speed: 'Kecepatan' }, content: '<p>…</p>' } }
+ *
+ * The keys of Form.translations are the locales the form is offered in besides
+ * the default one. Texts without a translation show as written. Answers do not
+ * depend on the locale: option and matrix row values, rules and formulas stay the same.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+export const MAX_LOCALES = 10;
+
+// Offered by the builder's language picker; any language code is accepted
+export const LOCALE_CODES = ['en', 'id', 'ms', 'zh', 'ja', 'ko', 'th', 'vi', 'tl', 'hi', 'ar', 'fr', 'de', 'es', 'pt', 'nl', 'it', 'ru'];
+
+// Language, optionally with a region: "id", "en-GB"
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+/**
+ * Whether a value is a language code the forms accept
+ * @param {*} code
+ * @returns {boolean}
+ */
+export function isLocaleCode(code) {
+    return typeof code === 'string' && LOCALE_PATTERN.test(code);
+}
+
+/**
+ * The name of a language, in a language
+ * @param {string} code - Language code
+ * @param {string} [displayLocale] - Language of the name (e.g. the code itself for "Bahasa Indonesia")
+ * @returns {string} The code when the runtime has no name for it
+ */
+export function localeName(code, displayLocale = DEFAULT_LOCALE) {
+    try {
+        return new Intl.DisplayNames([displayLocale], { type: 'language' }).of(code) || code;
+    } catch (_) {
+        return code;
+    }
+}
+
+/**
+ * Locales a form is offered in, the default one first
+ * @param {string} defaultLocale - Form.defaultLocale
+ * @param {Object|null} translations - Form.translations
+ * @returns {string[]}
+ */
+export function formLocales(defaultLocale, translations) {
+    const first = defaultLocale || DEFAULT_LOCALE;
+    return [first, ...Object.keys(translations || {}).filter(code => code !== first)];
+}
+
+/**
+ * The offered locale that best matches a requested one: exact, then by
+ * language ("id-ID" finds "id", "en" finds "en-GB")
+ * @param {string} requested - e.g. ?lang= or one Accept-Language entry
+ * @param {string[]} offered
+ * @returns {string|null}
+ */
+export function matchLocale(requested, offered) {
+    const wanted = String(requested || '').trim().replace('_', '-').toLowerCase();
+    if (!wanted) return null;
+    const language = (code) => code.toLowerCase().split('-')[0];
+    return offered.find(code => code.toLowerCase() === wanted)
+        || offered.find(code => code.toLowerCase() === language(wanted))
+        || offered.find(code => language(code) === language(wanted))
+        || null;
+}
+
+/**
+ * Texts of a field that can be translated, in the order the editor lists them
+ * @param {Object} field
+ * @returns {Array<{ key: 'label'|'placeholder'|'options'|'rows'|'content', option?: string, text: string }>}
+ *   `option` is the option (or matrix row) value for option (or row) labels
+ */
+export function translatableTexts(field) {
+    const texts = [];
+    if (field.label) texts.push({ key: 'label', text: field.label });
+    if (field.placeholder) texts.push({ key: 'placeholder', text: field.placeholder });
+    normalizeOptions(field.options).forEach(opt => texts.push({ key: 'options', option: opt.value, text: opt.label }));
+    if (field.allowOther) texts.push({ key: 'options', option: OTHER_OPTION_VALUE, text: OTHER_OPTION_LABEL });
+    if (field.type === 'matrix') normalizeMatrixRows(field.matrixRows).forEach(row => texts.push({ key: 'rows', option: row.value, text: row.label }));
+    if (field.type === 'richText' && field.content) texts.push({ key: 'content', text: field.content });
+    return texts;
+}
+
+/**
+ * The translation of one text (blank when missing)
+ * @param {Object|null} translations - Form.translations or FormField.translations
+ * @param {string} locale
+ * @param {{ key: string, option?: string }} text - As listed by translatableTexts (or { key: 'title' })
+ * @returns {string}
+ */
+export function translationOf(translations, locale, { key, option }) {
+    const entry = translations?.[locale];
+    const value = option === undefined ? entry?.[key] : entry?.[key]?.[option];
+    return typeof value === 'string' && value.trim() ? value : '';
+}
+
+/**
+ * A field with its texts in a locale. Untranslated texts stay as written;
+ * `otherLabel` is the label of the "Other" choice.
+ * @param {Object} field
+ * @param {string} locale
+ * @returns {Object} A copy of the field
+ */
+export function localizeField(field, locale) {
+    const pick = (text) => translationOf(field.translations, locale, text) || text.text;
+    return {
+        ...field,
+        label: pick({ key: 'label', text: field.label }),
+        placeholder: field.placeholder ? pick({ key: 'placeholder', text: field.placeholder }) : field.placeholder,
+        content: field.content ? pick({ key: 'content', text: field.content }) : field.content,
+        options: normalizeOptions(field.options).map(opt => ({ ...opt, label: pick({ key: 'options', option: opt.value, text: opt.label }) })),
+        matrixRows: field.type === 'matrix'
+            ? normalizeMatrixRows(field.matrixRows).map(row => ({ ...row, label: pick({ key: 'rows', option: row.value, text: row.label }) }))
+            : field.matrixRows,
+        otherLabel: pick({ key: 'options', option: OTHER_OPTION_VALUE, text: OTHER_OPTION_LABEL })
+    };
+}
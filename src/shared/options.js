@@ -0,0 +1,111 @@
+// src/shared/options.js
+
+/**
+ * Option lists of choice fields (dropdowns, radios, checkboxes, Likert scales
+ * and matrix columns), shared by the server and the builder (served at
+ * /src/shared). Each option is
+ *
+ *   { label: 'Paris, France', value: 'paris', description: 'Capital city', selected: true }
+ *
+ * Respondents see the label (and description); submissions, rules, default
+ * values and correct answers use the value. `description` and `selected` are
+ * left out when blank / false.
+ *
+ * Forms saved before options had values stored a comma-separated list of
+ * labels. Such lists still read: every label doubles as its value.
+ *
+ * Choice fields may also offer "Other" with a free-text answer, and shuffle
+ * their options for every respondent (FormField.allowOther / shuffleOptions).
+ *
+ * The rows of a matrix question are listed the same way, with only a label
+ * and a value; matrix answers are keyed by the row value.
+ */
+
+export const MAX_OPTIONS = 50;
+export const MAX_OPTION_LENGTH = 255;
+export const MAX_OPTION_DESCRIPTION_LENGTH = 500;
+
+// Dropdowns, radios and checkboxes may offer "Other": choosing it answers with
+// this value (no option may use it) and the respondent's own words arrive
+// under a key of their own, so reports can group every "Other" answer.
+export const OTHER_OPTION_VALUE = '__other__';
+export const OTHER_OPTION_LABEL = 'Other';
+
+/**
+ * The answer key of the text a respondent gives with "Other"
+ * @param {string} name - Field name
+ * @returns {string}
+ */
+export function otherKeyOf(name) {
+    return `${name}_other`;
+}
+
+/**
+ * The value an option takes from its label when none is given. Checkbox
+ * defaults and correct answers list values separated by commas, so commas
+ * are dropped.
+ * @param {string} label
+ * @returns {string}
+ */
+export function optionValueOf(label) {
+    return String(label ?? '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+/**
+ * Read an option list in any of its stored shapes
+ * @param {Array|string|null} raw - Option objects or labels, their JSON, or a comma-separated list of labels
+ * @returns {Array<{ label: string, value: string, description?: string, selected?: true }>}
+ */
+export function normalizeOptions(raw) {
+    let list = raw;
+    if (typeof list === 'string') {
+        const text = list.trim();
+        list = null;
+        if (text.startsWith('[')) {
+            try { list = JSON.parse(text); } catch { /* a label starting with "[" */ }
+        }
+        if (!Array.isArray(list)) list = text.split(',');
+    }
+    if (!Array.isArray(list)) return [];
+    return list
+        .map(item => {
+            const opt = item !== null && typeof item === 'object' ? item : { label: item };
+            const label = String(opt.label ?? '').trim();
+            const value = isBlank(opt.value) ? optionValueOf(label) : String(opt.value).trim();
+            const out = { label: label || value, value };
+            if (!isBlank(opt.description)) out.description = String(opt.description).trim();
+            if (opt.selected === true || opt.selected === 'true') out.selected = true;
+            return out;
+        })
+        .filter(opt => opt.label);
+}
+
+/**
+ * The values of an option list, in order
+ * @param {Array|string|null} options - Any shape normalizeOptions reads
+ * @returns {string[]}
+ */
+export function optionValues(options) {
+    return normalizeOptions(options).map(opt => opt.value);
+}
+
+/**
+ * The label respondents see for a value (the value itself when no option has it)
+ * @param {Array|string|null} options - Any shape normalizeOptions reads
+ * @param {string} value
+ * @returns {string}
+ */
+export function optionLabelOf(options, value) {
+    return normalizeOptions(options).find(opt => opt.value === value)?.label ?? value;
+}
+
+/**
+ * Read the rows of a matrix question in any of their stored shapes
+ * @param {Array|string|null} raw - Any shape normalizeOptions reads
+ * @returns {Array<{ label: string, value: string }>}
+ */
+export function normalizeMatrixRows(raw) {
+    return normalizeOptions(raw).map(({ label, value }) => ({ label, value }));
+}
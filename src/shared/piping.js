@@ -0,0 +1,73 @@
+// src/shared/piping.js
+
+/**
+ * Answer piping: labels, placeholders and rich-text content may show an
+ * answer given earlier in the form, e.g.
+ *
+ *   Thanks {{first_name}}, how did you hear about us?
+ *
+ * Shared by the hosted form, which fills references in as the respondent
+ * types, and the builder (served at /src/shared), which warns about
+ * references that cannot be filled. An unanswered field reads as blank.
+ */
+
+// {{name}}, with the same names fields may take (see formFieldValidation.name)
+const REFERENCE = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// Field texts that may hold references
+export const PIPED_PROPS = ['label', 'placeholder', 'content'];
+
+// Types whose answer cannot be shown as text: layout, groups of entries, files and drawings, HTML and per-row answers
+const UNPIPEABLE_TYPES = new Set(['pageBreak', 'group', 'file', 'signature', 'richText', 'matrix']);
+
+/**
+ * Whether a text holds any reference
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasReferences(text) {
+    return pipedNames(text).length > 0;
+}
+
+/**
+ * Field names referenced by a text, each once, in order
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function pipedNames(text) {
+    const names = Array.from(String(text ?? '').matchAll(REFERENCE), m => m[1]);
+    return [...new Set(names)];
+}
+
+/**
+ * Replace every reference in a text
+ * @param {string} text
+ * @param {(name: string) => string|undefined} valueOf - The text of an answer
+ * @returns {string} Plain text; callers showing it as HTML must escape it
+ */
+export function pipeText(text, valueOf) {
+    return String(text ?? '').replace(REFERENCE, (_, name) => String(valueOf(name) ?? ''));
+}
+
+/**
+ * References of one field that cannot be filled in: unknown fields, the field
+ * itself or later ones (not answered yet), and answers that are not text
+ * @param {Array<Object>} fields - Form fields in order
+ * @param {number} index - Position of the field to check
+ * @returns {string[]} One message per problem
+ */
+export function pipingProblems(fields, index) {
+    const field = fields[index];
+    if (!field) return [];
+    const names = pipedNames(PIPED_PROPS.map(prop => field[prop] || '').join('\n'));
+    return names.flatMap(name => {
+        const at = fields.findIndex(f => f.name === name);
+        const target = fields[at];
+        if (!target) return [`{{${name}}} does not match any field`];
+        if (at === index) return [`{{${name}}} refers to this field itself`];
+        if (at > index) return [`{{${name}}} comes later in the form, so it has no answer yet`];
+        if (target.parentName) return [`{{${name}}} is inside a repeatable group, which has one answer per entry`];
+        if (UNPIPEABLE_TYPES.has(target.type)) return [`{{${name}}} is a ${target.type} field, whose answer cannot be shown as text`];
+        return [];
+    });
+}
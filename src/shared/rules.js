@@ -0,0 +1,84 @@
+// src/shared/rules.js
+
+/**
+ * Evaluation of conditional logic rules (show / hide / require), shared by the
+ * hosted form, which applies them as the respondent answers, and the server
+ * (src/server/services/rules.service.js), which re-evaluates them on submit so
+ * it never trusts the browser's idea of which fields were visible or required.
+ * A rule is
+ *
+ *   { sourceField: 'country', operator: 'equals', value: 'FR', action: 'show', targetField: 'region' }
+ */
+
+/**
+ * Read a field's answer from a submission payload
+ * @param {Object} data - Submitted answers
+ * @param {string} name - Field name
+ * @returns {*} The answer (string, array) or undefined
+ */
+export function answerOf(data, name) {
+    if (Object.prototype.hasOwnProperty.call(data, name)) return data[name];
+    // Composite name fields submit as <name>_first / <name>_last
+    const parts = [`${name}_first`, `${name}_last`]
+        .filter(k => Object.prototype.hasOwnProperty.call(data, k))
+        .map(k => data[k]);
+    return parts.length ? parts.join(' ') : undefined;
+}
+
+export function isEmptyAnswer(v) {
+    if (Array.isArray(v)) return !v.some(x => String(x ?? '').trim() !== '');
+    // Matrix answers: an object of row -> column
+    if (v !== null && typeof v === 'object') return Object.values(v).every(isEmptyAnswer);
+    return String(v ?? '').trim() === '';
+}
+
+export function ruleMatches(rule, v) {
+    const values = (Array.isArray(v) ? v : [v]).map(x => String(x ?? '').trim());
+    const cmp = String(rule.value ?? '').trim().toLowerCase();
+    const num = Number(rule.value);
+    const numeric = (x, test) => x !== '' && !isNaN(Number(x)) && test(Number(x));
+    switch (rule.operator) {
+        case 'equals': return values.some(x => x.toLowerCase() === cmp);
+        case 'notEquals': return !values.some(x => x.toLowerCase() === cmp);
+        case 'contains': return values.some(x => x.toLowerCase().includes(cmp));
+        case 'notContains': return !values.some(x => x.toLowerCase().includes(cmp));
+        case 'isEmpty': return isEmptyAnswer(v);
+        case 'isNotEmpty': return !isEmptyAnswer(v);
+        case 'greaterThan': return values.some(x => numeric(x, n => n > num));
+        case 'lessThan': return values.some(x => numeric(x, n => n < num));
+        default: return false;
+    }
+}
+
+/**
+ * Work out which fields are hidden and which are conditionally required.
+ * A field targeted by "show" rules stays hidden until one of them matches; any
+ * matching "hide" rule hides it. Answers of hidden fields count as empty, so
+ * chained rules are re-evaluated until the hidden set is stable.
+ * @param {Array} rules - Rules ({ sourceField, operator, value, action, targetField })
+ * @param {Object} data - Submitted answers
+ * @returns {{ hidden: Set<string>, required: Set<string> }}
+ */
+export function evaluateRules(rules = [], data = {}) {
+    let hidden = new Set();
+    let required = new Set();
+    for (let pass = 0; pass <= rules.length; pass++) {
+        const shownBy = new Map();
+        const nextHidden = new Set();
+        const nextRequired = new Set();
+        for (const rule of rules) {
+            const v = hidden.has(rule.sourceField) ? undefined : answerOf(data, rule.sourceField);
+            const hit = ruleMatches(rule, v);
+            if (rule.action === 'show') shownBy.set(rule.targetField, (shownBy.get(rule.targetField) || false) || hit);
+            if (rule.action === 'hide' && hit) nextHidden.add(rule.targetField);
+            if (rule.action === 'require' && hit) nextRequired.add(rule.targetField);
+        }
+        shownBy.forEach((shown, name) => { if (!shown) nextHidden.add(name); });
+        const stable = nextHidden.size === hidden.size && [...nextHidden].every(n => hidden.has(n));
+        hidden = nextHidden;
+        required = nextRequired;
+        if (stable) break;
+    }
+    hidden.forEach(n => required.delete(n));
+    return { hidden, required };
+}
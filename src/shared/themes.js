@@ -0,0 +1,152 @@
+// src/shared/themes.js
+
+/**
+ * Hosted form themes, shared by the server (validation, the hosted form) and
+ * the builder's theme panel (served at /src/shared), whose live preview uses
+ * the same CSS as the hosted form. A theme is
+ *
+ *   { logoUrl: '/uploads/logo-1712.png', primaryColor: '#0d6efd', backgroundColor: '#f8f9fa',
+ *     font: 'inter', buttonStyle: 'pill', customCss: '.form-label { font-weight: 600; }' }
+ *
+ * Forms keep their own copy (Form.theme); saved themes (Theme) are copied into
+ * the forms they are applied to, so editing a saved theme changes no form.
+ */
+
+export const MAX_CUSTOM_CSS_LENGTH = 10000;
+
+// Fonts offered by the theme panel: a CSS stack, and the Google Fonts family to load (none for system fonts)
+export const THEME_FONTS = {
+    system: { label: 'System default', stack: 'system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif', google: null },
+    publicSans: { label: 'Public Sans', stack: '"Public Sans", sans-serif', google: 'Public+Sans:wght@400;500;600' },
+    inter: { label: 'Inter', stack: '"Inter", sans-serif', google: 'Inter:wght@400;500;600' },
+    roboto: { label: 'Roboto', stack: '"Roboto", sans-serif', google: 'Roboto:wght@400;500;700' },
+    lato: { label: 'Lato', stack: '"Lato", sans-serif', google: 'Lato:wght@400;700' },
+    merriweather: { label: 'Merriweather (serif)', stack: '"Merriweather", Georgia, serif', google: 'Merriweather:wght@400;700' },
+    georgia: { label: 'Georgia (serif)', stack: 'Georgia, "Times New Roman", serif', google: null },
+    mono: { label: 'Monospace', stack: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace', google: null }
+};
+
+// Corner radius of buttons by style
+export const BUTTON_STYLES = {
+    rounded: { label: 'Rounded', radius: '0.375rem' },
+    square: { label: 'Square', radius: '0' },
+    pill: { label: 'Pill', radius: '50rem' }
+};
+
+export const DEFAULT_THEME = {
+    logoUrl: null,
+    primaryColor: '#7367f0',
+    backgroundColor: '#ffffff',
+    font: 'system',
+    buttonStyle: 'rounded',
+    customCss: ''
+};
+
+// Colours are stored as #rrggbb
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Whether a value is a colour a theme accepts
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isThemeColor(value) {
+    return typeof value === 'string' && HEX_COLOR.test(value);
+}
+
+/**
+ * A theme with every setting, unknown or invalid ones replaced by the defaults
+ * @param {Object|null} theme - Form.theme or Theme.settings
+ * @returns {Object}
+ */
+export function normalizeTheme(theme) {
+    const t = theme && typeof theme === 'object' ? theme : {};
+    return {
+        logoUrl: typeof t.logoUrl === 'string' && t.logoUrl.trim() ? t.logoUrl.trim() : null,
+        primaryColor: isThemeColor(t.primaryColor) ? t.primaryColor.toLowerCase() : DEFAULT_THEME.primaryColor,
+        backgroundColor: isThemeColor(t.backgroundColor) ? t.backgroundColor.toLowerCase() : DEFAULT_THEME.backgroundColor,
+        font: Object.hasOwn(THEME_FONTS, t.font) ? t.font : DEFAULT_THEME.font,
+        buttonStyle: Object.hasOwn(BUTTON_STYLES, t.buttonStyle) ? t.buttonStyle : DEFAULT_THEME.buttonStyle,
+        customCss: typeof t.customCss === 'string' ? t.customCss : ''
+    };
+}
+
+/**
+ * Whether a theme changes nothing from the default look
+ * @param {Object|null} theme
+ * @returns {boolean}
+ */
+export function isDefaultTheme(theme) {
+    const t = normalizeTheme(theme);
+    return Object.keys(DEFAULT_THEME).every(key => t[key] === DEFAULT_THEME[key]);
+}
+
+/**
+ * The stylesheet that loads a theme's font
+ * @param {Object|null} theme
+ * @returns {string|null} A Google Fonts URL, or null for system fonts
+ */
+export function themeFontHref(theme) {
+    const font = THEME_FONTS[normalizeTheme(theme).font];
+    return font.google ? `https://fonts.googleapis.com/css2?family=${font.google}&display=swap` : null;
+}
+
+const rgbOf = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// Black or white, whichever reads better on a colour (WCAG relative luminance)
+const contrastOf = (hex) => {
+    const [r, g, b] = rgbOf(hex).map(c => {
+        const s = c / 255;
+        return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.179 ? '#212529' : '#ffffff';
+};
+
+/**
+ * The CSS of a theme for the hosted form (and the builder's preview): the
+ * Bootstrap / UI kit variables it sets, the page layout, then the custom CSS
+ * @param {Object|null} theme - Custom CSS must already be sanitized
+ * @returns {string}
+ */
+export function themeCss(theme) {
+    const t = normalizeTheme(theme);
+    const font = THEME_FONTS[t.font].stack;
+    const radius = BUTTON_STYLES[t.buttonStyle].radius;
+    const text = contrastOf(t.backgroundColor);
+    const css = `
+:root {
+  --bs-primary: ${t.primaryColor};
+  --bs-primary-rgb: ${rgbOf(t.primaryColor).join(', ')};
+  --bs-primary-contrast: ${contrastOf(t.primaryColor)};
+  --bs-link-color: ${t.primaryColor};
+  --bs-link-color-rgb: ${rgbOf(t.primaryColor).join(', ')};
+  --bs-body-bg: ${t.backgroundColor};
+  --bs-body-font-family: ${font};
+  --bs-font-sans-serif: ${font};
+  --form-text-color: ${text};
+  --form-button-radius: ${radius};
+}
+body {
+  max-width: 720px;
+  margin: 40px auto;
+  background-color: ${t.backgroundColor};
+  font-family: ${font};
+  color: var(--form-text-color);
+}
+h1, h2, h3, h4, h5, h6, .form-label, .form-check-label {
+  color: var(--form-text-color);
+}
+.btn {
+  --bs-btn-border-radius: ${radius};
+  border-radius: ${radius};
+}
+.form-check-input:checked {
+  background-color: ${t.primaryColor};
+  border-color: ${t.primaryColor};
+}
+.form-logo {
+  max-height: 64px;
+  max-width: 100%;
+}`;
+    return t.customCss.trim() ? `${css}\n/* Custom CSS */\n${t.customCss}\n` : `${css}\n`;
+}